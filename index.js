@@ -4,9 +4,28 @@ const eejs = require('ep_etherpad-lite/node/eejs/');
 // Compat: Etherpad 2.4+ uses ESM for Settings. Support both CJS and ESM.
 const settingsModule = require('ep_etherpad-lite/node/utils/Settings');
 const settings = settingsModule.default || settingsModule;
-const { randomUUID } = require('crypto');
+const { createHash, randomUUID, timingSafeEqual } = require('crypto');
+const fs = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
 const url = require('url');
+const zlib = require('zlib');
+const storage = require('./lib/storage');
+const { SNIFF_BYTES, peekStream, sniffMimeTypes } = require('./lib/sniff');
+const attachments = require('./lib/attachments');
+const admin = require('./lib/admin');
+const audit = require('./lib/audit');
+const scan = require('./lib/scan');
+const cleanup = require('./lib/cleanup');
+const padCopy = require('./lib/padCopy');
+const bundle = require('./lib/bundle');
+const quota = require('./lib/quota');
+const rateLimit = require('./lib/rateLimit');
+const { buildContentDisposition, filenameFromDisposition, sanitizeFilename } = require('./lib/filename');
+const padLinks = require('./lib/padLinks');
+const pluginHooks = require('./lib/pluginHooks');
+const tar = require('./lib/tar');
 
 // Security Manager for pad access verification
 let securityManager;
@@ -16,13 +35,35 @@ try {
   console.warn('[ep_media_upload] SecurityManager not available');
 }
 
-// AWS SDK v3 for presigned URLs
-let S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, getSignedUrl;
+// Author names for the attachments listing (optional; falls back to IDs)
+let authorManager;
 try {
-  ({ S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3'));
-  ({ getSignedUrl } = require('@aws-sdk/s3-request-presigner'));
+  authorManager = require('ep_etherpad-lite/node/db/AuthorManager');
 } catch (e) {
-  console.warn('[ep_media_upload] AWS SDK not installed; s3_presigned storage will not work.');
+  console.warn('[ep_media_upload] AuthorManager not available');
+}
+
+// Read-only pad IDs ("r.…") in download links opened from read-only pads
+let readOnlyManager;
+try {
+  readOnlyManager = require('ep_etherpad-lite/node/db/ReadOnlyManager');
+} catch (e) {
+  console.warn('[ep_media_upload] ReadOnlyManager not available; read-only pad links cannot download attachments');
+}
+
+// Etherpad's pad import/export, for attachment bundles (optional)
+let padModules = null;
+try {
+  padModules = {
+    padManager: require('ep_etherpad-lite/node/db/PadManager'),
+    padMessageHandler: require('ep_etherpad-lite/node/handler/PadMessageHandler'),
+    exportEtherpad: require('ep_etherpad-lite/node/utils/ExportEtherpad'),
+    exportHtml: require('ep_etherpad-lite/node/utils/ExportHtml'),
+    importEtherpad: require('ep_etherpad-lite/node/utils/ImportEtherpad'),
+    importHtml: require('ep_etherpad-lite/node/utils/ImportHtml'),
+  };
+} catch (e) {
+  console.warn('[ep_media_upload] Etherpad import/export modules not available; attachment bundles are disabled');
 }
 
 // Simple logger
@@ -33,36 +74,31 @@ const logger = {
   error: console.error.bind(console),
 };
 
+// Audit events are logged, and appended to `audit.file` as JSON lines
+const _audit = (level, event, fields) => audit.emit(logger, level, event, fields);
+
 // ============================================================================
-// Rate Limiter with Periodic Cleanup
+// Rate Limiting
 // ============================================================================
-const _presignRateStore = new Map();
-const PRESIGN_RATE_WINDOW_MS = 60 * 1000;   // 1 minute
-const PRESIGN_RATE_MAX = 30;                // max 30 presigns per IP per min
-const RATE_CLEANUP_INTERVAL_MS = 5 * 60 * 1000; // cleanup every 5 minutes
-
-// Periodic cleanup to prevent memory leak from stale IPs
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, stamps] of _presignRateStore.entries()) {
-    const validStamps = stamps.filter((t) => t > now - PRESIGN_RATE_WINDOW_MS);
-    if (validStamps.length === 0) {
-      _presignRateStore.delete(ip);
-    } else {
-      _presignRateStore.set(ip, validStamps);
-    }
-  }
-}, RATE_CLEANUP_INTERVAL_MS).unref(); // unref() so it doesn't prevent process exit
-
-// Utility: basic per-IP sliding-window rate limit
-const _rateLimitCheck = (ip) => {
-  const now = Date.now();
-  let stamps = _presignRateStore.get(ip) || [];
-  stamps = stamps.filter((t) => t > now - PRESIGN_RATE_WINDOW_MS);
-  if (stamps.length >= PRESIGN_RATE_MAX) return false;
-  stamps.push(now);
-  _presignRateStore.set(ip, stamps);
-  return true;
+
+/**
+ * Count a request against the `route` budget ("upload", "download" or
+ * "import") of its client IP and author (see lib/rateLimit.js). Resolves to
+ * null if it is allowed; otherwise sets Retry-After and resolves to the
+ * exceeded limit's scope ("ip" or "author").
+ * A failing counter store lets requests through rather than blocking them.
+ */
+const _rateLimitExceeded = async (res, route, { clientIp, authorId }) => {
+  try {
+    const rateCfg = rateLimit.getRateLimitSettings(settings.ep_media_upload);
+    const exceeded = await rateLimit.check(rateCfg, route, { clientIp, authorId });
+    if (!exceeded) return null;
+    res.set('Retry-After', String(exceeded.retryAfter));
+    return exceeded.scope;
+  } catch (err) {
+    _audit('error', 'RATE_LIMIT_STORE_FAILED', { route, error: err.message });
+    return null;
+  }
 };
 
 // ============================================================================
@@ -172,6 +208,19 @@ const isValidMimeForExtension = (extension, mimeType) => {
   return allowedMimes.some(allowed => allowed === normalizedMime);
 };
 
+/**
+ * Validate that the first bytes of a stored file match its extension.
+ * Returns true if the sniffed content is consistent with one of the
+ * extension's MIME types. Unknown extensions are allowed, as above.
+ */
+const isContentValidForExtension = (extension, sample) => {
+  if (!extension) return false;
+  const allowedMimes = EXTENSION_MIME_MAP[extension.toLowerCase()];
+  if (!allowedMimes) return true;
+  const detectedMimes = sniffMimeTypes(sample);
+  return allowedMimes.some((allowed) => detectedMimes.includes(allowed));
+};
+
 /**
  * Validate file ID for download endpoint.
  * File ID format: UUID (with hyphens) + dot + extension
@@ -190,291 +239,1689 @@ const isValidFileId = (fileId) => {
   return true;
 };
 
+// S3 allows at most 10,000 parts per multipart upload
+const MULTIPART_MAX_PARTS = 10000;
+
+/**
+ * Validate a multipart upload ID issued by the storage backend.
+ * Upload IDs are opaque URL-safe tokens; reject anything else.
+ */
+const isValidUploadId = (uploadId) => {
+  if (!uploadId || typeof uploadId !== 'string') return false;
+  return /^[\w.\-~=+/]{1,1024}$/.test(uploadId);
+};
+
+/**
+ * Validate a multipart part number (1-based, as in S3).
+ */
+const isValidPartNumber = (partNumber) => Number.isInteger(partNumber) && partNumber >= 1 && partNumber <= MULTIPART_MAX_PARTS;
+
+/**
+ * Validate a list of completed parts sent by the client.
+ * Each entry must be { partNumber, etag } with unique part numbers.
+ */
+const isValidPartList = (parts) => {
+  if (!Array.isArray(parts) || parts.length === 0 || parts.length > MULTIPART_MAX_PARTS) return false;
+  const seen = new Set();
+  return parts.every((part) => {
+    if (!part || !isValidPartNumber(part.partNumber) || seen.has(part.partNumber)) return false;
+    seen.add(part.partNumber);
+    return typeof part.etag === 'string' && part.etag.length > 0 && part.etag.length <= 200 && !/[\x00-\x1f]/.test(part.etag);
+  });
+};
+
+/**
+ * Size in bytes of part `partNumber` of a `size`-byte file uploaded in
+ * `partSize`-byte parts: every part is full except the last.
+ * Returns null for part numbers past the last part.
+ */
+const getPartLength = (size, partSize, partNumber) => {
+  const partCount = Math.ceil(size / partSize);
+  if (partNumber > partCount) return null;
+  return partNumber === partCount ? size - (partCount - 1) * partSize : partSize;
+};
+
+/**
+ * Check the parts storage holds against the declared file size before they
+ * are assembled: the client must list every part, and storage must hold
+ * each of them with exactly its expected size. Storage checks the ETags.
+ */
+const partsMatchDeclaredSize = (storedParts, parts, size, partSize) => {
+  const partCount = Math.ceil(size / partSize);
+  if (parts.length !== partCount) return false;
+  const stored = new Map(storedParts.map((part) => [part.partNumber, part]));
+  return parts.every(({ partNumber }) => {
+    const part = stored.get(partNumber);
+    return !!part && part.size === getPartLength(size, partSize, partNumber);
+  });
+};
+
 // Keep validation contracts directly testable without exporting runtime state,
 // AWS clients, credentials, or registered routes.
 Object.defineProperty(exports, '__testValidation', {
-  value: {getValidExtension, isValidFileId, isValidMimeForExtension, isValidPadId},
+  value: {
+    getPartLength,
+    getValidExtension,
+    isContentValidForExtension,
+    isValidFileId,
+    isValidMimeForExtension,
+    isValidPadId,
+    isValidPartList,
+    isValidPartNumber,
+    isValidUploadId,
+    partsMatchDeclaredSize,
+  },
 });
 
 // ============================================================================
-// Hooks
+// Storage
 // ============================================================================
 
 /**
- * loadSettings hook
- * Sync ep_media_upload config into the runtime Settings singleton
+ * Resolve the adapter for the configured storage backend.
+ * Sends the error response and returns null if storage is unusable.
  */
-exports.loadSettings = (hookName, args, cb) => {
+const _resolveStorage = async (res) => {
+  const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
   try {
-    const runtimeSettings = settingsModule.default || settingsModule;
-    if (args && args.settings && args.settings.ep_media_upload) {
-      runtimeSettings.ep_media_upload = args.settings.ep_media_upload;
+    const adapter = await storage.getAdapter(storageCfg);
+    if (!adapter) {
+      res.status(400).json({ error: 'Storage not configured' });
+      return null;
     }
-  } catch (e) {
-    console.warn('[ep_media_upload] Failed to sync settings:', e);
+    return { adapter, storageCfg };
+  } catch (err) {
+    if (err.code !== 'ESTORAGECONFIG') throw err;
+    logger.error(`[ep_media_upload] Storage configuration error: ${err.message}`);
+    res.status(500).json({ error: err.message });
+    return null;
   }
-  cb();
 };
 
+// ============================================================================
+// Route Helpers
+// ============================================================================
+
+// Get client IP for rate limiting and audit logging, honouring rateLimit.trustProxy
+const _getClientIp = (req) => rateLimit.getClientIp(req, rateLimit.getRateLimitSettings(settings.ep_media_upload).trustProxy);
+
+// Actions that change a pad's attachments, refused to read-only users
+const WRITE_ACTIONS = new Set(['upload', 'import', 'delete']);
+// Actions allowed through a read-only pad ID
+const READ_ONLY_ID_ACTIONS = new Set(['download', 'list']);
+
+const _isReadOnlyPadId = (padId) => !!readOnlyManager && readOnlyManager.isReadOnlyId(padId);
+
 /**
- * clientVars hook
- * Exposes plugin settings to client code via clientVars
+ * Resolve a pad ID from a URL that may be a read-only ID. Resolves to the
+ * real pad ID, or null for a read-only ID that belongs to no pad.
  */
-exports.clientVars = (hookName, args, cb) => {
-  const pluginSettings = {
-    storageType: 's3_presigned',
-  };
+const _resolveReadOnlyPadId = async (padId) => {
+  if (!_isReadOnlyPadId(padId)) return padId;
+  return (await readOnlyManager.getPadId(padId)) || null;
+};
 
-  if (!settings.ep_media_upload) {
-    settings.ep_media_upload = {};
+/**
+ * Whether Etherpad marks the requesting user read-only, everywhere or for
+ * pad `padId`
+ */
+const _isReadOnlyUser = (req, padId) => {
+  const user = req.session?.user || null;
+  return !!user && (!!user.readOnly || (!!user.padAuthorizations && user.padAuthorizations[padId] === 'readOnly'));
+};
+
+/**
+ * Verify pad access with Etherpad's SecurityManager.
+ * Sends the error response and returns null if access is not granted,
+ * otherwise returns { authorId, clientIp }.
+ * `action` ("upload" / "download") names the audit event, and `details`
+ * adds fields to it. Read-only pad IDs are only accepted for downloads and
+ * listings, and read-only users cannot upload, import or delete.
+ */
+const _checkPadAccess = async (req, res, padId, action, details = {}) => {
+  // SECURITY: Fail closed - if SecurityManager is unavailable, deny all requests
+  if (!securityManager) {
+    logger.error(`[ep_media_upload] SECURITY: SecurityManager unavailable - denying ${action} request. This should not happen in a properly configured Etherpad instance.`);
+    res.status(500).json({ error: 'Security module unavailable' });
+    return null;
   }
 
-  // Pass allowed file types
-  if (settings.ep_media_upload.fileTypes) {
-    pluginSettings.fileTypes = settings.ep_media_upload.fileTypes;
+  const clientIp = _getClientIp(req);
+
+  const user = req.session?.user || null;
+  if ((_isReadOnlyPadId(padId) && !READ_ONLY_ID_ACTIONS.has(action)) || (_isReadOnlyUser(req, padId) && WRITE_ACTIONS.has(action))) {
+    _audit('warn', `${action.toUpperCase()}_DENIED`, { ip: clientIp, pad: padId, ...details, reason: 'read_only' });
+    res.status(403).json({ error: 'This pad is read-only' });
+    return null;
   }
 
-  // Pass max file size
-  if (settings.ep_media_upload.maxFileSize) {
-    pluginSettings.maxFileSize = settings.ep_media_upload.maxFileSize;
+  try {
+    const sessionCookie = req.cookies?.sessionID || null;
+    const token = req.cookies?.token || null;
+
+    const accessResult = await securityManager.checkAccess(padId, sessionCookie, token, user);
+    if (accessResult.accessStatus !== 'grant') {
+      _audit('warn', `${action.toUpperCase()}_DENIED`, { ip: clientIp, pad: padId, ...details, reason: 'access_denied' });
+      res.status(403).json({ error: 'Access denied to this pad' });
+      return null;
+    }
+    return { authorId: accessResult.authorID || 'unknown', clientIp };
+  } catch (authErr) {
+    logger.error(`[ep_media_upload] ${action} access check error:`, authErr);
+    res.status(500).json({ error: 'Access verification failed' });
+    return null;
   }
+};
 
-  return cb({ ep_media_upload: pluginSettings });
+/**
+ * Allow only Etherpad admins (users with `is_admin` in settings.json).
+ * Sends 403 and returns false otherwise.
+ */
+const _requireAdmin = (req, res, action) => {
+  if (req.session?.user?.is_admin) return true;
+  _audit('warn', `${action.toUpperCase()}_DENIED`, { ip: _getClientIp(req), reason: 'not_admin' });
+  res.status(403).json({ error: 'Admin access required' });
+  return false;
 };
 
 /**
- * eejsBlock_editbarMenuLeft hook
- * Inject toolbar button
+ * Whether `authorId` may delete or replace a file: the uploader of any of
+ * its versions, or an Etherpad admin (`is_admin`)
  */
-exports.eejsBlock_editbarMenuLeft = (hookName, args, cb) => {
-  if (args.renderContext.isReadOnly) return cb();
-  args.content += eejs.require('ep_media_upload/templates/uploadButton.ejs');
-  return cb();
+const _canDelete = (req, record, authorId) => !!req.session?.user?.is_admin ||
+  (authorId !== 'unknown' && [record, ...(record.versions || [])].some((version) => version.authorId === authorId));
+
+/**
+ * Delete every version of a file from storage, then leave a tombstone in
+ * place of its record so its links can say it was removed.
+ * Resolves to the number of deleted objects.
+ */
+const _deleteAttachment = async (adapter, record, deletedBy) => {
+  const keys = attachments.objectKeys(record);
+  for (const key of keys) await adapter.delete(key);
+  await attachments.markDeleted(record, deletedBy);
+  return keys.length;
 };
 
 /**
- * eejsBlock_body hook
- * Inject modal HTML and CSS
+ * Answer a request for a deleted file with 410: a page saying it was removed
+ * for browsers, JSON otherwise
  */
-exports.eejsBlock_body = (hookName, args, cb) => {
-  const modal = eejs.require('ep_media_upload/templates/uploadModal.ejs');
-  args.content += modal;
-  args.content += "<link href='../static/plugins/ep_media_upload/static/css/ep_media_upload.css' rel='stylesheet'>";
-  return cb();
+const _sendAttachmentRemoved = (req, res) => {
+  res.status(410).set('Cache-Control', 'private, no-store');
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.type('html').send(eejs.require('ep_media_upload/templates/attachmentRemoved.ejs'));
+  }
+  return res.json({ error: 'This attachment was removed', code: 'ATTACHMENT_REMOVED' });
 };
 
 /**
- * expressCreateServer hook
- * Register the S3 presign and download endpoints
+ * Read and parse a JSON request body, unless Etherpad's middleware already did.
+ * Throws an Error with code 'EBADBODY' if the body is too large or not JSON.
  */
-exports.expressCreateServer = (hookName, context) => {
-  logger.info('[ep_media_upload] Registering presign endpoint');
+const _readJsonBody = async (req, limit = 2 * 1024 * 1024) => {
+  if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) return req.body;
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw Object.assign(new Error('Request body too large'), { code: 'EBADBODY' });
+    chunks.push(chunk);
+  }
+  if (size === 0) return {};
+  try {
+    const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    if (!body || typeof body !== 'object') throw new Error('not an object');
+    return body;
+  } catch (parseErr) {
+    throw Object.assign(new Error('Invalid JSON body'), { code: 'EBADBODY' });
+  }
+};
 
-  // Route: GET /p/:padId/pluginfw/ep_media_upload/s3_presign
-  context.app.get('/p/:padId/pluginfw/ep_media_upload/s3_presign', async (req, res) => {
-    const { padId } = req.params;
+/**
+ * Check the storage quotas that apply to a new file of `size` bytes (`files`
+ * is 0 for a new version of an existing file).
+ * Sends 413 with the exceeded quota and returns false if it does not fit.
+ */
+const _checkQuota = async (res, { padId, authorId, clientIp, size, files = 1 }) => {
+  const quotaCfg = quota.getQuotaSettings(settings.ep_media_upload);
+  if (!quotaCfg) return true;
+  const exceeded = quota.findExceeded(await quota.getUsage({ padId, authorId, quotaCfg }), size, files);
+  if (!exceeded) return true;
+  _audit('warn', 'UPLOAD_REJECTED', { author: authorId, ip: clientIp, pad: padId, reason: 'quota_exceeded', scope: exceeded.scope, size });
+  res.status(413).json({ error: `Storage quota exceeded for this ${exceeded.scope}`, code: 'QUOTA_EXCEEDED', quota: exceeded });
+  return false;
+};
 
-    /* ------------------ Validate padId ------------------ */
-    if (!isValidPadId(padId)) {
-      return res.status(400).json({ error: 'Invalid pad ID' });
-    }
+/**
+ * Let ep_media_upload_beforeUpload hooks refuse a validated upload (`upload`
+ * from _prepareUpload; `replaces` is the file ID of a file it is a new version
+ * of) or add metadata to its record.
+ * Resolves to { refused } with the message for the user, or to { metadata }.
+ */
+const _beforeUpload = async ({ padId, authorId, clientIp, upload, mimeType, size, source, replaces }) => {
+  const context = {
+    padId,
+    authorId,
+    clientIp,
+    source,
+    fileId: upload.fileId,
+    replaces,
+    filename: upload.originalFilename,
+    mimeType,
+    size,
+    metadata: {},
+  };
+  const refused = await pluginHooks.callVetoHook('ep_media_upload_beforeUpload', context, 'Upload refused');
+  if (refused) {
+    _audit('warn', 'UPLOAD_REJECTED', { author: authorId, ip: clientIp, pad: padId, file: upload.originalFilename, reason: 'hook', message: refused });
+    return { refused };
+  }
+  const { metadata } = context;
+  return { metadata: metadata && typeof metadata === 'object' && Object.keys(metadata).length ? metadata : undefined };
+};
 
-    /* ------------------ Pad Access Verification ------------------ */
-    // Use Etherpad's SecurityManager to verify user has access to this pad
-    // SECURITY: Fail closed - if SecurityManager is unavailable, deny all requests
-    if (!securityManager) {
-      logger.error('[ep_media_upload] SECURITY: SecurityManager unavailable - denying upload request. This should not happen in a properly configured Etherpad instance.');
-      return res.status(500).json({ error: 'Security module unavailable' });
-    }
+/**
+ * Tell ep_media_upload_afterUploadConfirmed hooks about a verified upload
+ */
+const _afterUploadConfirmed = ({ record, authorId, clientIp }) => {
+  pluginHooks.callNotifyHook('ep_media_upload_afterUploadConfirmed', {
+    padId: record.padId,
+    fileId: record.fileId,
+    record: { ...record },
+    authorId,
+    clientIp,
+  });
+};
 
-    // Get client IP for rate limiting and audit logging
-    const clientIp = req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown';
+/**
+ * Let ep_media_upload_beforeDownload hooks refuse to serve a file (an earlier
+ * `version` of it, if given).
+ * Resolves to the refusal message, or null.
+ */
+const _beforeDownload = ({ record, version, authorId, clientIp, disposition }) => pluginHooks.callVetoHook(
+    'ep_media_upload_beforeDownload',
+    { padId: record.padId, fileId: record.fileId, version, record: { ...record }, authorId, clientIp, disposition },
+    'Download refused');
 
-    let authorId = 'unknown';
-    try {
-      const sessionCookie = req.cookies?.sessionID || null;
-      const token = req.cookies?.token || null;
-      const user = req.session?.user || null;
+/**
+ * Multipart upload settings with defaults applied.
+ * Returns null when multipart uploads are disabled.
+ */
+const _getMultipartSettings = () => {
+  const cfg = (settings.ep_media_upload && settings.ep_media_upload.multipart) || {};
+  if (cfg.enabled === false) return null;
+  const MiB = 1024 * 1024;
+  return {
+    threshold: Number(cfg.threshold) || 64 * MiB,
+    // S3 rejects parts smaller than 5 MiB (except the last one)
+    partSize: Math.max(Number(cfg.partSize) || 16 * MiB, 5 * MiB),
+    concurrency: Math.min(Math.max(Number(cfg.concurrency) || 4, 1), 10),
+  };
+};
 
-      const accessResult = await securityManager.checkAccess(padId, sessionCookie, token, user);
-      if (accessResult.accessStatus !== 'grant') {
-        logger.warn(`[ep_media_upload] UPLOAD_DENIED: ip="${clientIp}" pad="${padId}" reason="access_denied"`);
-        return res.status(403).json({ error: 'Access denied to this pad' });
-      }
-      authorId = accessResult.authorID || 'unknown';
-    } catch (authErr) {
-      logger.error('[ep_media_upload] Access check error:', authErr);
-      return res.status(500).json({ error: 'Access verification failed' });
-    }
+// Formats images can be converted to before upload, by their MIME subtype
+const IMAGE_OUTPUT_FORMATS = ['jpeg', 'webp'];
 
-    /* ------------------ Rate limiting --------------------- */
-    if (!_rateLimitCheck(clientIp)) {
-      logger.warn(`[ep_media_upload] UPLOAD_RATE_LIMITED: ip="${clientIp}" pad="${padId}"`);
-      return res.status(429).json({ error: 'Too many presign requests' });
-    }
+/**
+ * Client-side image processing settings with defaults applied: metadata is
+ * stripped from JPEG, PNG and WebP images unless turned off.
+ * Returns null when image processing is disabled.
+ */
+const _getImageProcessingSettings = () => {
+  const cfg = (settings.ep_media_upload && settings.ep_media_upload.imageProcessing) || {};
+  if (cfg.enabled === false) return null;
+  const maxDimension = Number(cfg.maxDimension);
+  const quality = Number(cfg.quality);
+  return {
+    stripMetadata: cfg.stripMetadata !== false,
+    maxDimension: Number.isSafeInteger(maxDimension) && maxDimension > 0 ? maxDimension : null,
+    quality: Number.isFinite(quality) && quality > 0 && quality <= 1 ? quality : 0.9,
+    convert: Array.isArray(cfg.convert)
+      ? cfg.convert.filter((ext) => typeof ext === 'string').map((ext) => ext.replace(/^\./, '').toLowerCase())
+      : [],
+    format: IMAGE_OUTPUT_FORMATS.includes(cfg.format) ? cfg.format : 'jpeg',
+  };
+};
 
-    try {
-      const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
-      if (!storageCfg || storageCfg.type !== 's3_presigned') {
-        return res.status(400).json({ error: 's3_presigned storage not configured' });
-      }
+/**
+ * Validate a requested upload (filename and MIME type) and build its storage key.
+ * Returns { error } with a client-facing message if the upload is not allowed,
+ * otherwise { key, fileId, originalFilename, contentDisposition }.
+ */
+const _prepareUpload = (padId, name, type, keyPrefix) => {
+  if (!name || !type || typeof name !== 'string' || typeof type !== 'string') {
+    return { error: 'Missing name or type query parameters' };
+  }
 
-      if (!S3Client || !PutObjectCommand || !getSignedUrl) {
-        return res.status(500).json({ error: 'AWS SDK not available on server' });
-      }
+  /* ------------- Extension validation ------------ */
+  const extName = getValidExtension(name);
+  if (!extName) {
+    return { error: 'Invalid filename: missing extension' };
+  }
 
-      const { bucket, region, expires, keyPrefix } = storageCfg;
-      if (!bucket || !region) {
-        return res.status(500).json({ error: 'Invalid S3 configuration: missing bucket or region' });
-      }
+  /* ------------- Extension allow-list ------------ */
+  if (settings.ep_media_upload && settings.ep_media_upload.fileTypes && Array.isArray(settings.ep_media_upload.fileTypes)) {
+    const allowedExts = settings.ep_media_upload.fileTypes;
+    if (!allowedExts.includes(extName)) {
+      return { error: 'File type not allowed' };
+    }
+  }
 
-      const { name, type } = req.query;
-      if (!name || !type) {
-        return res.status(400).json({ error: 'Missing name or type query parameters' });
-      }
+  /* ------------- MIME type validation ------------ */
+  // Prevent MIME type spoofing (e.g., uploading .txt with Content-Type: text/html)
+  if (!isValidMimeForExtension(extName, type)) {
+    logger.warn(`[ep_media_upload] MIME mismatch: ext=${extName}, type=${type}`);
+    return { error: 'MIME type does not match file extension' };
+  }
 
-      /* ------------- Extension validation ------------ */
-      const extName = getValidExtension(name);
-      if (!extName) {
-        return res.status(400).json({ error: 'Invalid filename: missing extension' });
-      }
+  // Build S3 key with optional prefix for path-based routing (e.g., CloudFront origins)
+  const prefix = keyPrefix || '';
+  const safeExt = `.${extName}`;
+  const objectPath = `${padId}/${randomUUID()}${safeExt}`;  // e.g., "myPad/abc123.pdf"
+  const key = `${prefix}${objectPath}`;                     // e.g., "uploads/myPad/abc123.pdf"
 
-      /* ------------- Extension allow-list ------------ */
-      if (settings.ep_media_upload && settings.ep_media_upload.fileTypes && Array.isArray(settings.ep_media_upload.fileTypes)) {
-        const allowedExts = settings.ep_media_upload.fileTypes;
-        if (!allowedExts.includes(extName)) {
-          return res.status(400).json({ error: 'File type not allowed' });
-        }
-      }
+  // Extract original filename for Content-Disposition header
+  // This ensures files download with their original name instead of the UUID
+  const originalFilename = sanitizeFilename(name) || `file.${extName}`;
+  const contentDisposition = buildContentDisposition('attachment', originalFilename);
 
-      /* ------------- MIME type validation ------------ */
-      // Prevent MIME type spoofing (e.g., uploading .txt with Content-Type: text/html)
-      if (!isValidMimeForExtension(extName, type)) {
-        logger.warn(`[ep_media_upload] MIME mismatch: ext=${extName}, type=${type}`);
-        return res.status(400).json({ error: 'MIME type does not match file extension' });
-      }
+  const fileId = path.basename(key); // e.g., "abc123-def456.pdf"
 
-      // Build S3 key with optional prefix for path-based routing (e.g., CloudFront origins)
-      const prefix = keyPrefix || '';
-      const safeExt = `.${extName}`;
-      const objectPath = `${padId}/${randomUUID()}${safeExt}`;  // e.g., "myPad/abc123.pdf"
-      const key = `${prefix}${objectPath}`;                     // e.g., "uploads/myPad/abc123.pdf"
+  return { key, fileId, originalFilename, contentDisposition };
+};
 
-      const s3Client = new S3Client({ region }); // credentials from env / IAM role
+/**
+ * Return the attachment record for a file. Files uploaded before records
+ * existed get one built from the stored object's metadata, once.
+ * Resolves to null if neither a record nor the object exists.
+ */
+const _getOrBackfillRecord = async (adapter, padId, fileId, key) => {
+  const record = await attachments.get(padId, fileId);
+  if (record) return record;
+
+  const objectStat = await adapter.stat(key);
+  if (!objectStat) return null;
+  return attachments.create({
+    padId,
+    fileId,
+    key,
+    authorId: null,
+    originalFilename: filenameFromDisposition(objectStat.contentDisposition) || fileId,
+    size: objectStat.size,
+    mimeType: objectStat.contentType || null,
+    createdAt: objectStat.lastModified ? new Date(objectStat.lastModified).getTime() : Date.now(),
+    status: attachments.STATUS_AVAILABLE,
+  });
+};
 
-      // Extract original filename for Content-Disposition header
-      // This ensures files download with their original name instead of the UUID
-      const originalFilename = path.basename(name);
-      const safeFilename = originalFilename.replace(/[^\w\-_.]/g, '_'); // Sanitize for header
-      const contentDisposition = `attachment; filename="${safeFilename}"`;
+/**
+ * Check a request to upload a new version of file `fileId` (the `replace`
+ * parameter of an upload named `name`). Links carry the file ID, extension
+ * included, so a new version must keep the extension. For requests `req`
+ * from the pad, only those who may delete the file may replace it; the HTTP
+ * API passes none.
+ * Resolves to { fileId } of the file to replace, or { error, status }.
+ */
+const _checkReplacement = async ({ adapter, storageCfg, padId, fileId, name, req, authorId }) => {
+  if (!isValidFileId(fileId)) return { error: 'Invalid file ID', status: 400 };
+  const record = await _getOrBackfillRecord(adapter, padId, fileId, `${storageCfg.keyPrefix || ''}${padId}/${fileId}`);
+  if (!record || record.status !== attachments.STATUS_AVAILABLE) return { error: 'File not found', status: 404 };
+  if (req && !_canDelete(req, record, authorId)) {
+    _audit('warn', 'UPLOAD_DENIED', { author: authorId, ip: _getClientIp(req), pad: padId, file: fileId, reason: 'not_uploader' });
+    return { error: 'Only the uploader or an admin can replace this file', status: 403 };
+  }
+  if (getValidExtension(name) !== getValidExtension(fileId)) {
+    return { error: `A new version must be a .${getValidExtension(fileId)} file`, status: 400 };
+  }
+  return { fileId };
+};
 
-      const putCommand = new PutObjectCommand({
-        Bucket: bucket,
-        Key: key,
-        ContentType: type,
-        // Force download instead of opening in browser
-        ContentDisposition: contentDisposition,
-      });
+/**
+ * Validate and store a file the server receives itself (bundle imports and
+ * the HTTP API), then create its record and start its scan. `body` is an
+ * async iterable of exactly `size` bytes; `usage` is the quota usage to check
+ * and count the file against; `source` tells hooks where the file came from;
+ * `replaces` is the file ID of a file it is a new version of (checked by
+ * _checkReplacement).
+ * Resolves to { upload, record }, or { error, status } if the file was refused.
+ */
+const _storeServerUpload = async ({ adapter, storageCfg, padId, authorId, clientIp, source, name, mimeType, size, body, usage, replaces }) => {
+  const upload = _prepareUpload(padId, name, mimeType, storageCfg.keyPrefix);
+  if (upload.error) return { error: upload.error, status: 400 };
+  const maxFileSize = settings.ep_media_upload.maxFileSize;
+  if (maxFileSize && size > maxFileSize) return { error: 'File too large', status: 413 };
+  const files = replaces ? 0 : 1;
+  if (quota.findExceeded(usage, size, files)) return { error: 'Storage quota exceeded', status: 413 };
+  const { head, stream } = await peekStream(body, SNIFF_BYTES);
+  if (!isContentValidForExtension(getValidExtension(name), head)) {
+    return { error: 'Content does not match the file extension', status: 422 };
+  }
+  const { refused, metadata } = await _beforeUpload({ padId, authorId, clientIp, upload, mimeType, size, source, replaces });
+  if (refused) return { error: refused, status: 403 };
+
+  await adapter.putObject({
+    key: upload.key,
+    body: stream,
+    contentLength: size,
+    contentType: mimeType,
+    contentDisposition: upload.contentDisposition,
+  });
+  let record;
+  try {
+    record = await attachments.create({
+      padId,
+      fileId: upload.fileId,
+      key: upload.key,
+      authorId,
+      originalFilename: upload.originalFilename,
+      size,
+      mimeType,
+      metadata,
+      replaces,
+      status: replaces ? attachments.STATUS_UPLOADING : attachments.STATUS_AVAILABLE,
+    });
+    if (replaces) record = await attachments.addVersion(record, size);
+  } catch (err) {
+    await adapter.delete(upload.key);
+    throw err;
+  }
+  if (!record) {
+    await adapter.delete(upload.key);
+    return { error: 'The file being replaced no longer exists', status: 404 };
+  }
+  quota.addUsage(usage, size, files);
+  _afterUploadConfirmed({ record, authorId, clientIp });
+  const scanCfg = scan.getScanSettings(settings.ep_media_upload);
+  if (scanCfg) scan.startScan({ adapter, key: upload.key, padId, fileId: record.fileId, scanCfg, logger });
+  return { upload, record };
+};
 
-      const signedUrl = await getSignedUrl(s3Client, putCommand, { expiresIn: expires || 600 });
+/**
+ * Describe attachment records of pad `padId` (or its read-only ID) for
+ * listings: name, size, uploader and download URL, plus the scan verdict when scanning is
+ * enabled and the earlier versions of replaced files. With `canDelete`, a
+ * predicate on records, entries also say whether the requester may delete them.
+ */
+const _describeAttachments = async (padId, records, canDelete) => {
+  // Resolve each uploader's display name once
+  const authorNames = new Map();
+  if (authorManager) {
+    const authorIds = [...new Set(records
+        .flatMap((record) => [record, ...(record.versions || [])])
+        .map((version) => version.authorId)
+        .filter(Boolean))];
+    await Promise.all(authorIds.map(async (authorId) => {
+      try {
+        authorNames.set(authorId, (await authorManager.getAuthorName(authorId)) || null);
+      } catch (nameErr) {
+        authorNames.set(authorId, null);
+      }
+    }));
+  }
 
-      // Build secure download URL (relative path that goes through our auth-protected endpoint)
-      // Using query parameter for fileId to ensure Express 4/5 compatibility (path params don't handle dots well in Express 5)
-      const fileId = path.basename(key); // e.g., "abc123-def456.pdf"
-      const downloadUrl = `/p/${encodeURIComponent(padId)}/pluginfw/ep_media_upload/download?file=${encodeURIComponent(fileId)}`;
+  const scanning = !!scan.getScanSettings(settings.ep_media_upload);
+  return records.map((record) => ({
+    fileId: record.fileId,
+    name: record.originalFilename || record.fileId,
+    size: record.size,
+    mimeType: record.mimeType || null,
+    authorId: record.authorId || null,
+    authorName: authorNames.get(record.authorId) || null,
+    createdAt: record.createdAt,
+    downloadUrl: padLinks.buildDownloadUrl(padId, record.fileId),
+    ...(scanning ? { scanStatus: record.scan ? record.scan.status : scan.VERDICT_PENDING } : {}),
+    ...(canDelete ? { canDelete: canDelete(record) } : {}),
+    ...(record.versions ? {
+      version: record.version,
+      updatedAt: record.updatedAt,
+      // Newest first, like the listing
+      versions: [...record.versions].reverse().map((version) => ({
+        version: version.version,
+        name: version.originalFilename || record.fileId,
+        size: version.size,
+        authorId: version.authorId || null,
+        authorName: authorNames.get(version.authorId) || null,
+        createdAt: version.createdAt,
+        downloadUrl: padLinks.buildDownloadUrl(padId, record.fileId, version.version),
+        ...(scanning ? { scanStatus: version.scan ? version.scan.status : scan.VERDICT_PENDING } : {}),
+      })),
+    } : {}),
+  }));
+};
 
-      // Log upload request for audit trail
-      // Note: Never log tokens or session cookies - only non-sensitive identifiers
-      const username = req.session?.user?.username || 'anonymous';
-      logger.info(`[ep_media_upload] UPLOAD: author="${authorId}" user="${username}" ip="${clientIp}" pad="${padId}" file="${originalFilename}" s3key="${key}"`);
+/**
+ * Verify an uploaded object against its record before its link is handed
+ * out: size, stored Content-Type, and the first bytes against the extension.
+ * Marks the record available (or, for a new version, makes it the current
+ * version of the file it replaces) and starts its scan, or deletes (or moves
+ * under `quarantinePrefix`) a mismatching object. Only the author who started
+ * a pending upload may confirm it, unless `anyAuthor` is set (HTTP API).
+ * Resolves to { status, body } for the response.
+ */
+const _confirmUpload = async ({ adapter, storageCfg, padId, fileId, size, authorId, clientIp, anyAuthor = false }) => {
+  const record = await attachments.get(padId, fileId);
+  if (!record || record.status === attachments.STATUS_DELETED) {
+    return { status: 404, body: { error: 'File not found' } };
+  }
+  if (!anyAuthor && record.status === attachments.STATUS_UPLOADING && record.authorId !== authorId) {
+    _audit('warn', 'UPLOAD_DENIED', { author: authorId, ip: clientIp, pad: padId, file: fileId, reason: 'not_uploader' });
+    return { status: 403, body: { error: 'Only the uploader can finish this upload' } };
+  }
+  const { key } = record;
+  const scanCfg = scan.getScanSettings(settings.ep_media_upload);
 
-      // Return downloadUrl for hyperlink insertion (authenticated download endpoint)
-      // Also return signedUrl for the actual S3 upload and contentDisposition for PUT headers
-      return res.json({ signedUrl, downloadUrl, contentDisposition });
-    } catch (err) {
-      logger.error('[ep_media_upload] S3 presign error', err);
-      return res.status(500).json({ error: 'Failed to generate presigned URL' });
-    }
-  });
+  // Confirming twice (e.g. a retried request) just reports the outcome
+  if (record.status === attachments.STATUS_AVAILABLE) {
+    const scanStatus = scanCfg ? (record.scan ? record.scan.status : scan.VERDICT_PENDING) : undefined;
+    return { status: 200, body: { downloadUrl: padLinks.buildDownloadUrl(padId, fileId), scanStatus } };
+  }
 
-  // ============================================================================
-  // Download Endpoint - Secure file access via presigned GET URL redirect
-  // ============================================================================
-  // Route: GET /p/:padId/pluginfw/ep_media_upload/download?file=<fileId>
-  // Using query parameter for fileId to ensure Express 4/5 compatibility
-  logger.info('[ep_media_upload] Registering download endpoint');
+  const objectStat = await adapter.stat(key);
+  if (!objectStat) {
+    return { status: 404, body: { error: 'File not found' } };
+  }
 
-  context.app.get('/p/:padId/pluginfw/ep_media_upload/download', async (req, res) => {
-    const { padId } = req.params;
-    const fileId = req.query.file;
+  /* ------------- Verify size, type and content ------------ */
+  const extName = getValidExtension(fileId);
+  const maxFileSize = settings.ep_media_upload.maxFileSize;
+  let reason = null;
+  // Quotas counted the declared size, so a larger object is refused too
+  if ((size !== undefined && size !== objectStat.size) || objectStat.size > record.size) {
+    reason = 'size_mismatch';
+  } else if (maxFileSize && objectStat.size > maxFileSize) {
+    reason = 'too_large';
+  } else if (objectStat.contentType && !isValidMimeForExtension(extName, objectStat.contentType)) {
+    reason = 'mime_mismatch';
+  } else if (typeof adapter.readRange === 'function') {
+    const sample = objectStat.size > 0
+      ? await adapter.readRange(key, { start: 0, end: Math.min(objectStat.size, SNIFF_BYTES) - 1 })
+      : Buffer.alloc(0);
+    if (!isContentValidForExtension(extName, sample)) reason = 'content_mismatch';
+  } else {
+    logger.warn(`[ep_media_upload] Storage backend "${storageCfg.type}" cannot read ranges; skipping content check for key="${key}"`);
+  }
 
-    /* ------------------ Validate padId ------------------ */
-    if (!isValidPadId(padId)) {
-      return res.status(400).json({ error: 'Invalid pad ID' });
+  if (reason) {
+    const quarantine = settings.ep_media_upload.onContentMismatch === 'quarantine' && typeof adapter.copy === 'function';
+    if (quarantine) {
+      const quarantinePrefix = settings.ep_media_upload.quarantinePrefix || 'quarantine/';
+      await adapter.copy(key, `${quarantinePrefix}${key}`);
     }
+    await adapter.delete(key);
+    await attachments.remove(padId, fileId);
+    _audit('warn', 'UPLOAD_REJECTED', { author: authorId, ip: clientIp, pad: padId, file: fileId, reason, action: quarantine ? 'quarantined' : 'deleted' });
+    return { status: 422, body: { error: 'Uploaded file does not match its declared type or size' } };
+  }
 
-    /* ------------------ Validate fileId ------------------ */
-    if (!isValidFileId(fileId)) {
-      return res.status(400).json({ error: 'Invalid file ID' });
+  /* ------------- New version of an existing file ------------ */
+  // From here on the upload is known under the ID of the file it replaced,
+  // which the response returns so the client polls the right scan status
+  let confirmed;
+  let confirmedFileId = fileId;
+  if (record.replaces) {
+    confirmed = await attachments.addVersion(record, objectStat.size);
+    if (!confirmed) {
+      await adapter.delete(key);
+      return { status: 404, body: { error: 'The file being replaced no longer exists' } };
     }
+    confirmedFileId = confirmed.fileId;
+  } else {
+    confirmed = await attachments.update(padId, fileId, { status: attachments.STATUS_AVAILABLE, size: objectStat.size });
+  }
+  _audit('info', 'UPLOAD_CONFIRMED', {
+    author: authorId, ip: clientIp, pad: padId, file: confirmedFileId, version: record.replaces ? confirmed.version : undefined, size: objectStat.size,
+  });
+  if (confirmed) _afterUploadConfirmed({ record: confirmed, authorId, clientIp });
 
-    /* ------------------ Pad Access Verification ------------------ */
-    // Use Etherpad's SecurityManager to verify user has access to this pad
-    // SECURITY: Fail closed - if SecurityManager is unavailable, deny all requests
-    if (!securityManager) {
-      logger.error('[ep_media_upload] SECURITY: SecurityManager unavailable - denying download request. This should not happen in a properly configured Etherpad instance.');
-      return res.status(500).json({ error: 'Security module unavailable' });
-    }
+  const body = { downloadUrl: padLinks.buildDownloadUrl(padId, confirmedFileId) };
+  if (record.replaces) Object.assign(body, { fileId: confirmedFileId, version: confirmed.version });
+
+  // Scan in the background; the client polls scan_status before linking
+  if (scanCfg) {
+    scan.startScan({ adapter, key, padId, fileId: confirmedFileId, scanCfg, logger });
+    return { status: 200, body: { ...body, scanStatus: scan.VERDICT_PENDING } };
+  }
+  return { status: 200, body };
+};
 
-    // Get client IP for rate limiting and audit logging
-    const clientIp = req.ip || req.headers['x-forwarded-for'] || req.connection?.remoteAddress || 'unknown';
+// ============================================================================
+// HTTP API
+// ============================================================================
 
-    let authorId = 'unknown';
-    try {
-      const sessionCookie = req.cookies?.sessionID || null;
-      const token = req.cookies?.token || null;
-      const user = req.session?.user || null;
+const API_VERSION = '1';
+const API_CODE_OK = 0;
+const API_CODE_BAD_PARAMS = 1;
+const API_CODE_INTERNAL = 2;
+const API_CODE_BAD_KEY = 4;
 
-      const accessResult = await securityManager.checkAccess(padId, sessionCookie, token, user);
-      if (accessResult.accessStatus !== 'grant') {
-        logger.warn(`[ep_media_upload] DOWNLOAD_DENIED: ip="${clientIp}" pad="${padId}" file="${fileId}" reason="access_denied"`);
-        return res.status(403).json({ error: 'Access denied to this pad' });
-      }
-      authorId = accessResult.authorID || 'unknown';
-    } catch (authErr) {
-      logger.error('[ep_media_upload] Download access check error:', authErr);
-      return res.status(500).json({ error: 'Access verification failed' });
-    }
+// Etherpad's API key, read once per key file: { file, apiKey }
+let _etherpadApiKey = null;
 
-    /* ------------------ Rate limiting --------------------- */
-    if (!_rateLimitCheck(clientIp)) {
-      logger.warn(`[ep_media_upload] DOWNLOAD_RATE_LIMITED: ip="${clientIp}" pad="${padId}" file="${fileId}"`);
-      return res.status(429).json({ error: 'Too many download requests' });
-    }
+/**
+ * The key the HTTP API accepts: `api.apiKey`, or Etherpad's own key from the
+ * file named by its `apiKeyFile` setting (APIKEY.txt in the Etherpad root by
+ * default). Returns null when the API is disabled or no key is available.
+ */
+const _getApiKey = () => {
+  const apiCfg = (settings.ep_media_upload && settings.ep_media_upload.api) || {};
+  if (!apiCfg.enabled) return null;
+  if (typeof apiCfg.apiKey === 'string' && apiCfg.apiKey.trim()) return apiCfg.apiKey.trim();
 
+  const file = path.resolve(settings.root || process.cwd(), settings.apiKeyFile || 'APIKEY.txt');
+  if (!_etherpadApiKey || _etherpadApiKey.file !== file) {
     try {
-      const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
-      if (!storageCfg || storageCfg.type !== 's3_presigned') {
-        return res.status(400).json({ error: 's3_presigned storage not configured' });
-      }
+      _etherpadApiKey = { file, apiKey: fs.readFileSync(file, 'utf8').trim() || null };
+    } catch (err) {
+      logger.warn(`[ep_media_upload] Cannot read Etherpad's API key from ${file}; set api.apiKey instead: ${err.message}`);
+      return null;
+    }
+  }
+  return _etherpadApiKey.apiKey;
+};
 
-      if (!S3Client || !GetObjectCommand || !getSignedUrl) {
-        return res.status(500).json({ error: 'AWS SDK not available on server' });
-      }
+/**
+ * Check the key sent with an API request (`apikey` / `api_key` parameter or an
+ * Authorization header, optionally "Bearer …") in constant time
+ */
+const _isValidApiKey = (req, params) => {
+  const expected = _getApiKey();
+  const header = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const provided = params.apikey || params.api_key || header;
+  if (!expected || !provided || typeof provided !== 'string') return false;
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(provided.trim()), digest(expected));
+};
 
-      const { bucket, region, keyPrefix, downloadExpires } = storageCfg;
-      if (!bucket || !region) {
-        return res.status(500).json({ error: 'Invalid S3 configuration: missing bucket or region' });
-      }
+/**
+ * Collect API parameters from the query string and, except for file uploads,
+ * a JSON or form-encoded body, the way Etherpad's API accepts them
+ */
+const _readApiParams = async (req, withBody) => {
+  const params = { ...req.query };
+  if (!withBody || req.method !== 'POST') return params;
+  if (/^application\/x-www-form-urlencoded/i.test(req.headers['content-type'] || '')) {
+    if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) return { ...params, ...req.body };
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > 64 * 1024) throw Object.assign(new Error('Request body too large'), { code: 'EBADBODY' });
+      chunks.push(chunk);
+    }
+    return { ...params, ...Object.fromEntries(new URLSearchParams(Buffer.concat(chunks).toString('utf8'))) };
+  }
+  return { ...params, ...(await _readJsonBody(req, 64 * 1024)) };
+};
 
-      // Construct S3 key from padId and fileId
-      // Key format: keyPrefix + padId + "/" + fileId
-      // e.g., "uploads/myPad/abc123-def456.pdf"
-      const prefix = keyPrefix || '';
-      const key = `${prefix}${padId}/${fileId}`;
+/**
+ * Error for an API request with wrong parameters: answered with code 1 and
+ * `status` (400 unless the problem is a missing file, a size limit, …)
+ */
+const _apiError = (message, status = 400) => Object.assign(new Error(message), { code: 'EAPIPARAM', status });
 
-      // Extract file extension to determine inline vs attachment disposition
-      const fileExtension = getValidExtension(fileId);
+/**
+ * Insert a link to an attachment as its own line of the pad and push the new
+ * revision to connected clients. Resolves to the line the link is on.
+ */
+const _insertAttachmentLink = async ({ padId, fileId, name, line, authorId }) => {
+  const pad = await padModules.padManager.getPad(padId);
+  const insertedAt = await padLinks.insertLinkLine(pad, {
+    line,
+    url: padLinks.buildDownloadUrl(padId, fileId),
+    text: name,
+    authorId,
+  });
+  await padModules.padMessageHandler.updatePadClients(pad);
+  return insertedAt;
+};
+
+// ============================================================================
+// Orphan Sweep
+// ============================================================================
+let _sweepTimer = null;
+
+/**
+ * Run the orphan sweep with the current settings. `overrides` replace
+ * individual sweep settings (e.g. an admin asking for a report only).
+ */
+const _runSweep = async (overrides = {}) => {
+  const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
+  const adapter = await storage.getAdapter(storageCfg);
+  if (!adapter) throw Object.assign(new Error('Storage not configured'), { code: 'ESTORAGECONFIG' });
+  const sweepCfg = { ...cleanup.getSweepSettings(settings.ep_media_upload), ...overrides };
+  return cleanup.sweep({ adapter, storageCfg, sweepCfg, logger });
+};
+
+/**
+ * (Re)start the periodic sweep from `sweep.intervalHours`
+ */
+const _scheduleSweep = () => {
+  if (_sweepTimer) clearInterval(_sweepTimer);
+  _sweepTimer = null;
+  const { intervalHours } = cleanup.getSweepSettings(settings.ep_media_upload);
+  if (!intervalHours) return;
+  _sweepTimer = setInterval(() => {
+    _runSweep().catch((err) => _audit('error', 'SWEEP_FAILED', { error: err.message }));
+  }, intervalHours * 60 * 60 * 1000);
+  _sweepTimer.unref();
+};
+
+// ============================================================================
+// Admin Page
+// ============================================================================
+
+// Audit events listed on the admin page
+const ADMIN_EVENT_PATTERN = /^(API_)?(UPLOAD|DOWNLOAD)/;
+const ADMIN_EVENT_LIMIT = 100;
+
+/**
+ * The settings the plugin runs with, defaults applied, for the admin page.
+ * Credentials are redacted by the caller.
+ */
+const _getEffectiveSettings = () => {
+  const pluginSettings = settings.ep_media_upload || {};
+  const apiCfg = pluginSettings.api || {};
+  return {
+    storageType: (pluginSettings.storage && pluginSettings.storage.type) || null,
+    fileTypes: pluginSettings.fileTypes || null,
+    maxFileSize: pluginSettings.maxFileSize || null,
+    multipart: _getMultipartSettings(),
+    imageProcessing: _getImageProcessingSettings(),
+    scan: scan.getScanSettings(pluginSettings),
+    quotas: quota.getQuotaSettings(pluginSettings),
+    rateLimit: rateLimit.getRateLimitSettings(pluginSettings),
+    sweep: cleanup.getSweepSettings(pluginSettings),
+    api: {
+      enabled: !!apiCfg.enabled,
+      keySource: !apiCfg.enabled ? null : (typeof apiCfg.apiKey === 'string' && apiCfg.apiKey.trim() ? 'api.apiKey' : 'APIKEY.txt'),
+    },
+    auditFile: (pluginSettings.audit && pluginSettings.audit.file) || null,
+  };
+};
+
+// ============================================================================
+// Hooks
+// ============================================================================
+
+/**
+ * loadSettings hook
+ * Sync ep_media_upload config into the runtime Settings singleton
+ */
+exports.loadSettings = (hookName, args, cb) => {
+  try {
+    const runtimeSettings = settingsModule.default || settingsModule;
+    if (args && args.settings && args.settings.ep_media_upload) {
+      runtimeSettings.ep_media_upload = args.settings.ep_media_upload;
+    }
+
+    // Build the storage adapter (and its shared S3 client) and the rate limit
+    // store once from the new config so misconfiguration is logged at
+    // startup, not on first upload
+    const storageCfg = runtimeSettings.ep_media_upload && runtimeSettings.ep_media_upload.storage;
+    storage.getAdapter(storageCfg).catch((err) => {
+      logger.error(`[ep_media_upload] Storage configuration error: ${err.message}`);
+    });
+    const rateCfg = rateLimit.getRateLimitSettings(runtimeSettings.ep_media_upload);
+    rateLimit.getStore(rateCfg.store).catch((err) => {
+      logger.error(`[ep_media_upload] Rate limit configuration error: ${err.message}`);
+    });
+    audit.configure(runtimeSettings.ep_media_upload).catch((err) => {
+      logger.error(`[ep_media_upload] Audit configuration error: ${err.message}`);
+    });
+    _scheduleSweep();
+  } catch (e) {
+    console.warn('[ep_media_upload] Failed to sync settings:', e);
+  }
+  cb();
+};
+
+/**
+ * clientVars hook
+ * Exposes plugin settings to client code via clientVars
+ */
+exports.clientVars = (hookName, args, cb) => {
+  if (!settings.ep_media_upload) {
+    settings.ep_media_upload = {};
+  }
+
+  const storageCfg = settings.ep_media_upload.storage;
+  const pluginSettings = {
+    storageType: (storageCfg && storageCfg.type) || 's3_presigned',
+  };
+
+  // Pass allowed file types
+  if (settings.ep_media_upload.fileTypes) {
+    pluginSettings.fileTypes = settings.ep_media_upload.fileTypes;
+  }
+
+  // Pass max file size
+  if (settings.ep_media_upload.maxFileSize) {
+    pluginSettings.maxFileSize = settings.ep_media_upload.maxFileSize;
+  }
+
+  // Pass multipart thresholds (the server still decides if the backend supports it)
+  const multipart = _getMultipartSettings();
+  if (multipart) {
+    pluginSettings.multipart = multipart;
+  }
+
+  // Images are stripped of metadata, resized or converted before upload
+  const imageProcessing = _getImageProcessingSettings();
+  if (imageProcessing) {
+    pluginSettings.imageProcessing = imageProcessing;
+  }
+
+  // Lets the upload queue check quota usage before uploading
+  if (quota.getQuotaSettings(settings.ep_media_upload)) {
+    pluginSettings.quotas = true;
+  }
+
+  // Opt-in rendering of uploaded images, audio and video inside the editor
+  if (settings.ep_media_upload.inlineMedia === true) {
+    pluginSettings.inlineMedia = true;
+  }
+
+  // Read-only viewers get the pad's download links through its read-only
+  // ID, so the links do not reveal the writable pad ID
+  const { clientVars, pad } = args || {};
+  const apool = clientVars && clientVars.collab_client_vars && clientVars.collab_client_vars.apool;
+  if (clientVars && clientVars.readonly && pad && apool && clientVars.padId !== pad.id) {
+    padLinks.rewriteLinkPadInPool(apool, pad.id, clientVars.padId);
+  }
+
+  return cb({ ep_media_upload: pluginSettings });
+};
+
+/**
+ * eejsBlock_editbarMenuLeft hook
+ * Inject toolbar button
+ */
+exports.eejsBlock_editbarMenuLeft = (hookName, args, cb) => {
+  if (args.renderContext.isReadOnly) return cb();
+  args.content += eejs.require('ep_media_upload/templates/uploadButton.ejs');
+  return cb();
+};
+
+/**
+ * eejsBlock_body hook
+ * Inject upload queue, attachments panel and link menu HTML and CSS
+ */
+exports.eejsBlock_body = (hookName, args, cb) => {
+  const queue = eejs.require('ep_media_upload/templates/uploadQueue.ejs');
+  args.content += queue;
+  args.content += eejs.require('ep_media_upload/templates/attachmentsPanel.ejs');
+  args.content += eejs.require('ep_media_upload/templates/linkMenu.ejs');
+  args.content += "<link href='../static/plugins/ep_media_upload/static/css/ep_media_upload.css' rel='stylesheet'>";
+  return cb();
+};
+
+/**
+ * eejsBlock_exportColumn hook
+ * Add the bundle export links to the import/export dialog
+ */
+exports.eejsBlock_exportColumn = (hookName, args, cb) => {
+  args.content += eejs.require('ep_media_upload/templates/exportBundle.ejs');
+  return cb();
+};
+
+/**
+ * eejsBlock_importColumn hook
+ * Add the bundle import control to the import/export dialog
+ */
+exports.eejsBlock_importColumn = (hookName, args, cb) => {
+  args.content += eejs.require('ep_media_upload/templates/importBundle.ejs');
+  return cb();
+};
+
+/**
+ * expressCreateServer hook
+ * Register the presign, multipart, direct upload, confirm, scan status,
+ * attachments listing, delete, quota, download, bundle export/import,
+ * admin sweep and admin page endpoints
+ */
+exports.expressCreateServer = (hookName, context) => {
+  logger.info('[ep_media_upload] Registering presign endpoint');
+
+  // Route: GET /p/:padId/pluginfw/ep_media_upload/s3_presign?name=&type=&size=
+  // With replace=<fileId> the upload becomes a new version of that file once
+  // it is confirmed.
+  context.app.get('/p/:padId/pluginfw/ep_media_upload/s3_presign', async (req, res) => {
+    const { padId } = req.params;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    /* ------------------ Pad Access Verification ------------------ */
+    // Use Etherpad's SecurityManager to verify user has access to this pad
+    const access = await _checkPadAccess(req, res, padId, 'upload');
+    if (!access) return;
+    const { authorId, clientIp } = access;
+
+    /* ------------------ Rate limiting --------------------- */
+    const limited = await _rateLimitExceeded(res, 'upload', access);
+    if (limited) {
+      _audit('warn', 'UPLOAD_RATE_LIMITED', { author: authorId, ip: clientIp, pad: padId, limit: limited });
+      return res.status(429).json({ error: 'Too many presign requests' });
+    }
+
+    try {
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+      const { adapter, storageCfg } = resolved;
+      const { expires, keyPrefix } = storageCfg;
+
+      const { name, type } = req.query;
+
+      /* ------------- Size validation ------------ */
+      // The declared size is bound into the upload signature, so storage
+      // refuses any body that is larger (or smaller) than what we checked here
+      const size = Number(req.query.size);
+      if (req.query.size === undefined || req.query.size === '' || !Number.isSafeInteger(size) || size < 0) {
+        return res.status(400).json({ error: 'Missing or invalid file size' });
+      }
+      const maxFileSize = settings.ep_media_upload.maxFileSize;
+      if (maxFileSize && size > maxFileSize) {
+        _audit('warn', 'UPLOAD_REJECTED', { author: authorId, ip: clientIp, pad: padId, reason: 'too_large', size });
+        return res.status(413).json({ error: 'File too large' });
+      }
+
+      const upload = _prepareUpload(padId, name, type, keyPrefix);
+      if (upload.error) {
+        return res.status(400).json({ error: upload.error });
+      }
+      const { key, fileId, originalFilename, contentDisposition } = upload;
+
+      /* ------------- New version of an existing file ------------ */
+      let replaces;
+      if (req.query.replace !== undefined) {
+        const replacement = await _checkReplacement({ adapter, storageCfg, padId, fileId: req.query.replace, name, req, authorId });
+        if (replacement.error) {
+          return res.status(replacement.status).json({ error: replacement.error });
+        }
+        replaces = replacement.fileId;
+      }
+      if (!(await _checkQuota(res, { padId, authorId, clientIp, size, files: replaces ? 0 : 1 }))) return;
+
+      /* ------------- Plugin hooks ------------ */
+      const { refused, metadata } = await _beforeUpload({ padId, authorId, clientIp, upload, mimeType: type, size, source: 'presign', replaces });
+      if (refused) {
+        return res.status(403).json({ error: refused });
+      }
+
+      const { signedUrl, headers } = await adapter.createUploadTarget({
+        padId,
+        fileId,
+        key,
+        contentType: type,
+        contentDisposition,
+        contentLength: size,
+        expiresIn: expires || 600,
+      });
+
+      await attachments.create({
+        padId,
+        fileId,
+        key,
+        authorId,
+        originalFilename,
+        size,
+        mimeType: type,
+        metadata,
+        replaces,
+        status: attachments.STATUS_UPLOADING,
+      });
+
+      // Log upload request for audit trail
+      // Note: Never log tokens or session cookies - only non-sensitive identifiers
+      const username = req.session?.user?.username || 'anonymous';
+      _audit('info', 'UPLOAD', { author: authorId, user: username, ip: clientIp, pad: padId, file: originalFilename, s3key: key, size, replaces, metadata });
+
+      // Return signedUrl for the actual S3 upload, and contentDisposition and
+      // any further headers the storage requires for the PUT.
+      // The client gets the downloadUrl from the confirm endpoint once the
+      // stored content has been verified.
+      return res.json({ signedUrl, fileId, contentDisposition, headers: headers || {} });
+    } catch (err) {
+      logger.error('[ep_media_upload] Presign error', err);
+      return res.status(500).json({ error: 'Failed to generate presigned URL' });
+    }
+  });
+
+  // ============================================================================
+  // Multipart Upload Endpoints - Large, resumable uploads
+  // ============================================================================
+  // Routes (JSON bodies):
+  //   POST /p/:padId/pluginfw/ep_media_upload/multipart/create    { name, type, size, replace? }
+  //   POST /p/:padId/pluginfw/ep_media_upload/multipart/sign      { file, uploadId, partNumbers }
+  //   GET  /p/:padId/pluginfw/ep_media_upload/multipart/parts?file=&uploadId=
+  //   POST /p/:padId/pluginfw/ep_media_upload/multipart/complete  { file, uploadId, parts }
+  //   POST /p/:padId/pluginfw/ep_media_upload/multipart/abort     { file, uploadId }
+  // The browser PUTs each part directly to storage with the signed part URLs.
+  logger.info('[ep_media_upload] Registering multipart upload endpoints');
+
+  const MULTIPART_SIGN_BATCH_MAX = 100;
+
+  const isNoSuchUpload = (err) => err.name === 'NoSuchUpload' || err.Code === 'NoSuchUpload';
+
+  /**
+   * Shared prelude for the per-upload multipart routes: validate IDs, check
+   * pad access, resolve a multipart-capable adapter and load the pending
+   * record, which only the author who created the upload may use.
+   * Sends the error response and returns null on failure.
+   */
+  const resolveMultipartUpload = async (req, res, fileId, uploadId) => {
+    const { padId } = req.params;
+    if (!isValidPadId(padId)) {
+      res.status(400).json({ error: 'Invalid pad ID' });
+      return null;
+    }
+    if (!isValidFileId(fileId)) {
+      res.status(400).json({ error: 'Invalid file ID' });
+      return null;
+    }
+    if (!isValidUploadId(uploadId)) {
+      res.status(400).json({ error: 'Invalid upload ID' });
+      return null;
+    }
+
+    const access = await _checkPadAccess(req, res, padId, 'upload', { file: fileId });
+    if (!access) return null;
+
+    const resolved = await _resolveStorage(res);
+    if (!resolved) return null;
+    const { adapter, storageCfg } = resolved;
+    if (!storage.supportsMultipart(adapter)) {
+      res.status(501).json({ error: 'Storage backend does not support multipart uploads' });
+      return null;
+    }
+
+    const record = await attachments.get(padId, fileId);
+    if (!record || record.status !== attachments.STATUS_UPLOADING) {
+      res.status(404).json({ error: 'Upload not found or already finished' });
+      return null;
+    }
+    if (record.authorId !== access.authorId) {
+      _audit('warn', 'UPLOAD_DENIED', { author: access.authorId, ip: access.clientIp, pad: padId, file: fileId, reason: 'not_uploader' });
+      res.status(403).json({ error: 'Only the uploader can finish this upload' });
+      return null;
+    }
+
+    return { ...access, adapter, storageCfg, key: record.key, padId, record };
+  };
+
+  /**
+   * Whether the pending upload was created with a fixed part size, so the
+   * size of every part is known.
+   */
+  const hasPartSizes = (record) => Number.isSafeInteger(record.partSize) && record.partSize > 0;
+
+  /**
+   * Map errors thrown inside multipart routes to responses.
+   */
+  const sendMultipartError = (res, err, action) => {
+    if (err.code === 'EBADBODY') {
+      return res.status(400).json({ error: err.message });
+    }
+    if (isNoSuchUpload(err)) {
+      return res.status(404).json({ error: 'Upload not found or already finished' });
+    }
+    logger.error(`[ep_media_upload] Multipart ${action} error:`, err);
+    return res.status(500).json({ error: `Failed to ${action} multipart upload` });
+  };
+
+  context.app.post('/p/:padId/pluginfw/ep_media_upload/multipart/create', async (req, res) => {
+    const { padId } = req.params;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    /* ------------------ Pad Access Verification ------------------ */
+    const access = await _checkPadAccess(req, res, padId, 'upload');
+    if (!access) return;
+    const { authorId, clientIp } = access;
+
+    /* ------------------ Rate limiting --------------------- */
+    // Only creating an upload counts; signing parts of it does not
+    const limited = await _rateLimitExceeded(res, 'upload', access);
+    if (limited) {
+      _audit('warn', 'UPLOAD_RATE_LIMITED', { author: authorId, ip: clientIp, pad: padId, limit: limited });
+      return res.status(429).json({ error: 'Too many presign requests' });
+    }
+
+    try {
+      const { name, type, size, replace } = await _readJsonBody(req);
+
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+      const { adapter, storageCfg } = resolved;
+      const multipartCfg = _getMultipartSettings();
+      if (!storage.supportsMultipart(adapter) || !multipartCfg) {
+        return res.status(501).json({ error: 'Storage backend does not support multipart uploads' });
+      }
+
+      /* ------------- Size validation ------------ */
+      if (!Number.isSafeInteger(size) || size <= 0) {
+        return res.status(400).json({ error: 'Missing or invalid file size' });
+      }
+      const maxFileSize = settings.ep_media_upload.maxFileSize;
+      if (maxFileSize && size > maxFileSize) {
+        return res.status(413).json({ error: 'File too large' });
+      }
+
+      const upload = _prepareUpload(padId, name, type, storageCfg.keyPrefix);
+      if (upload.error) {
+        return res.status(400).json({ error: upload.error });
+      }
+      const { key, fileId, originalFilename, contentDisposition } = upload;
+
+      let replaces;
+      if (replace !== undefined) {
+        const replacement = await _checkReplacement({ adapter, storageCfg, padId, fileId: replace, name, req, authorId });
+        if (replacement.error) {
+          return res.status(replacement.status).json({ error: replacement.error });
+        }
+        replaces = replacement.fileId;
+      }
+      if (!(await _checkQuota(res, { padId, authorId, clientIp, size, files: replaces ? 0 : 1 }))) return;
+
+      const { refused, metadata } = await _beforeUpload({ padId, authorId, clientIp, upload, mimeType: type, size, source: 'multipart', replaces });
+      if (refused) {
+        return res.status(403).json({ error: refused });
+      }
+
+      const { uploadId } = await adapter.createMultipartUpload({ key, contentType: type, contentDisposition });
+
+      // Fixed for the whole upload, so the size of every part is known when
+      // it is signed and before the parts are assembled
+      const partSize = Math.max(multipartCfg.partSize, Math.ceil(size / MULTIPART_MAX_PARTS));
+      await attachments.create({
+        padId,
+        fileId,
+        key,
+        authorId,
+        originalFilename,
+        size,
+        partSize,
+        mimeType: type,
+        metadata,
+        replaces,
+        status: attachments.STATUS_UPLOADING,
+      });
+
+      // Log upload request for audit trail
+      const username = req.session?.user?.username || 'anonymous';
+      _audit('info', 'UPLOAD', { author: authorId, user: username, ip: clientIp, pad: padId, file: originalFilename, s3key: key, multipart: true, size, replaces, metadata });
+
+      return res.json({ uploadId, fileId, partSize });
+    } catch (err) {
+      return sendMultipartError(res, err, 'create');
+    }
+  });
+
+  context.app.post('/p/:padId/pluginfw/ep_media_upload/multipart/sign', async (req, res) => {
+    try {
+      const { file: fileId, uploadId, partNumbers } = await _readJsonBody(req);
+      const upload = await resolveMultipartUpload(req, res, fileId, uploadId);
+      if (!upload) return;
+
+      if (!Array.isArray(partNumbers) || partNumbers.length === 0 ||
+          partNumbers.length > MULTIPART_SIGN_BATCH_MAX || !partNumbers.every(isValidPartNumber)) {
+        return res.status(400).json({ error: 'Invalid part numbers' });
+      }
+      const { record } = upload;
+      if (!hasPartSizes(record)) {
+        return res.status(404).json({ error: 'Upload not found or already finished' });
+      }
+
+      // Each URL is signed for the size of its part, so the parts add up to
+      // the size quotas and the size limit were checked against
+      const partLengths = {};
+      for (const partNumber of partNumbers) {
+        partLengths[partNumber] = getPartLength(record.size, record.partSize, partNumber);
+      }
+      if (Object.values(partLengths).includes(null)) {
+        return res.status(400).json({ error: 'Invalid part numbers' });
+      }
+
+      const { urls } = await upload.adapter.signUploadParts({
+        key: upload.key,
+        uploadId,
+        partNumbers,
+        partLengths,
+        expiresIn: upload.storageCfg.expires || 600,
+      });
+      return res.json({ urls });
+    } catch (err) {
+      return sendMultipartError(res, err, 'sign');
+    }
+  });
+
+  context.app.get('/p/:padId/pluginfw/ep_media_upload/multipart/parts', async (req, res) => {
+    try {
+      const { file: fileId, uploadId } = req.query;
+      const upload = await resolveMultipartUpload(req, res, fileId, uploadId);
+      if (!upload) return;
+
+      const parts = await upload.adapter.listUploadedParts({ key: upload.key, uploadId });
+      return res.json({ parts });
+    } catch (err) {
+      return sendMultipartError(res, err, 'list');
+    }
+  });
+
+  context.app.post('/p/:padId/pluginfw/ep_media_upload/multipart/complete', async (req, res) => {
+    try {
+      const { file: fileId, uploadId, parts } = await _readJsonBody(req);
+      const upload = await resolveMultipartUpload(req, res, fileId, uploadId);
+      if (!upload) return;
+
+      if (!isValidPartList(parts)) {
+        return res.status(400).json({ error: 'Invalid part list' });
+      }
+      const sortedParts = parts
+        .map(({ partNumber, etag }) => ({ partNumber, etag }))
+        .sort((a, b) => a.partNumber - b.partNumber);
+      const { record } = upload;
+      if (!hasPartSizes(record)) {
+        return res.status(404).json({ error: 'Upload not found or already finished' });
+      }
+
+      // The declared size was checked at create time; check what was stored
+      // before assembling it. Missing parts may still be retried.
+      const storedParts = await upload.adapter.listUploadedParts({ key: upload.key, uploadId });
+      if (!partsMatchDeclaredSize(storedParts, sortedParts, record.size, record.partSize)) {
+        const storedSize = storedParts.reduce((total, part) => total + (part.size || 0), 0);
+        _audit('warn', 'UPLOAD_REJECTED', { author: upload.authorId, ip: upload.clientIp, pad: upload.padId, file: fileId, reason: 'size_mismatch', size: storedSize, declared: record.size });
+        return res.status(422).json({ error: 'Uploaded parts do not match the declared file size' });
+      }
+
+      await upload.adapter.completeMultipartUpload({ key: upload.key, uploadId, parts: sortedParts });
+
+      return res.json({ fileId });
+    } catch (err) {
+      return sendMultipartError(res, err, 'complete');
+    }
+  });
+
+  context.app.post('/p/:padId/pluginfw/ep_media_upload/multipart/abort', async (req, res) => {
+    try {
+      const { file: fileId, uploadId } = await _readJsonBody(req);
+      const upload = await resolveMultipartUpload(req, res, fileId, uploadId);
+      if (!upload) return;
+
+      await upload.adapter.abortMultipartUpload({ key: upload.key, uploadId });
+      await attachments.remove(upload.padId, fileId);
+      return res.json({ aborted: true });
+    } catch (err) {
+      if (isNoSuchUpload(err)) return res.json({ aborted: true });
+      return sendMultipartError(res, err, 'abort');
+    }
+  });
+
+  // ============================================================================
+  // Upload Endpoint - Direct upload target for adapters that store via Etherpad
+  // ============================================================================
+  // Route: PUT /p/:padId/pluginfw/ep_media_upload/upload?file=<fileId>&...
+  // Used by storage adapters implementing acceptUpload (e.g. "local"); the
+  // signed query issued by s3_presign is the authorization, exactly like an S3
+  // presigned PUT URL.
+  logger.info('[ep_media_upload] Registering direct upload endpoint');
+
+  context.app.put('/p/:padId/pluginfw/ep_media_upload/upload', async (req, res) => {
+    const { padId } = req.params;
+    const fileId = req.query.file;
+
+    /* ------------------ Validate padId / fileId ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+    if (!isValidFileId(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    try {
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+      const { adapter, storageCfg } = resolved;
+      if (typeof adapter.acceptUpload !== 'function') {
+        return res.status(404).json({ error: 'Storage backend does not accept direct uploads' });
+      }
+
+      /* ------------- MIME type validation ------------ */
+      const contentType = req.headers['content-type'] || '';
+      if (!isValidMimeForExtension(getValidExtension(fileId), contentType)) {
+        return res.status(400).json({ error: 'MIME type does not match file extension' });
+      }
+
+      /* ------------- Size validation ------------ */
+      const maxFileSize = settings.ep_media_upload.maxFileSize;
+      const declaredLength = Number(req.headers['content-length']);
+      if (maxFileSize && Number.isFinite(declaredLength) && declaredLength > maxFileSize) {
+        return res.status(413).json({ error: 'File too large' });
+      }
+
+      // The signed URL stays valid after the upload was confirmed, so only
+      // uploads still waiting for their confirm step are accepted
+      const record = await attachments.get(padId, fileId);
+      if (!record || record.status !== attachments.STATUS_UPLOADING) {
+        _audit('warn', 'DIRECT_UPLOAD_DENIED', { pad: padId, file: fileId, reason: 'not_uploading' });
+        return res.status(409).json({ error: 'Upload not found or already finished' });
+      }
+
+      const key = `${storageCfg.keyPrefix || ''}${padId}/${fileId}`;
+      await adapter.acceptUpload({
+        key,
+        query: req.query,
+        headers: req.headers,
+        stream: req,
+        maxFileSize,
+      });
+
+      return res.status(200).end();
+    } catch (err) {
+      if (err.code === 'EBADSIGNATURE') {
+        _audit('warn', 'DIRECT_UPLOAD_DENIED', { pad: padId, file: fileId, reason: 'bad_signature' });
+        return res.status(403).json({ error: 'Invalid or expired upload signature' });
+      }
+      if (err.code === 'EFILETOOLARGE') {
+        _audit('warn', 'DIRECT_UPLOAD_REJECTED', { pad: padId, file: fileId, reason: 'too_large' });
+        return res.status(413).json({ error: 'File too large' });
+      }
+      if (err.code === 'EOBJECTEXISTS') {
+        _audit('warn', 'DIRECT_UPLOAD_DENIED', { pad: padId, file: fileId, reason: 'exists' });
+        return res.status(409).json({ error: 'Upload not found or already finished' });
+      }
+      if (err.code === 'EINVALIDKEY') {
+        return res.status(400).json({ error: 'Invalid storage key' });
+      }
+      logger.error('[ep_media_upload] Direct upload error:', err);
+      return res.status(500).json({ error: 'Failed to store file' });
+    }
+  });
+
+  // ============================================================================
+  // Confirm Endpoint - Verify stored content before the link is inserted
+  // ============================================================================
+  // Route: POST /p/:padId/pluginfw/ep_media_upload/confirm  { file, size }
+  // Called by the client after its upload finished. Checks the stored size and
+  // Content-Type and sniffs the first bytes against the file extension; only
+  // then is the downloadUrl handed out. Mismatching objects are deleted or
+  // moved under `quarantinePrefix`.
+  logger.info('[ep_media_upload] Registering confirm endpoint');
+
+  context.app.post('/p/:padId/pluginfw/ep_media_upload/confirm', async (req, res) => {
+    const { padId } = req.params;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    try {
+      const { file: fileId, size } = await _readJsonBody(req);
+      if (!isValidFileId(fileId)) {
+        return res.status(400).json({ error: 'Invalid file ID' });
+      }
+
+      /* ------------------ Pad Access Verification ------------------ */
+      const access = await _checkPadAccess(req, res, padId, 'upload', { file: fileId });
+      if (!access) return;
+      const { authorId, clientIp } = access;
+
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+      const { adapter, storageCfg } = resolved;
+
+      const result = await _confirmUpload({ adapter, storageCfg, padId, fileId, size, authorId, clientIp });
+      return res.status(result.status).json(result.body);
+    } catch (err) {
+      if (err.code === 'EBADBODY') {
+        return res.status(400).json({ error: err.message });
+      }
+      logger.error('[ep_media_upload] Confirm error:', err);
+      return res.status(500).json({ error: 'Failed to verify upload' });
+    }
+  });
+
+  // ============================================================================
+  // Scan Status Endpoint
+  // ============================================================================
+  // Route: GET /p/:padId/pluginfw/ep_media_upload/scan_status?file=<fileId>
+  // Polled by the upload modal while a new attachment is being scanned.
+  logger.info('[ep_media_upload] Registering scan status endpoint');
+
+  context.app.get('/p/:padId/pluginfw/ep_media_upload/scan_status', async (req, res) => {
+    const { padId } = req.params;
+    const fileId = req.query.file;
+
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+    if (!isValidFileId(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    const access = await _checkPadAccess(req, res, padId, 'scan_status', { file: fileId });
+    if (!access) return;
+
+    try {
+      const record = await attachments.get(padId, fileId);
+      if (!record || record.status === attachments.STATUS_DELETED) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      if (!scan.getScanSettings(settings.ep_media_upload)) {
+        return res.json({ status: scan.VERDICT_CLEAN, scanned: false });
+      }
+      return res.json({ status: record.scan ? record.scan.status : scan.VERDICT_PENDING, scanned: true });
+    } catch (err) {
+      logger.error('[ep_media_upload] Scan status error:', err);
+      return res.status(500).json({ error: 'Failed to read scan status' });
+    }
+  });
+
+  // ============================================================================
+  // Attachments Listing Endpoint
+  // ============================================================================
+  // Route: GET /p/:padId/pluginfw/ep_media_upload/attachments
+  // Lists the pad's available attachments, newest first, for the attachments
+  // panel. Files that are still uploading or were rejected are not listed.
+  logger.info('[ep_media_upload] Registering attachments listing endpoint');
+
+  context.app.get('/p/:padId/pluginfw/ep_media_upload/attachments', async (req, res) => {
+    const requestedPadId = req.params.padId;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(requestedPadId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    /* ------------------ Pad Access Verification ------------------ */
+    const access = await _checkPadAccess(req, res, requestedPadId, 'list');
+    if (!access) return;
+
+    try {
+      // Read-only viewers list with the read-only ID
+      const padId = await _resolveReadOnlyPadId(requestedPadId);
+      const records = (padId ? await attachments.listForPad(padId) : [])
+          .filter((record) => record.status === attachments.STATUS_AVAILABLE)
+          .sort((a, b) => b.createdAt - a.createdAt);
+
+      // Read-only viewers cannot delete anything
+      const canDelete = _isReadOnlyPadId(requestedPadId) ? () => false : (record) => _canDelete(req, record, access.authorId);
+      return res.json({ attachments: await _describeAttachments(requestedPadId, records, canDelete) });
+    } catch (err) {
+      logger.error('[ep_media_upload] Attachments listing error:', err);
+      return res.status(500).json({ error: 'Failed to list attachments' });
+    }
+  });
+
+  // ============================================================================
+  // Delete Endpoint
+  // ============================================================================
+  // Route: POST /p/:padId/pluginfw/ep_media_upload/delete  { file }
+  // Deletes every version of a file from storage. Only the uploader or an
+  // Etherpad admin may; links to the file then show that it was removed.
+  logger.info('[ep_media_upload] Registering delete endpoint');
+
+  context.app.post('/p/:padId/pluginfw/ep_media_upload/delete', async (req, res) => {
+    const { padId } = req.params;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    try {
+      const { file: fileId } = await _readJsonBody(req);
+      if (!isValidFileId(fileId)) {
+        return res.status(400).json({ error: 'Invalid file ID' });
+      }
+
+      /* ------------------ Pad Access Verification ------------------ */
+      const access = await _checkPadAccess(req, res, padId, 'delete', { file: fileId });
+      if (!access) return;
+      const { authorId, clientIp } = access;
+
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+
+      const record = await attachments.get(padId, fileId);
+      if (!record || record.status !== attachments.STATUS_AVAILABLE) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      /* ------------------ Uploader or admin ------------------ */
+      if (!_canDelete(req, record, authorId)) {
+        _audit('warn', 'DELETE_DENIED', { author: authorId, ip: clientIp, pad: padId, file: fileId, reason: 'not_uploader' });
+        return res.status(403).json({ error: 'Only the uploader or an admin can delete this file' });
+      }
+
+      const deleted = await _deleteAttachment(resolved.adapter, record, authorId);
+      const username = req.session?.user?.username || 'anonymous';
+      _audit('info', 'DELETE', { author: authorId, user: username, ip: clientIp, pad: padId, file: fileId, objects: deleted });
+      return res.json({ fileId, deleted: true });
+    } catch (err) {
+      if (err.code === 'EBADBODY') {
+        return res.status(400).json({ error: err.message });
+      }
+      logger.error('[ep_media_upload] Delete error:', err);
+      return res.status(500).json({ error: 'Failed to delete file' });
+    }
+  });
+
+  // ============================================================================
+  // Quota Endpoint
+  // ============================================================================
+  // Route: GET /p/:padId/pluginfw/ep_media_upload/quota
+  // Current usage of the quotas that apply to the requesting author on this
+  // pad, so the upload queue can warn before starting uploads that would fail.
+  logger.info('[ep_media_upload] Registering quota endpoint');
+
+  context.app.get('/p/:padId/pluginfw/ep_media_upload/quota', async (req, res) => {
+    const { padId } = req.params;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    /* ------------------ Pad Access Verification ------------------ */
+    const access = await _checkPadAccess(req, res, padId, 'quota');
+    if (!access) return;
+
+    try {
+      const quotaCfg = quota.getQuotaSettings(settings.ep_media_upload);
+      const usage = quotaCfg ? await quota.getUsage({ padId, authorId: access.authorId, quotaCfg }) : [];
+      return res.json({ quotas: usage });
+    } catch (err) {
+      logger.error('[ep_media_upload] Quota usage error:', err);
+      return res.status(500).json({ error: 'Failed to read quota usage' });
+    }
+  });
+
+  // ============================================================================
+  // Download Endpoint - Secure file access via presigned GET URL redirect
+  // ============================================================================
+  // Route: GET /p/:padId/pluginfw/ep_media_upload/download?file=<fileId>[&version=<n>]
+  // Using query parameter for fileId to ensure Express 4/5 compatibility.
+  // Serves the current version of the file unless an earlier one is asked for.
+  logger.info('[ep_media_upload] Registering download endpoint');
+
+  context.app.get('/p/:padId/pluginfw/ep_media_upload/download', async (req, res) => {
+    const requestedPadId = req.params.padId;
+    const fileId = req.query.file;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(requestedPadId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    /* ------------------ Validate fileId ------------------ */
+    if (!isValidFileId(fileId)) {
+      return res.status(400).json({ error: 'Invalid file ID' });
+    }
+
+    /* ------------------ Pad Access Verification ------------------ */
+    // Use Etherpad's SecurityManager to verify user has access to this pad
+    // Links seen on a read-only pad carry its read-only ID; Etherpad grants
+    // read access for it
+    const access = await _checkPadAccess(req, res, requestedPadId, 'download', { file: fileId });
+    if (!access) return;
+    const { authorId, clientIp } = access;
+    // Whether the viewer may only read the pad, through a read-only ID or
+    // as a user Etherpad marks read-only; the link they followed may be
+    // either kind
+    const readOnly = _isReadOnlyPadId(requestedPadId) || _isReadOnlyUser(req, requestedPadId);
+
+    try {
+      const padId = await _resolveReadOnlyPadId(requestedPadId);
+      if (!padId) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      /* ------------------ Rate limiting --------------------- */
+      const limited = await _rateLimitExceeded(res, 'download', access);
+      if (limited) {
+        _audit('warn', 'DOWNLOAD_RATE_LIMITED', { author: authorId, ip: clientIp, pad: padId, file: fileId, limit: limited });
+        return res.status(429).json({ error: 'Too many download requests' });
+      }
+
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+      const { adapter, storageCfg } = resolved;
+      const { keyPrefix, downloadExpires } = storageCfg;
+
+      // Look up the attachment record (filename, type, size, scan verdict).
+      // Files uploaded before records existed are backfilled from storage.
+      // Key format of new uploads: keyPrefix + padId + "/" + fileId
+      // e.g., "uploads/myPad/abc123-def456.pdf"
+      const record = await _getOrBackfillRecord(adapter, padId, fileId, `${keyPrefix || ''}${padId}/${fileId}`);
+      if (record && record.status === attachments.STATUS_DELETED) {
+        return _sendAttachmentRemoved(req, res);
+      }
+      if (!record || record.status !== attachments.STATUS_AVAILABLE) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+
+      /* ------------------ Version ------------------ */
+      let served = record;
+      if (req.query.version !== undefined) {
+        const number = Number(req.query.version);
+        served = Number.isSafeInteger(number) && number > 0 ? attachments.findVersion(record, number) : null;
+        if (!served) {
+          return res.status(404).json({ error: 'Version not found' });
+        }
+      }
+      const { key } = served;
+      const version = served === record ? undefined : served.version;
+
+      // Extract file extension to determine inline vs attachment disposition
+      const fileExtension = getValidExtension(fileId);
       
       // Get inlineExtensions from config (extensions that should open in browser)
       // Default behavior is download (attachment) for all files
@@ -483,36 +1930,42 @@ exports.expressCreateServer = (hookName, context) => {
         Array.isArray(inlineExtensions) && 
         inlineExtensions.map(e => e.toLowerCase()).includes(fileExtension.toLowerCase());
 
-      // Try to retrieve original filename from S3 object metadata
-      // The original filename was stored in Content-Disposition during upload
-      const s3Client = new S3Client({ region });
-      let filename = fileId.replace(/[^\w\-_.]/g, '_'); // Default fallback to UUID-based name
-
-      try {
-        const headCommand = new HeadObjectCommand({ Bucket: bucket, Key: key });
-        const headResponse = await s3Client.send(headCommand);
-        
-        // Parse original filename from stored Content-Disposition header
-        // Format: attachment; filename="original-name.pdf"
-        if (headResponse.ContentDisposition) {
-          const match = headResponse.ContentDisposition.match(/filename="([^"]+)"/);
-          if (match && match[1]) {
-            // Use the original filename, sanitize it for safety
-            filename = match[1].replace(/[^\w\-_.]/g, '_');
-          }
+      // Use the original filename; the header keeps it exact (RFC 6266)
+      const filename = sanitizeFilename(served.originalFilename) || fileId;
+
+      /* ------------------ Antivirus verdict ------------------ */
+      // With scanning enabled only files with a clean verdict are served.
+      // Files without one (uploaded before scanning was enabled, or whose scan
+      // failed or was interrupted by a restart) are queued for a new scan.
+      const scanCfg = scan.getScanSettings(settings.ep_media_upload);
+      if (scanCfg) {
+        const status = served.scan ? served.scan.status : null;
+        if (status === scan.VERDICT_INFECTED) {
+          _audit('warn', 'DOWNLOAD_BLOCKED', { author: authorId, ip: clientIp, pad: padId, file: fileId, version, scan: 'infected' });
+          return res.status(403).json({ error: 'File is infected and cannot be downloaded', scanStatus: status });
         }
-      } catch (headErr) {
-        // If HeadObject fails (e.g., file doesn't exist), we'll catch it later
-        // or use the fallback filename. Log for debugging but don't fail yet.
-        if (headErr.name !== 'NotFound' && headErr.Code !== 'NoSuchKey') {
-          logger.warn(`[ep_media_upload] HeadObject warning for key="${key}": ${headErr.message}`);
+        if (status !== scan.VERDICT_CLEAN) {
+          if (status !== scan.VERDICT_PENDING || !scan.isScanInFlight(padId, fileId, key)) {
+            scan.startScan({ adapter, key, padId, fileId, scanCfg, logger });
+          }
+          if (status === scan.VERDICT_ERROR) {
+            res.set('Retry-After', '30');
+            return res.status(503).json({ error: 'File could not be scanned; try again later', scanStatus: status });
+          }
+          res.set('Retry-After', '5');
+          return res.status(409).json({ error: 'File is still being scanned', scanStatus: scan.VERDICT_PENDING });
         }
       }
 
+      /* ------------------ Plugin hooks ------------------ */
+      const refused = await _beforeDownload({ record, version, authorId, clientIp, disposition: shouldOpenInline ? 'inline' : 'attachment' });
+      if (refused) {
+        _audit('warn', 'DOWNLOAD_DENIED', { author: authorId, ip: clientIp, pad: padId, file: fileId, version, reason: 'hook', message: refused });
+        return res.status(403).json({ error: refused });
+      }
+
       // Determine Content-Disposition based on extension config
-      const disposition = shouldOpenInline 
-        ? `inline; filename="${filename}"` 
-        : `attachment; filename="${filename}"`;
+      const disposition = buildContentDisposition(shouldOpenInline ? 'inline' : 'attachment', filename);
 
       // Map extensions to canonical MIME types for consistent browser playback
       const EXTENSION_CONTENT_TYPE = {
@@ -526,33 +1979,64 @@ exports.expressCreateServer = (hookName, context) => {
         pdf: 'application/pdf',
       };
 
-      // Generate presigned GET URL with short expiry
-      // Use ResponseContentDisposition and ResponseContentType to override stored headers
-      const commandParams = {
-        Bucket: bucket,
-        Key: key,
-        ResponseContentDisposition: disposition,
-      };
-
       // Set canonical Content-Type for inline extensions to ensure browser compatibility
-      if (shouldOpenInline && fileExtension && EXTENSION_CONTENT_TYPE[fileExtension.toLowerCase()]) {
-        commandParams.ResponseContentType = EXTENSION_CONTENT_TYPE[fileExtension.toLowerCase()];
-      }
-
-      const getCommand = new GetObjectCommand(commandParams);
+      const canonicalType = shouldOpenInline && fileExtension
+        ? EXTENSION_CONTENT_TYPE[fileExtension.toLowerCase()]
+        : undefined;
 
       // Use downloadExpires from config, default to 300 seconds (5 minutes)
-      const expiresIn = downloadExpires || 300;
-      const presignedGetUrl = await getSignedUrl(s3Client, getCommand, { expiresIn });
+      let target = await adapter.resolveDownload({
+        key,
+        contentDisposition: disposition,
+        contentType: canonicalType,
+        expiresIn: downloadExpires || 300,
+      });
+      // A presigned URL names the object key, which contains the writable pad
+      // ID, so read-only viewers get the file through Etherpad instead, or
+      // not at all from adapters that cannot stream it. Editors are
+      // redirected, which keeps range requests for inline media working.
+      if (readOnly && target.redirectUrl) {
+        if (typeof adapter.createReadStream !== 'function') {
+          _audit('warn', 'DOWNLOAD_DENIED', { author: authorId, ip: clientIp, pad: padId, file: fileId, version, reason: 'read_only_redirect' });
+          return res.status(501).json({ error: 'Storage backend cannot serve files to read-only viewers' });
+        }
+        target = { stream: await adapter.createReadStream(key) };
+      }
 
       // Log download request for audit trail
       const username = req.session?.user?.username || 'anonymous';
       const dispositionType = shouldOpenInline ? 'inline' : 'attachment';
-      logger.info(`[ep_media_upload] DOWNLOAD: author="${authorId}" user="${username}" ip="${clientIp}" pad="${padId}" file="${fileId}" disposition="${dispositionType}"`);
+      _audit('info', 'DOWNLOAD', { author: authorId, user: username, ip: clientIp, pad: padId, file: fileId, version, disposition: dispositionType, readOnly: readOnly || undefined });
+
+      if (!target.redirectUrl) {
+        // Served from the Etherpad origin, so never let the browser sniff the
+        // type or run scripts embedded in the file (e.g. SVG or HTML).
+        res.set({
+          'Content-Type': canonicalType || served.mimeType || 'application/octet-stream',
+          'Content-Disposition': disposition,
+          'X-Content-Type-Options': 'nosniff',
+          'Content-Security-Policy': "script-src 'none'",
+          'Cache-Control': 'private, no-store',
+        });
+
+        if (target.filePath) {
+          return res.sendFile(target.filePath, { dotfiles: 'allow' }, (sendErr) => {
+            if (sendErr && !res.headersSent) {
+              logger.error('[ep_media_upload] Download send error:', sendErr);
+              res.status(sendErr.statusCode === 404 ? 404 : 500).json({
+                error: sendErr.statusCode === 404 ? 'File not found' : 'Failed to read file',
+              });
+            }
+          });
+        }
+        if (served.size != null) res.set('Content-Length', String(served.size));
+        return pipeline(target.stream, res).catch((streamErr) => {
+          logger.error('[ep_media_upload] Download stream error:', streamErr);
+        });
+      }
 
       // Redirect to the presigned URL
-      return res.redirect(302, presignedGetUrl);
-
+      return res.redirect(302, target.redirectUrl);
     } catch (err) {
       logger.error('[ep_media_upload] Download presign error:', err);
       
@@ -564,4 +2048,561 @@ exports.expressCreateServer = (hookName, context) => {
       return res.status(500).json({ error: 'Failed to generate download URL' });
     }
   });
+
+  // ============================================================================
+  // Bundle Export Endpoint
+  // ============================================================================
+  // Route: GET /p/:padId/pluginfw/ep_media_upload/export/bundle?format=etherpad|html
+  // Streams a .tar.gz with the pad's export, its attachments and a manifest
+  // (see lib/bundle.js). Only files the download route would serve are included.
+  logger.info('[ep_media_upload] Registering bundle endpoints');
+
+  context.app.get('/p/:padId/pluginfw/ep_media_upload/export/bundle', async (req, res) => {
+    const { padId } = req.params;
+    const format = req.query.format || 'etherpad';
+
+    /* ------------------ Validate input ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+    if (!Object.prototype.hasOwnProperty.call(bundle.DOCUMENT_NAMES, format)) {
+      return res.status(400).json({ error: 'format must be "etherpad" or "html"' });
+    }
+
+    /* ------------------ Pad Access Verification ------------------ */
+    const access = await _checkPadAccess(req, res, padId, 'export');
+    if (!access) return;
+    const { authorId, clientIp } = access;
+
+    if (!padModules) {
+      return res.status(501).json({ error: 'Bundles are not supported by this Etherpad version' });
+    }
+
+    try {
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+      const { adapter } = resolved;
+      if (typeof adapter.createReadStream !== 'function') {
+        return res.status(501).json({ error: 'Storage backend cannot read files' });
+      }
+      if (!(await padModules.padManager.doesPadExist(padId))) {
+        return res.status(404).json({ error: 'Pad not found' });
+      }
+
+      const scanCfg = scan.getScanSettings(settings.ep_media_upload);
+      const records = [];
+      for (const record of await attachments.listForPad(padId)) {
+        if (record.status !== attachments.STATUS_AVAILABLE) continue;
+        if (scanCfg && !(record.scan && record.scan.status === scan.VERDICT_CLEAN)) continue;
+        if (await _beforeDownload({ record, authorId, clientIp, disposition: 'attachment' })) continue;
+        records.push(record);
+      }
+
+      const documentText = format === 'etherpad'
+        ? JSON.stringify(await padModules.exportEtherpad.getPadRaw(padId, null))
+        : await padModules.exportHtml.getPadHTMLDocument(padId, undefined, null);
+      const manifest = bundle.buildManifest({
+        padId,
+        format,
+        files: records.map((record) => ({
+          fileId: record.fileId,
+          name: record.originalFilename || record.fileId,
+          size: record.size,
+          mimeType: record.mimeType || null,
+        })),
+      });
+      const manifestBytes = Buffer.from(JSON.stringify(manifest, null, 2));
+      const documentBytes = Buffer.from(documentText);
+      const entries = [
+        { name: bundle.MANIFEST_NAME, size: manifestBytes.length, body: manifestBytes },
+        { name: manifest.document, size: documentBytes.length, body: documentBytes },
+        ...records.map((record) => ({
+          name: `files/${record.fileId}`,
+          size: record.size,
+          body: () => adapter.createReadStream(record.key),
+        })),
+      ];
+
+      _audit('info', 'BUNDLE_EXPORT', { author: authorId, ip: clientIp, pad: padId, format, files: records.length });
+      res.set('Content-Type', 'application/gzip');
+      res.set('Content-Disposition', buildContentDisposition('attachment', `${padId}.bundle.tar.gz`));
+      return await pipeline(Readable.from(tar.writeTar(entries)), zlib.createGzip(), res);
+    } catch (err) {
+      _audit('error', 'BUNDLE_EXPORT_FAILED', { pad: padId, error: err.message });
+      if (!res.headersSent) return res.status(500).json({ error: 'Failed to export bundle' });
+      return res.destroy(err);
+    }
+  });
+
+  // ============================================================================
+  // Bundle Import Endpoint
+  // ============================================================================
+  // Route: POST /p/:padId/pluginfw/ep_media_upload/import/bundle
+  // Body: a bundle (.tar.gz) as produced by the export endpoint
+  // Stores each listed file under this pad with a new file ID, rewrites the
+  // document's download links, then imports the document into the pad.
+  // Files that fail validation are skipped and keep their old links.
+  context.app.post('/p/:padId/pluginfw/ep_media_upload/import/bundle', async (req, res) => {
+    const { padId } = req.params;
+
+    /* ------------------ Validate padId ------------------ */
+    if (!isValidPadId(padId)) {
+      return res.status(400).json({ error: 'Invalid pad ID' });
+    }
+
+    /* ------------------ Pad Access Verification ------------------ */
+    const access = await _checkPadAccess(req, res, padId, 'import');
+    if (!access) return;
+    const { authorId, clientIp } = access;
+
+    /* ------------------ Rate limiting --------------------- */
+    const limited = await _rateLimitExceeded(res, 'import', access);
+    if (limited) {
+      _audit('warn', 'IMPORT_RATE_LIMITED', { author: authorId, ip: clientIp, pad: padId, limit: limited });
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    if (!padModules) {
+      return res.status(501).json({ error: 'Bundles are not supported by this Etherpad version' });
+    }
+    const { padManager, padMessageHandler, importEtherpad, importHtml } = padModules;
+    const maxDocumentSize = settings.importMaxFileSize || 50 * 1024 * 1024;
+    const quotaCfg = quota.getQuotaSettings(settings.ep_media_upload);
+    let usage = [];
+    const stored = []; // uploads to roll back if the import fails
+    const fileIdMap = new Map(); // bundle file ID -> new file ID
+    const skipped = [];
+    let adapter;
+    let storageCfg;
+
+    // Store one listed file; resolves to a reason if it was skipped
+    const importFile = async (file, entry) => {
+      if (entry.size !== file.size) return 'Size does not match the manifest';
+      const result = await _storeServerUpload({
+        adapter,
+        storageCfg,
+        padId,
+        authorId,
+        clientIp,
+        source: 'import',
+        name: file.name,
+        mimeType: file.mimeType || 'application/octet-stream',
+        size: entry.size,
+        body: entry.body,
+        usage,
+      });
+      if (result.error) return result.error;
+      stored.push(result.upload);
+      fileIdMap.set(file.fileId, result.upload.fileId);
+      return null;
+    };
+
+    try {
+      const resolved = await _resolveStorage(res);
+      if (!resolved) return;
+      ({ adapter, storageCfg } = resolved);
+      if (typeof adapter.putObject !== 'function') {
+        return res.status(501).json({ error: 'Storage backend cannot store imported files' });
+      }
+      if (quotaCfg) usage = await quota.getUsage({ padId, authorId, quotaCfg });
+
+      const gunzip = zlib.createGunzip();
+      req.on('error', (err) => gunzip.destroy(err));
+      req.pipe(gunzip);
+
+      let manifest = null;
+      let documentText = null;
+      const listed = new Map(); // entry path -> manifest file, until imported
+      for await (const entry of tar.readTar(gunzip)) {
+        if (!manifest) {
+          if (entry.name !== bundle.MANIFEST_NAME) {
+            throw Object.assign(new Error('manifest.json must be the first entry'), { code: 'EBADBUNDLE' });
+          }
+          manifest = bundle.parseManifest((await bundle.readEntry(entry, bundle.MAX_MANIFEST_BYTES, 'manifest.json')).toString('utf8'));
+          manifest.files.forEach((file) => listed.set(file.path, file));
+          // Like Etherpad's own .etherpad import, never overwrite a pad with history
+          if (manifest.format === 'etherpad' && (await padManager.getPad(padId, '\n', authorId)).head >= 10) {
+            throw Object.assign(new Error('Pad already has content; import .etherpad bundles into a new pad'), { code: 'EPADHASDATA' });
+          }
+        } else if (entry.name === manifest.document) {
+          documentText = (await bundle.readEntry(entry, maxDocumentSize, 'The pad document')).toString('utf8');
+        } else if (listed.has(entry.name)) {
+          const file = listed.get(entry.name);
+          listed.delete(entry.name);
+          const reason = await importFile(file, entry);
+          if (reason) skipped.push({ name: file.name, reason });
+        }
+      }
+      if (documentText === null) {
+        throw Object.assign(new Error('Bundle has no pad document'), { code: 'EBADBUNDLE' });
+      }
+      listed.forEach((file) => skipped.push({ name: file.name, reason: 'Missing from the bundle' }));
+
+      /* ------------------ Import the document ------------------ */
+      const buildUrl = (fileId) => padLinks.buildDownloadUrl(padId, fileId);
+      if (manifest.format === 'etherpad') {
+        let raw;
+        try {
+          raw = JSON.parse(documentText);
+        } catch (parseErr) {
+          throw Object.assign(new Error('pad.etherpad is not valid JSON'), { code: 'EBADBUNDLE' });
+        }
+        await importEtherpad.setPadRaw(padId, JSON.stringify(bundle.rewriteEtherpadLinks(raw, manifest.padId, fileIdMap, buildUrl)), authorId);
+        // Written straight to the database: drop the cached pad; clients reload
+        padManager.unloadPad(padId);
+      } else {
+        const pad = await padManager.getPad(padId, '\n', authorId);
+        await importHtml.setPadHTML(pad, bundle.rewriteDownloadLinks(documentText, fileIdMap, buildUrl), authorId);
+        await padMessageHandler.updatePadClients(pad);
+      }
+
+      _audit('info', 'BUNDLE_IMPORT', { author: authorId, ip: clientIp, pad: padId, format: manifest.format, files: fileIdMap.size, skipped: skipped.length });
+      return res.json({ imported: fileIdMap.size, skipped, reload: manifest.format === 'etherpad' });
+    } catch (err) {
+      // Leave nothing behind from a failed import
+      for (const upload of stored) {
+        await adapter.delete(upload.key).catch(() => {});
+        await attachments.remove(padId, upload.fileId).catch(() => {});
+      }
+      _audit('warn', 'BUNDLE_IMPORT_FAILED', { author: authorId, ip: clientIp, pad: padId, error: err.message });
+      if (err.code === 'EPADHASDATA') return res.status(409).json({ error: err.message });
+      if (err.code === 'EBADBUNDLE' || err.code === 'ETARFORMAT') return res.status(400).json({ error: err.message });
+      if (typeof err.code === 'string' && err.code.startsWith('Z_')) return res.status(400).json({ error: 'Bundle is not a gzip file' });
+      return res.status(500).json({ error: 'Failed to import bundle' });
+    }
+  });
+
+  // ============================================================================
+  // Orphan Sweep Endpoint (admins only)
+  // ============================================================================
+  // Route: POST /admin/ep_media_upload/sweep
+  // Body (optional): { "action": "report" | "delete" } overrides sweep.action
+  // Runs the sweep and responds with the files no pad links to.
+  logger.info('[ep_media_upload] Registering sweep endpoint');
+
+  context.app.post('/admin/ep_media_upload/sweep', async (req, res) => {
+    if (!_requireAdmin(req, res, 'sweep')) return;
+
+    let body;
+    try {
+      body = await _readJsonBody(req);
+    } catch (err) {
+      return res.status(400).json({ error: err.message });
+    }
+    const overrides = {};
+    if (body && body.action !== undefined) {
+      if (body.action !== 'report' && body.action !== 'delete') {
+        return res.status(400).json({ error: 'action must be "report" or "delete"' });
+      }
+      overrides.action = body.action;
+    }
+
+    try {
+      _audit('info', 'SWEEP_REQUESTED', { ip: _getClientIp(req), user: req.session.user.username || '' });
+      return res.json(await _runSweep(overrides));
+    } catch (err) {
+      _audit('error', 'SWEEP_FAILED', { error: err.message });
+      const status = err.code === 'ESTORAGECONFIG' || err.code === 'ESWEEPUNAVAILABLE' ? 503 : 500;
+      return res.status(status).json({ error: 'Sweep failed' });
+    }
+  });
+
+  // ============================================================================
+  // Admin Page (admins only)
+  // ============================================================================
+  // Route: GET /ep_media_upload/admin               the page
+  // Route: GET /ep_media_upload/admin/status        settings, usage per pad, recent events
+  // Route: POST /ep_media_upload/admin/selftest     store, inspect and delete a probe object
+  // The page loads the status on open and runs the self-test, so storage
+  // misconfiguration shows up here instead of on a user's first upload.
+  // It lives outside /admin/, where Etherpad's admin app answers every GET
+  // and has no menu hook for plugin pages.
+  logger.info('[ep_media_upload] Registering admin page');
+
+  context.app.get('/ep_media_upload/admin', (req, res) => {
+    if (!_requireAdmin(req, res, 'admin')) return;
+    res.set('Cache-Control', 'private, no-store');
+    return res.type('html').send(eejs.require('ep_media_upload/templates/admin.ejs'));
+  });
+
+  context.app.get('/ep_media_upload/admin/status', async (req, res) => {
+    if (!_requireAdmin(req, res, 'admin')) return;
+    res.set('Cache-Control', 'private, no-store');
+    try {
+      return res.json({
+        settings: admin.redactSettings(settings.ep_media_upload || {}),
+        effective: admin.redactSettings(_getEffectiveSettings()),
+        usage: await admin.getUsageByPad(),
+        events: audit.recentEvents({ pattern: ADMIN_EVENT_PATTERN, limit: ADMIN_EVENT_LIMIT }),
+      });
+    } catch (err) {
+      logger.error('[ep_media_upload] Admin status error:', err);
+      return res.status(500).json({ error: 'Failed to read the status' });
+    }
+  });
+
+  context.app.post('/ep_media_upload/admin/selftest', async (req, res) => {
+    if (!_requireAdmin(req, res, 'admin')) return;
+    const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
+    const result = await admin.runStorageSelfTest(storageCfg);
+    const failed = result.steps.find((step) => !step.ok && !step.skipped);
+    _audit(result.ok ? 'info' : 'warn', 'STORAGE_SELF_TEST', {
+      ip: _getClientIp(req),
+      user: req.session.user.username || '',
+      type: result.type,
+      ok: result.ok,
+      step: failed && failed.step,
+      error: failed && failed.error,
+    });
+    res.set('Cache-Control', 'private, no-store');
+    return res.json(result);
+  });
+
+  // ============================================================================
+  // HTTP API - attachments for server-side integrations
+  // ============================================================================
+  // Route: GET|POST /api/ep_media_upload/1/:method
+  // Works like Etherpad's own /api/ methods: authenticated with an API key
+  // instead of a pad session, parameters in the query string or body, and
+  // responses shaped { code, message, data }. Methods:
+  //   uploadAttachment    POST, file as the raw body: padID, filename[, mimeType, authorID, line]
+  //   createUploadTarget  padID, filename, mimeType, size[, authorID]
+  //   confirmAttachment   padID, fileID[, line]
+  //   listAttachments     padID
+  //   deleteAttachment    padID, fileID
+  // `line` (1-based) inserts the attachment link as a new line before that
+  // line of the pad; past the last line it is appended.
+  logger.info('[ep_media_upload] Registering HTTP API endpoints');
+
+  const parseLine = (value) => {
+    if (value === undefined || value === '') return undefined;
+    const line = Number(value);
+    if (!Number.isSafeInteger(line) || line < 1) throw _apiError('line must be a positive integer');
+    if (!padModules) throw _apiError('Inserting links is not supported by this Etherpad version', 501);
+    return line;
+  };
+
+  const requireExistingPad = async (padId) => {
+    if (padModules && !(await padModules.padManager.doesPadExist(padId))) throw _apiError('padID does not exist');
+  };
+
+  const requireFileId = (fileId) => {
+    if (!isValidFileId(fileId)) throw _apiError('Invalid fileID');
+    return fileId;
+  };
+
+  const apiMethods = {
+    uploadAttachment: async ({ req, params, padId, authorId, clientIp, adapter, storageCfg }) => {
+      if (req.method !== 'POST') throw _apiError('uploadAttachment needs a POST with the file as the body', 405);
+      const line = parseLine(params.line);
+      await requireExistingPad(padId);
+      if (typeof adapter.putObject !== 'function') {
+        throw _apiError('Storage backend cannot store files from the server; use createUploadTarget', 501);
+      }
+      const size = Number(req.headers['content-length']);
+      if (!req.headers['content-length'] || !Number.isSafeInteger(size) || size < 0) {
+        throw _apiError('Content-Length header required', 411);
+      }
+      const mimeType = params.mimeType || String(req.headers['content-type'] || '').split(';')[0].trim();
+      let replaces;
+      if (params.replaceFileID !== undefined) {
+        const replacement = await _checkReplacement({ adapter, storageCfg, padId, fileId: params.replaceFileID, name: params.filename });
+        if (replacement.error) throw _apiError(replacement.error, replacement.status);
+        replaces = replacement.fileId;
+      }
+      const quotaCfg = quota.getQuotaSettings(settings.ep_media_upload);
+      const usage = quotaCfg ? await quota.getUsage({ padId, authorId, quotaCfg }) : [];
+
+      const result = await _storeServerUpload({
+        adapter, storageCfg, padId, authorId, clientIp, source: 'api', name: params.filename, mimeType, size, body: req, usage, replaces,
+      });
+      if (result.error) {
+        _audit('warn', 'API_UPLOAD_REJECTED', { ip: clientIp, pad: padId, reason: result.error, size });
+        throw _apiError(result.error, result.status);
+      }
+      const { key, originalFilename } = result.upload;
+      const { fileId, version } = result.record;
+      _audit('info', 'API_UPLOAD', { author: authorId, ip: clientIp, pad: padId, file: originalFilename, s3key: key, size, replaces });
+
+      const data = { fileId, name: originalFilename, size, mimeType, downloadUrl: padLinks.buildDownloadUrl(padId, fileId) };
+      if (replaces) data.version = version;
+      if (line !== undefined) {
+        data.line = await _insertAttachmentLink({ padId, fileId, name: originalFilename, line, authorId });
+      }
+      return data;
+    },
+
+    createUploadTarget: async ({ params, padId, authorId, clientIp, adapter, storageCfg }) => {
+      await requireExistingPad(padId);
+      const size = Number(params.size);
+      if (params.size === undefined || params.size === '' || !Number.isSafeInteger(size) || size < 0) {
+        throw _apiError('Missing or invalid size');
+      }
+      const maxFileSize = settings.ep_media_upload.maxFileSize;
+      if (maxFileSize && size > maxFileSize) throw _apiError('File too large', 413);
+      let replaces;
+      if (params.replaceFileID !== undefined) {
+        const replacement = await _checkReplacement({ adapter, storageCfg, padId, fileId: params.replaceFileID, name: params.filename });
+        if (replacement.error) throw _apiError(replacement.error, replacement.status);
+        replaces = replacement.fileId;
+      }
+      const quotaCfg = quota.getQuotaSettings(settings.ep_media_upload);
+      const exceeded = quotaCfg && quota.findExceeded(await quota.getUsage({ padId, authorId, quotaCfg }), size, replaces ? 0 : 1);
+      if (exceeded) throw _apiError(`Storage quota exceeded for this ${exceeded.scope}`, 413);
+
+      const { mimeType } = params;
+      const upload = _prepareUpload(padId, params.filename, mimeType, storageCfg.keyPrefix);
+      if (upload.error) throw _apiError(upload.error);
+      const { key, fileId, originalFilename, contentDisposition } = upload;
+      const { refused, metadata } = await _beforeUpload({ padId, authorId, clientIp, upload, mimeType, size, source: 'api', replaces });
+      if (refused) throw _apiError(refused, 403);
+      const expiresIn = storageCfg.expires || 600;
+
+      const { signedUrl, headers } = await adapter.createUploadTarget({
+        padId, fileId, key, contentType: mimeType, contentDisposition, contentLength: size, expiresIn,
+      });
+      await attachments.create({
+        padId, fileId, key, authorId, originalFilename, size, mimeType, metadata, replaces, status: attachments.STATUS_UPLOADING,
+      });
+      _audit('info', 'API_UPLOAD', { author: authorId, ip: clientIp, pad: padId, file: originalFilename, s3key: key, size, direct: true, replaces, metadata });
+
+      // The caller PUTs the file to `url` with exactly these headers, then
+      // calls confirmAttachment
+      return {
+        fileId,
+        url: signedUrl,
+        method: 'PUT',
+        headers: { 'Content-Type': mimeType, 'Content-Disposition': contentDisposition, ...headers },
+        expiresIn,
+      };
+    },
+
+    confirmAttachment: async ({ params, padId, authorId, clientIp, adapter, storageCfg }) => {
+      const fileId = requireFileId(params.fileID);
+      const line = parseLine(params.line);
+      // The API key may finish uploads started for any author
+      const result = await _confirmUpload({ adapter, storageCfg, padId, fileId, authorId: authorId || '', clientIp, anyAuthor: true });
+      if (result.status !== 200) throw _apiError(result.body.error, result.status);
+
+      // A confirmed new version answers with the ID of the file it replaced
+      const data = { fileId, ...result.body };
+      if (line !== undefined) {
+        const record = await attachments.get(padId, data.fileId);
+        data.line = await _insertAttachmentLink({
+          padId, fileId: data.fileId, name: record.originalFilename || data.fileId, line, authorId: record.authorId || authorId,
+        });
+      }
+      return data;
+    },
+
+    listAttachments: async ({ padId }) => {
+      const records = (await attachments.listForPad(padId))
+          .filter((record) => record.status === attachments.STATUS_AVAILABLE)
+          .sort((a, b) => b.createdAt - a.createdAt);
+      return { attachments: await _describeAttachments(padId, records) };
+    },
+
+    deleteAttachment: async ({ params, padId, authorId, clientIp, adapter }) => {
+      const fileId = requireFileId(params.fileID);
+      const record = await attachments.get(padId, fileId);
+      if (!record || record.status === attachments.STATUS_DELETED) throw _apiError('File not found', 404);
+      await _deleteAttachment(adapter, record, authorId || null);
+      _audit('info', 'API_DELETE', { ip: clientIp, pad: padId, file: fileId, s3key: record.key });
+      return null;
+    },
+  };
+
+  const handleApiRequest = async (req, res) => {
+    const clientIp = _getClientIp(req);
+    const method = Object.prototype.hasOwnProperty.call(apiMethods, req.params.method) ? req.params.method : null;
+    const reply = (status, code, message, data = null) => res.status(status).json({ code, message, data });
+
+    let params;
+    try {
+      params = await _readApiParams(req, method !== 'uploadAttachment');
+    } catch (err) {
+      return reply(400, API_CODE_BAD_PARAMS, err.message);
+    }
+
+    /* ------------------ API key ------------------ */
+    if (!_isValidApiKey(req, params)) {
+      _audit('warn', 'API_DENIED', { ip: clientIp, method: req.params.method, reason: 'bad_api_key' });
+      return reply(401, API_CODE_BAD_KEY, 'no or wrong API Key');
+    }
+    if (!method) return reply(404, API_CODE_BAD_PARAMS, 'no such function');
+
+    /* ------------------ Validate parameters ------------------ */
+    const padId = params.padID;
+    if (!isValidPadId(padId)) return reply(400, API_CODE_BAD_PARAMS, 'padID is missing or invalid');
+    const authorId = params.authorID || null;
+    if (authorId !== null && !/^a\.[A-Za-z0-9]+$/.test(authorId)) {
+      return reply(400, API_CODE_BAD_PARAMS, 'authorID is invalid');
+    }
+
+    try {
+      const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
+      const adapter = await storage.getAdapter(storageCfg);
+      if (!adapter) return reply(500, API_CODE_INTERNAL, 'Storage not configured');
+
+      const data = await apiMethods[method]({ req, params, padId, authorId, clientIp, adapter, storageCfg });
+      return reply(200, API_CODE_OK, 'ok', data);
+    } catch (err) {
+      if (err.code === 'EAPIPARAM') return reply(err.status, API_CODE_BAD_PARAMS, err.message);
+      if (err.code === 'ESTORAGECONFIG') {
+        logger.error(`[ep_media_upload] Storage configuration error: ${err.message}`);
+        return reply(500, API_CODE_INTERNAL, err.message);
+      }
+      _audit('error', 'API_ERROR', { ip: clientIp, method, pad: padId, error: err.message });
+      return reply(500, API_CODE_INTERNAL, 'internal error');
+    }
+  };
+
+  context.app.get(`/api/ep_media_upload/${API_VERSION}/:method`, handleApiRequest);
+  context.app.post(`/api/ep_media_upload/${API_VERSION}/:method`, handleApiRequest);
+};
+
+/**
+ * padRemove hook
+ * Delete the removed pad's files and attachment records. Failures are logged
+ * and never block the pad deletion; the sweep picks up anything left behind.
+ */
+exports.padRemove = async (hookName, context) => {
+  const padId = context.padID || (context.pad && context.pad.id);
+  const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
+  if (!padId) return;
+  try {
+    const adapter = await storage.getAdapter(storageCfg);
+    if (!adapter) return;
+    const count = await cleanup.deletePadAttachments({ adapter, storageCfg, padId });
+    _audit('info', 'PAD_ATTACHMENTS_DELETED', { pad: padId, files: count });
+  } catch (err) {
+    _audit('error', 'PAD_ATTACHMENTS_DELETE_FAILED', { pad: padId, error: err.message });
+  }
+};
+
+/**
+ * padCopy hook (also runs when a pad is moved)
+ * Copy the source pad's files under the destination pad and point the
+ * destination's links at the copies. On failure the links keep pointing at
+ * the source pad, which still works until that pad is removed.
+ */
+exports.padCopy = async (hookName, context) => {
+  const { srcPad, dstPad } = context;
+  const storageCfg = settings.ep_media_upload && settings.ep_media_upload.storage;
+  if (!srcPad || !dstPad) return;
+  try {
+    const adapter = await storage.getAdapter(storageCfg);
+    if (!adapter) return;
+    if (typeof adapter.copy !== 'function') {
+      _audit('warn', 'PAD_ATTACHMENTS_COPY_SKIPPED', { pad: srcPad.id, to: dstPad.id, reason: 'storage backend cannot copy' });
+      return;
+    }
+    const copied = await padCopy.copyPadAttachments({
+      adapter, storageCfg, srcPadId: srcPad.id, dstPadId: dstPad.id, logger,
+    });
+    const links = copied.size ? await padCopy.rewritePadLinks(dstPad, [srcPad.id], dstPad.id, copied) : 0;
+    _audit('info', 'PAD_ATTACHMENTS_COPIED', { pad: srcPad.id, to: dstPad.id, files: copied.size, links });
+  } catch (err) {
+    _audit('error', 'PAD_ATTACHMENTS_COPY_FAILED', { pad: srcPad.id, to: dstPad.id, error: err.message });
+  }
 };
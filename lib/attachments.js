@@ -0,0 +1,310 @@
+'use strict';
+
+/**
+ * ep_media_upload - Attachment records
+ *
+ * Every upload gets a record in the Etherpad database, keyed by pad and file
+ * ID, so routes can answer "what is this file?" without asking storage.
+ *
+ * Key: ep_media_upload:attachment:<padId>:<fileId>
+ * Record:
+ *   padId, fileId, key   where the object lives (key includes keyPrefix)
+ *   authorId             Etherpad author who uploaded it
+ *   originalFilename     name of the file as selected by the user
+ *   size                 bytes; the declared size until the upload is confirmed
+ *   mimeType             Content-Type declared at upload
+ *   createdAt            ms since epoch
+ *   status               'uploading' until the confirm step has verified the
+ *                        stored object, then 'available'; 'deleted' once it
+ *                        was deleted (see markDeleted)
+ *   scan                 antivirus verdict, when scanning is enabled (lib/scan.js)
+ *   metadata             fields added by ep_media_upload_beforeUpload hooks, if any
+ *
+ * A file replaced with a new version keeps its file ID, so links to it stay
+ * valid. The fields above then describe the current version, and the record
+ * also has:
+ *   version              number of the current version (1 when absent)
+ *   updatedAt            when the current version was confirmed
+ *   versions             earlier versions, oldest first: { version, key,
+ *                        authorId, originalFilename, size, mimeType,
+ *                        createdAt, scan, metadata }
+ * The upload of a new version has a record of its own, under its own file ID
+ * and with `replaces` set to the file it replaces, until it is confirmed.
+ *
+ * Records are found by pad or group with a key prefix. To find them by
+ * author, every record with an author also has an index entry:
+ * Key: ep_media_upload:authorIndex:<authorId>:<padId>:<fileId>
+ * Entries may outlive a change of author; readers check the record.
+ */
+
+let db;
+try {
+  db = require('ep_etherpad-lite/node/db/DB');
+} catch (e) {
+  console.warn('[ep_media_upload] Etherpad DB not available; attachment records are kept in memory');
+}
+
+const STATUS_UPLOADING = 'uploading';
+const STATUS_AVAILABLE = 'available';
+const STATUS_DELETED = 'deleted';
+
+const _memoryRecords = new Map();
+
+const RECORD_KEY_PREFIX = 'ep_media_upload:attachment:';
+const AUTHOR_INDEX_PREFIX = 'ep_media_upload:authorIndex:';
+// Set once the author index covers records written before it existed
+const AUTHOR_INDEX_READY_KEY = 'ep_media_upload:authorIndexReady';
+
+const recordKey = (padId, fileId) => `${RECORD_KEY_PREFIX}${padId}:${fileId}`;
+const authorIndexKey = (authorId, padId, fileId) => `${AUTHOR_INDEX_PREFIX}${authorId}:${padId}:${fileId}`;
+
+const get = async (padId, fileId) => {
+  const key = recordKey(padId, fileId);
+  if (!db) return _memoryRecords.get(key) || null;
+  return (await db.get(key)) || null;
+};
+
+const _write = async (record) => {
+  const key = recordKey(record.padId, record.fileId);
+  if (!db) {
+    _memoryRecords.set(key, record);
+    return;
+  }
+  await db.set(key, record);
+  if (record.authorId) await db.set(authorIndexKey(record.authorId, record.padId, record.fileId), 1);
+};
+
+/**
+ * Drop the author index entry of `record` unless its author stays the same
+ */
+const _unindex = async (record, stillAuthorId) => {
+  if (!db || !record || !record.authorId || record.authorId === stillAuthorId) return;
+  await db.remove(authorIndexKey(record.authorId, record.padId, record.fileId));
+};
+
+/**
+ * Store a new record. `createdAt` defaults to now.
+ */
+const create = async (record) => {
+  const stored = { createdAt: Date.now(), ...record };
+  await _write(stored);
+  return stored;
+};
+
+// Changes that read a record and write it back run one at a time per
+// record, so a scan verdict and a new version of the file cannot overwrite
+// each other
+const _changing = new Map(); // record key -> Promise of the last change
+
+const _serialize = (padId, fileId, fn) => {
+  const key = recordKey(padId, fileId);
+  const run = (_changing.get(key) || Promise.resolve()).then(fn);
+  const settled = run.catch(() => {});
+  _changing.set(key, settled);
+  settled.then(() => {
+    if (_changing.get(key) === settled) _changing.delete(key);
+  });
+  return run;
+};
+
+/**
+ * Merge the changes `fn(record)` returns into an existing record, or leave
+ * it alone if `fn` returns null. Resolves to the updated record, or null if
+ * there is none (e.g. the attachment was deleted meanwhile) or nothing
+ * changed.
+ */
+const updateWith = (padId, fileId, fn) => _serialize(padId, fileId, async () => {
+  const record = await get(padId, fileId);
+  if (!record) return null;
+  const changes = fn(record);
+  if (!changes) return null;
+  const updated = { ...record, ...changes };
+  await _write(updated);
+  return updated;
+});
+
+/**
+ * Merge `changes` into an existing record. Resolves to the updated record, or
+ * null if there is none (e.g. the attachment was deleted meanwhile).
+ */
+const update = (padId, fileId, changes) => updateWith(padId, fileId, () => changes);
+
+const remove = async (padId, fileId) => {
+  const key = recordKey(padId, fileId);
+  if (!db) {
+    _memoryRecords.delete(key);
+    return;
+  }
+  await _unindex(await db.get(key));
+  await db.remove(key);
+};
+
+/**
+ * Replace a record with a tombstone once its objects are deleted, so links to
+ * the file can say it was removed. Only the pad, file ID, creation time and
+ * who deleted it (`deletedBy`, an author ID or null) are kept; the filename
+ * and metadata may be what the file was deleted for. Resolves to the tombstone.
+ */
+const markDeleted = (record, deletedBy) => _serialize(record.padId, record.fileId, async () => {
+  const tombstone = {
+    padId: record.padId,
+    fileId: record.fileId,
+    createdAt: record.createdAt,
+    status: STATUS_DELETED,
+    deletedAt: Date.now(),
+    deletedBy,
+  };
+  await _write(tombstone);
+  await _unindex(record);
+  return tombstone;
+});
+
+/**
+ * Return the storage keys of every version of a file, current one first
+ * (none for a tombstone)
+ */
+const objectKeys = (record) => [record.key, ...(record.versions || []).map((version) => version.key)].filter(Boolean);
+
+/**
+ * Return version `number` of a file: the record itself for the current
+ * version, an entry of `versions` for an earlier one, or null
+ */
+const findVersion = (record, number) => {
+  if (number === (record.version || 1)) return record;
+  return (record.versions || []).find((version) => version.version === number) || null;
+};
+
+/**
+ * Make a confirmed upload of a new version (a record with `replaces`) the
+ * current version of the file it replaces, whose previous version moves to
+ * `versions`. The upload's own record is removed. `size` is the stored size.
+ * Resolves to the updated record, or null if the replaced file is gone.
+ */
+const addVersion = (upload, size) => _serialize(upload.padId, upload.replaces, async () => {
+  const current = await get(upload.padId, upload.replaces);
+  await remove(upload.padId, upload.fileId);
+  if (!current || current.status !== STATUS_AVAILABLE) return null;
+
+  const { scan, metadata, version = 1, versions = [], ...kept } = current;
+  const previous = {
+    version,
+    key: current.key,
+    authorId: current.authorId,
+    originalFilename: current.originalFilename,
+    size: current.size,
+    mimeType: current.mimeType,
+    createdAt: current.updatedAt || current.createdAt,
+    scan,
+    metadata,
+  };
+  const updated = {
+    ...kept,
+    key: upload.key,
+    authorId: upload.authorId,
+    originalFilename: upload.originalFilename,
+    size,
+    mimeType: upload.mimeType,
+    metadata: upload.metadata,
+    updatedAt: Date.now(),
+    version: version + 1,
+    versions: [...versions, previous],
+  };
+  await _write(updated);
+  await _unindex(current, updated.authorId);
+  return updated;
+});
+
+/**
+ * Return { padId, fileId } of every key that starts with `prefix` (a record
+ * or author index prefix followed by the start of a pad ID)
+ */
+const _findIds = async (prefix, keyPrefix) => {
+  const keys = db ? await db.findKeys(`${prefix}*`, null) : [..._memoryRecords.keys()];
+  // findKeys may treat characters of the pad ID as wildcards: keep exact
+  // matches only. Pad IDs may contain ":" but file IDs never do.
+  return keys.filter((key) => key.startsWith(prefix)).map((key) => {
+    const ids = key.slice(keyPrefix.length);
+    const separator = ids.lastIndexOf(':');
+    return { padId: ids.slice(0, separator), fileId: ids.slice(separator + 1) };
+  });
+};
+
+const _getAll = async (ids) => (await Promise.all(ids.map(({ padId, fileId }) => get(padId, fileId)))).filter(Boolean);
+
+/**
+ * Return all records of a pad, in no particular order
+ */
+const listForPad = async (padId) => {
+  // A pad named "a" must not list the files of pad "a:b"
+  const ids = await _findIds(recordKey(padId, ''), RECORD_KEY_PREFIX);
+  return _getAll(ids.filter((entry) => entry.padId === padId));
+};
+
+/**
+ * Return the records of all pads of an Etherpad group ("g.<groupId>$<name>"),
+ * in no particular order
+ */
+const listForGroup = async (groupId) => _getAll(await _findIds(`${RECORD_KEY_PREFIX}${groupId}$`, RECORD_KEY_PREFIX));
+
+let _authorIndexBuilt = null;
+
+/**
+ * Index the authors of records written before the author index existed,
+ * once per database
+ */
+const _buildAuthorIndex = () => {
+  if (!_authorIndexBuilt) {
+    _authorIndexBuilt = (async () => {
+      if (await db.get(AUTHOR_INDEX_READY_KEY)) return;
+      for (const record of await listAll()) {
+        if (record.authorId) await db.set(authorIndexKey(record.authorId, record.padId, record.fileId), 1);
+      }
+      await db.set(AUTHOR_INDEX_READY_KEY, 1);
+    })().catch((err) => {
+      _authorIndexBuilt = null;
+      throw err;
+    });
+  }
+  return _authorIndexBuilt;
+};
+
+/**
+ * Return the records whose current version `authorId` uploaded, in no
+ * particular order
+ */
+const listForAuthor = async (authorId) => {
+  if (!db) return [..._memoryRecords.values()].filter((record) => record.authorId === authorId);
+  await _buildAuthorIndex();
+  const prefix = `${AUTHOR_INDEX_PREFIX}${authorId}:`;
+  const records = await _getAll(await _findIds(prefix, prefix));
+  return records.filter((record) => record.authorId === authorId);
+};
+
+/**
+ * Return the records of all pads
+ */
+const listAll = async () => {
+  if (!db) return [..._memoryRecords.values()];
+  const keys = await db.findKeys(recordKey('*', '*'), null);
+  const records = await Promise.all(keys.map((key) => db.get(key)));
+  return records.filter(Boolean);
+};
+
+module.exports = {
+  STATUS_AVAILABLE,
+  STATUS_DELETED,
+  STATUS_UPLOADING,
+  addVersion,
+  create,
+  findVersion,
+  get,
+  listAll,
+  listForAuthor,
+  listForGroup,
+  listForPad,
+  markDeleted,
+  objectKeys,
+  remove,
+  update,
+  updateWith,
+};
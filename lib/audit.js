@@ -0,0 +1,79 @@
+'use strict';
+
+/**
+ * ep_media_upload - Audit events
+ *
+ * Uploads, downloads, denials and deletions are recorded as events: a name
+ * such as "UPLOAD" or "DOWNLOAD_DENIED" plus flat fields. Every event is
+ * logged on one line:
+ *
+ *   [ep_media_upload] UPLOAD: author="a.x1" ip="192.0.2.1" pad="notes" size=1024
+ *
+ * and, when `ep_media_upload.audit.file` is set, also appended to that file
+ * as a JSON line for tools that should not have to parse log output:
+ *
+ *   {"time":"2026-10-19T08:00:00.000Z","level":"info","event":"UPLOAD","author":"a.x1","ip":"192.0.2.1","pad":"notes","size":1024}
+ *
+ * The latest events are also kept in memory for the admin page.
+ */
+
+const fs = require('fs');
+
+let _sink = null; // { file, stream }
+
+// Events kept for recentEvents(), oldest first
+const RECENT_EVENTS = 500;
+const _recent = [];
+
+/**
+ * Open (or switch to, or close) the JSON-lines file from
+ * `audit.file`. Resolves once the previous file is closed.
+ */
+const configure = (pluginSettings) => {
+  const file = (pluginSettings && pluginSettings.audit && pluginSettings.audit.file) || null;
+  if (_sink && _sink.file === file) return Promise.resolve();
+
+  const previous = _sink;
+  _sink = null;
+  if (file) {
+    const stream = fs.createWriteStream(file, { flags: 'a', mode: 0o640 });
+    stream.on('error', (err) => {
+      console.error(`[ep_media_upload] Audit file "${file}" cannot be written; JSON audit events are off: ${err.message}`);
+      if (_sink && _sink.stream === stream) _sink = null;
+    });
+    _sink = { file, stream };
+  }
+  return previous ? new Promise((resolve) => previous.stream.end(resolve)) : Promise.resolve();
+};
+
+// Strings are quoted and escaped, so a filename cannot forge log lines
+const formatValue = (value) => (
+  typeof value === 'number' || typeof value === 'boolean' ? String(value) : JSON.stringify(value === null ? '' : value));
+
+/**
+ * Record an event: log it with `logger[level]`, append it to the audit file,
+ * and keep it in memory. Fields that are undefined are left out.
+ */
+const emit = (logger, level, event, fields = {}) => {
+  const defined = Object.entries(fields).filter(([, value]) => value !== undefined);
+  logger[level](`[ep_media_upload] ${event}: ${defined.map(([name, value]) => `${name}=${formatValue(value)}`).join(' ')}`);
+  const entry = { time: new Date().toISOString(), level, event, ...Object.fromEntries(defined) };
+  _recent.push(entry);
+  if (_recent.length > RECENT_EVENTS) _recent.shift();
+  if (_sink) _sink.stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+/**
+ * Return the latest events recorded by this process whose name matches
+ * `pattern` (a RegExp; all events without one), newest first, at most `limit`
+ */
+const recentEvents = ({ pattern, limit = RECENT_EVENTS } = {}) => _recent
+    .filter((entry) => !pattern || pattern.test(entry.event))
+    .slice(-limit)
+    .reverse();
+
+module.exports = {
+  configure,
+  emit,
+  recentEvents,
+};
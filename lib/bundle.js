@@ -0,0 +1,127 @@
+'use strict';
+
+/**
+ * ep_media_upload - Attachment bundles
+ *
+ * A bundle is a gzipped tar archive that carries a pad together with its
+ * attachments, so content can move between Etherpad instances:
+ *
+ *   manifest.json       always the first entry
+ *   pad.etherpad        the pad's .etherpad export, or
+ *   pad.html            its HTML export
+ *   files/<fileId>      the bytes of each attachment
+ *
+ * Manifest:
+ *   { "version": 1, "padId", "exportedAt", "format": "etherpad" | "html",
+ *     "document": "pad.etherpad",
+ *     "files": [{ "fileId", "path", "name", "size", "mimeType" }] }
+ *
+ * On import every file gets a new file ID under the target pad and the
+ * document's download links are rewritten to match.
+ */
+
+const { downloadLinkPattern } = require('./padLinks');
+
+const BUNDLE_VERSION = 1;
+const MANIFEST_NAME = 'manifest.json';
+const MAX_MANIFEST_BYTES = 1024 * 1024;
+const MAX_BUNDLE_FILES = 1000;
+
+const DOCUMENT_NAMES = { etherpad: 'pad.etherpad', html: 'pad.html' };
+
+const codedError = (message, code) => Object.assign(new Error(message), { code });
+
+// Download links as exported, relative or absolute, from any pad
+const DOWNLOAD_LINK_PATTERN = downloadLinkPattern({ withOrigin: true });
+
+/**
+ * Build the manifest for an export
+ */
+const buildManifest = ({ padId, format, files }) => ({
+  version: BUNDLE_VERSION,
+  padId,
+  exportedAt: new Date().toISOString(),
+  format,
+  document: DOCUMENT_NAMES[format],
+  files: files.map(({ fileId, name, size, mimeType }) => ({
+    fileId, path: `files/${fileId}`, name, size, mimeType,
+  })),
+});
+
+/**
+ * Parse and check a manifest. Throws an Error with code 'EBADBUNDLE'
+ * describing the first problem found.
+ */
+const parseManifest = (text) => {
+  let manifest;
+  try {
+    manifest = JSON.parse(text);
+  } catch (err) {
+    throw codedError('manifest.json is not valid JSON', 'EBADBUNDLE');
+  }
+  if (!manifest || manifest.version !== BUNDLE_VERSION) {
+    throw codedError(`Unsupported bundle version: ${manifest && manifest.version}`, 'EBADBUNDLE');
+  }
+  if (typeof manifest.padId !== 'string' || !manifest.padId) {
+    throw codedError('Bundle does not name its pad', 'EBADBUNDLE');
+  }
+  if (DOCUMENT_NAMES[manifest.format] !== manifest.document) {
+    throw codedError('Bundle format must be "etherpad" or "html"', 'EBADBUNDLE');
+  }
+  if (!Array.isArray(manifest.files) || manifest.files.length > MAX_BUNDLE_FILES) {
+    throw codedError(`Bundle must list at most ${MAX_BUNDLE_FILES} files`, 'EBADBUNDLE');
+  }
+  for (const file of manifest.files) {
+    if (!file || typeof file.fileId !== 'string' || file.path !== `files/${file.fileId}` ||
+        typeof file.name !== 'string' || !Number.isSafeInteger(file.size) || file.size < 0) {
+      throw codedError('Bundle lists an invalid file', 'EBADBUNDLE');
+    }
+  }
+  return manifest;
+};
+
+/**
+ * Read a whole tar entry body into a Buffer, refusing more than `limit` bytes
+ */
+const readEntry = async (entry, limit, what) => {
+  if (entry.size > limit) throw codedError(`${what} is too large`, 'EBADBUNDLE');
+  const chunks = [];
+  for await (const chunk of entry.body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Replace download links to files in `fileIdMap` (old → new file ID) with
+ * `buildUrl(newFileId)`. Links to other files are left alone.
+ */
+const rewriteDownloadLinks = (text, fileIdMap, buildUrl) => text.replace(DOWNLOAD_LINK_PATTERN, (link, fileId) => (
+  fileIdMap.has(fileId) ? buildUrl(fileIdMap.get(fileId)) : link));
+
+/**
+ * Rewrite the link attributes of a parsed .etherpad export of pad `padId`
+ * (the manifest's). Only attribute values change: rewriting the text would
+ * break the changesets, which encode text lengths.
+ */
+const rewriteEtherpadLinks = (raw, padId, fileIdMap, buildUrl) => {
+  // The pad record ("pad:<padId>") holds the attribute pool of all revisions.
+  // Pad IDs may contain ":", so the key is matched exactly.
+  const record = raw[`pad:${padId}`];
+  if (!record || !record.pool || !record.pool.numToAttrib) return raw;
+  for (const attrib of Object.values(record.pool.numToAttrib)) {
+    if (attrib[0] === 'hyperlink' && typeof attrib[1] === 'string') {
+      attrib[1] = rewriteDownloadLinks(attrib[1], fileIdMap, buildUrl);
+    }
+  }
+  return raw;
+};
+
+module.exports = {
+  DOCUMENT_NAMES,
+  MANIFEST_NAME,
+  MAX_MANIFEST_BYTES,
+  buildManifest,
+  parseManifest,
+  readEntry,
+  rewriteDownloadLinks,
+  rewriteEtherpadLinks,
+};
@@ -0,0 +1,208 @@
+'use strict';
+
+/**
+ * ep_media_upload - Attachment cleanup
+ *
+ * Deletes a pad's files when the pad is removed, and sweeps objects that
+ * their pad does not link to any more: links deleted from the text, uploads whose link was
+ * never inserted, and files of pads removed before this plugin cleaned up.
+ *
+ * A file counts as referenced while a `download?file=<fileId>` link to it
+ * appears in its own pad's current text, attribute pool, or revision history,
+ * so files stay available to the timeslider and to text copied to other pads.
+ * Only pads with files are read, and a pad's history only until all of its
+ * files were found. Earlier versions of a replaced file are kept and removed
+ * along with it.
+ *
+ * Settings (`ep_media_upload.sweep`):
+ *   "intervalHours": 24     run the sweep periodically (unset: only on demand)
+ *   "graceDays": 7          never touch files younger than this
+ *   "action": "report"      "report" logs unreferenced files, "delete" removes them
+ */
+
+const attachments = require('./attachments');
+const audit = require('./audit');
+
+let padManager;
+let changeset;
+try {
+  padManager = require('ep_etherpad-lite/node/db/PadManager');
+  changeset = require('ep_etherpad-lite/static/js/Changeset');
+} catch (e) {
+  console.warn('[ep_media_upload] PadManager not available; orphan sweeps are disabled');
+}
+
+const DEFAULT_GRACE_DAYS = 7;
+const SWEEP_ACTIONS = ['report', 'delete'];
+
+const FILE_ID_SOURCE = '[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}\\.[a-z0-9]+';
+const FILE_ID_PATTERN = new RegExp(`^${FILE_ID_SOURCE}$`, 'i');
+const FILE_LINK_PATTERN = new RegExp(`download\\?file=(${FILE_ID_SOURCE})`, 'gi');
+
+/**
+ * Return the sweep settings with defaults applied
+ */
+const getSweepSettings = (pluginSettings) => {
+  const cfg = (pluginSettings && pluginSettings.sweep) || {};
+  const intervalHours = Number(cfg.intervalHours);
+  const graceDays = Number(cfg.graceDays);
+  return {
+    intervalHours: Number.isFinite(intervalHours) && intervalHours > 0 ? intervalHours : null,
+    graceDays: Number.isFinite(graceDays) && graceDays >= 0 ? graceDays : DEFAULT_GRACE_DAYS,
+    action: SWEEP_ACTIONS.includes(cfg.action) ? cfg.action : 'report',
+  };
+};
+
+/**
+ * Split an object key ("<keyPrefix><padId>/<fileId>") into its pad and file
+ * IDs. Returns null for keys outside that layout (e.g. quarantined copies).
+ */
+const parseObjectKey = (keyPrefix, key) => {
+  if (!key.startsWith(keyPrefix)) return null;
+  const parts = key.slice(keyPrefix.length).split('/');
+  if (parts.length !== 2 || !parts[0] || !FILE_ID_PATTERN.test(parts[1])) return null;
+  return { padId: parts[0], fileId: parts[1] };
+};
+
+/**
+ * Add the file IDs linked from `text` to `found`
+ */
+const addLinkedFileIds = (text, found) => {
+  if (!text) return;
+  for (const match of String(text).matchAll(FILE_LINK_PATTERN)) found.add(match[1].toLowerCase());
+};
+
+/**
+ * Add every file ID a pad links to, now or in any revision, to `found`. With
+ * `wanted`, a Set of lower-case file IDs, revisions are only read until all
+ * of them were found.
+ */
+const collectPadReferences = async (pad, found, wanted = null) => {
+  addLinkedFileIds(pad.atext && pad.atext.text, found);
+  // Link attributes of every revision end up in the pool
+  for (const attrib of Object.values((pad.pool && pad.pool.numToAttrib) || {})) {
+    addLinkedFileIds(attrib[1], found);
+  }
+  // Plain-text links: the char banks hold all text ever inserted
+  const missing = () => !wanted || [...wanted].some((fileId) => !found.has(fileId));
+  const head = pad.getHeadRevisionNumber();
+  for (let rev = 0; rev <= head && missing(); rev++) {
+    const cs = await pad.getRevisionChangeset(rev);
+    if (cs) addLinkedFileIds(changeset.unpack(cs).charBank, found);
+  }
+};
+
+/**
+ * Delete all files of a pad and their attachment records.
+ * Resolves to the number of objects deleted.
+ */
+const deletePadAttachments = async ({ adapter, storageCfg, padId }) => {
+  const keys = new Set();
+  const records = await attachments.listForPad(padId);
+  for (const record of records) attachments.objectKeys(record).forEach((key) => keys.add(key));
+  if (typeof adapter.listObjects === 'function') {
+    // Also catches files uploaded before attachment records existed
+    const objects = await adapter.listObjects(`${storageCfg.keyPrefix || ''}${padId}/`);
+    for (const object of objects) keys.add(object.key);
+  }
+
+  for (const key of keys) await adapter.delete(key);
+  for (const record of records) await attachments.remove(padId, record.fileId);
+  return keys.size;
+};
+
+let _sweepRunning = null;
+
+/**
+ * Find files their pad does not link to that are older than the grace period, then
+ * log or delete them depending on `sweepCfg.action`. Concurrent calls share
+ * one run. Resolves to { checked, unreferenced: [{ padId, fileId, key, size }], deleted }.
+ */
+const sweep = ({ adapter, storageCfg, sweepCfg, logger }) => {
+  if (_sweepRunning) return _sweepRunning;
+  if (!padManager) return Promise.reject(Object.assign(new Error('PadManager not available'), { code: 'ESWEEPUNAVAILABLE' }));
+
+  _sweepRunning = (async () => {
+    const keyPrefix = storageCfg.keyPrefix || '';
+    const startedAt = Date.now();
+
+    // Candidates: every stored object plus every record (abandoned uploads
+    // leave a record without an object)
+    const candidates = new Map(); // "padId/fileId" -> { padId, fileId, key, keys, size, createdAt }
+    const records = await attachments.listAll();
+    // Objects of a record (all versions of a file) go with the record
+    const recordObjectKeys = new Set(records.flatMap(attachments.objectKeys));
+    if (typeof adapter.listObjects === 'function') {
+      for (const object of await adapter.listObjects(keyPrefix)) {
+        const ids = parseObjectKey(keyPrefix, object.key);
+        if (!ids || recordObjectKeys.has(object.key)) continue;
+        const lastModified = object.lastModified ? new Date(object.lastModified).getTime() : startedAt;
+        candidates.set(`${ids.padId}/${ids.fileId}`, { ...ids, key: object.key, size: object.size, createdAt: lastModified });
+      }
+    }
+    for (const record of records) {
+      // Tombstones of deleted files have no objects and keep answering
+      // their links with 410 until the pad is removed
+      if (record.status === attachments.STATUS_DELETED) continue;
+      candidates.set(`${record.padId}/${record.fileId}`, {
+        padId: record.padId,
+        fileId: record.fileId,
+        key: record.key,
+        keys: attachments.objectKeys(record),
+        size: record.size,
+        createdAt: record.createdAt,
+        hasRecord: true,
+      });
+    }
+
+    // Only the pads the candidates belong to are read. Pads that no longer
+    // exist reference nothing (getPad would create them).
+    const wantedByPad = new Map(); // padId -> Set of lower-case file IDs
+    for (const candidate of candidates.values()) {
+      if (!wantedByPad.has(candidate.padId)) wantedByPad.set(candidate.padId, new Set());
+      wantedByPad.get(candidate.padId).add(candidate.fileId.toLowerCase());
+    }
+    const referenced = new Set();
+    let pads = 0;
+    for (const [padId, wanted] of wantedByPad) {
+      if (!(await padManager.doesPadExist(padId))) continue;
+      await collectPadReferences(await padManager.getPad(padId), referenced, wanted);
+      pads++;
+    }
+
+    const graceMs = sweepCfg.graceDays * 24 * 60 * 60 * 1000;
+    const unreferenced = [];
+    let deleted = 0;
+    for (const candidate of candidates.values()) {
+      if (referenced.has(candidate.fileId.toLowerCase())) continue;
+      if (!(candidate.createdAt <= startedAt - graceMs)) continue;
+      unreferenced.push({ padId: candidate.padId, fileId: candidate.fileId, key: candidate.key, size: candidate.size });
+
+      if (sweepCfg.action === 'delete') {
+        try {
+          for (const key of candidate.keys || [candidate.key]) await adapter.delete(key);
+          if (candidate.hasRecord) await attachments.remove(candidate.padId, candidate.fileId);
+          deleted++;
+        } catch (err) {
+          audit.emit(logger, 'error', 'SWEEP_DELETE_FAILED', { pad: candidate.padId, file: candidate.fileId, error: err.message });
+          continue;
+        }
+      }
+      audit.emit(logger, 'info', 'SWEEP_UNREFERENCED', { pad: candidate.padId, file: candidate.fileId, action: sweepCfg.action === 'delete' ? 'deleted' : 'reported' });
+    }
+
+    audit.emit(logger, 'info', 'SWEEP_COMPLETE', { pads, files: candidates.size, unreferenced: unreferenced.length, deleted, ms: Date.now() - startedAt });
+    return { checked: candidates.size, unreferenced, deleted };
+  })().finally(() => {
+    _sweepRunning = null;
+  });
+  return _sweepRunning;
+};
+
+module.exports = {
+  collectPadReferences,
+  deletePadAttachments,
+  getSweepSettings,
+  parseObjectKey,
+  sweep,
+};
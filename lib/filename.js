@@ -0,0 +1,84 @@
+'use strict';
+
+/**
+ * ep_media_upload - Filenames and Content-Disposition
+ *
+ * Original filenames are kept as typed, Unicode and spaces included, minus
+ * anything that could break a header or disguise the name (control and
+ * bidirectional formatting characters). Headers carry the name twice, as in
+ * RFC 6266: an ASCII `filename` for old clients and the exact name in an
+ * RFC 5987 `filename*` parameter:
+ *
+ *   attachment; filename="Quarterly Report _ Marz.pdf"; filename*=UTF-8''Quarterly%20Report%20%E2%80%93%20M%C3%A4rz.pdf
+ */
+
+const MAX_FILENAME_LENGTH = 255;
+
+// C0/C1 controls, and bidi overrides that can make "txt.exe" read as "exe.txt"
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u061c\u200e\u200f\u202a-\u202e\u2066-\u2069]/g;
+
+/**
+ * Clean a user-supplied filename for storage: drop any directory part and
+ * unsafe characters, normalise to NFC and cap the length, keeping the
+ * extension. Returns '' if nothing is left.
+ */
+const sanitizeFilename = (name) => {
+  if (typeof name !== 'string') return '';
+  let clean = name.split(/[/\\]/).pop().replace(UNSAFE_CHARACTERS, '').normalize('NFC').trim();
+  const characters = [...clean];
+  if (characters.length > MAX_FILENAME_LENGTH) {
+    const dot = clean.lastIndexOf('.');
+    const extension = dot > 0 && clean.length - dot <= 16 ? clean.slice(dot) : '';
+    clean = characters.slice(0, MAX_FILENAME_LENGTH - [...extension].length).join('') + extension;
+  }
+  return clean;
+};
+
+/**
+ * ASCII stand-in for a filename: accents are dropped ("ä" → "a"), and other
+ * non-ASCII characters, quotes, backslashes and percent signs become "_"
+ */
+const asciiFilename = (name) => name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]|["\\%]/g, '_');
+
+// RFC 5987 attr-char allows fewer characters unescaped than encodeURIComponent
+const encodeRFC5987 = (value) => encodeURIComponent(value)
+    .replace(/['()*]/g, (character) => `%${character.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Build a Content-Disposition header value (`type` is "attachment" or
+ * "inline"). The header is pure ASCII, so it is safe to sign and store.
+ */
+const buildContentDisposition = (type, filename) => {
+  const clean = sanitizeFilename(filename);
+  const fallback = asciiFilename(clean);
+  let header = `${type}; filename="${fallback}"`;
+  if (fallback !== clean) header += `; filename*=UTF-8''${encodeRFC5987(clean)}`;
+  return header;
+};
+
+/**
+ * Recover the filename from a Content-Disposition header, preferring the
+ * exact `filename*` over the ASCII `filename`. Returns null if there is none.
+ */
+const filenameFromDisposition = (disposition) => {
+  if (!disposition) return null;
+  const extended = /filename\*\s*=\s*UTF-8''([^;\s]+)/i.exec(disposition);
+  if (extended) {
+    try {
+      return sanitizeFilename(decodeURIComponent(extended[1])) || null;
+    } catch (err) {
+      // Malformed percent-encoding: use the ASCII name instead
+    }
+  }
+  const plain = /filename\s*=\s*"([^"]+)"/i.exec(disposition);
+  return plain ? sanitizeFilename(plain[1]) || null : null;
+};
+
+module.exports = {
+  buildContentDisposition,
+  filenameFromDisposition,
+  sanitizeFilename,
+};
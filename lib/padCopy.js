@@ -0,0 +1,104 @@
+'use strict';
+
+/**
+ * ep_media_upload - Pad copy and move
+ *
+ * Object keys and download links contain the pad ID. When Etherpad copies a
+ * pad (moving is a copy followed by removing the source), the source pad's
+ * files are copied under the destination pad and the destination's links are
+ * rewritten to point at the copies. The source keeps its files until it is
+ * removed, so both pads work independently afterwards.
+ */
+
+const attachments = require('./attachments');
+const audit = require('./audit');
+const { buildDownloadUrl, downloadLinkPattern } = require('./padLinks');
+
+const FILE_ID_PATTERN = /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}\.[a-z0-9]+$/i;
+
+const objectName = (key) => key.slice(key.lastIndexOf('/') + 1);
+
+/**
+ * Copy a pad's files, with all their versions, and attachment records to
+ * another pad. Uploads that were never confirmed are skipped. Resolves to the set of
+ * copied file IDs.
+ */
+const copyPadAttachments = async ({ adapter, storageCfg, srcPadId, dstPadId, logger }) => {
+  const keyPrefix = storageCfg.keyPrefix || '';
+  const sources = new Map(); // fileId -> { key, record }
+  if (typeof adapter.listObjects === 'function') {
+    // Files uploaded before attachment records existed have no record
+    for (const object of await adapter.listObjects(`${keyPrefix}${srcPadId}/`)) {
+      const fileId = object.key.slice(`${keyPrefix}${srcPadId}/`.length);
+      if (FILE_ID_PATTERN.test(fileId)) sources.set(fileId, { key: object.key, record: null });
+    }
+  }
+  for (const record of await attachments.listForPad(srcPadId)) {
+    // Objects of earlier versions are copied along with their file
+    for (const key of attachments.objectKeys(record)) sources.delete(objectName(key));
+    sources.delete(record.fileId);
+    // Tombstones are copied too, so the copy's links say the file was removed
+    if (record.status === attachments.STATUS_AVAILABLE || record.status === attachments.STATUS_DELETED) {
+      sources.set(record.fileId, { key: record.key, record });
+    }
+  }
+
+  // Versions of a file are stored under different names; the copies keep them
+  const dstKeyOf = (key) => `${keyPrefix}${dstPadId}/${objectName(key)}`;
+  const copied = new Set();
+  for (const [fileId, { key, record }] of sources) {
+    try {
+      if (record && record.status === attachments.STATUS_DELETED) {
+        await attachments.create({ ...record, padId: dstPadId });
+        copied.add(fileId);
+        continue;
+      }
+      await adapter.copy(key, dstKeyOf(key));
+      if (record) {
+        const versions = [];
+        for (const version of record.versions || []) {
+          await adapter.copy(version.key, dstKeyOf(version.key));
+          versions.push({ ...version, key: dstKeyOf(version.key) });
+        }
+        // Same bytes, so the scan verdicts carry over
+        await attachments.create({ ...record, padId: dstPadId, key: dstKeyOf(key), ...(record.versions ? { versions } : {}) });
+      }
+      copied.add(fileId);
+    } catch (err) {
+      audit.emit(logger, 'error', 'PAD_ATTACHMENT_COPY_FAILED', { pad: srcPadId, to: dstPadId, file: fileId, error: err.message });
+    }
+  }
+  return copied;
+};
+
+/**
+ * Point a pad's links to files in `fileIds` through any of `srcPadIds` (the
+ * source pad's ID and read-only ID) at `dstPadId`.
+ * Link attributes live in the pad's attribute pool, which all revisions share,
+ * so the history of the pad links to the copies too. Resolves to the number
+ * of rewritten attributes; saves the pad if there were any.
+ */
+const rewritePadLinks = async (pad, srcPadIds, dstPadId, fileIds) => {
+  const linkPattern = downloadLinkPattern({ padIds: srcPadIds });
+
+  let rewritten = 0;
+  for (const [num, attrib] of Object.entries(pad.pool.numToAttrib)) {
+    const [key, value] = attrib;
+    if (key !== 'hyperlink' || typeof value !== 'string') continue;
+    const newValue = value.replace(linkPattern, (link, fileId) => (
+      fileIds.has(fileId) ? buildDownloadUrl(dstPadId, fileId) : link));
+    if (newValue === value) continue;
+
+    pad.pool.numToAttrib[num] = [key, newValue];
+    delete pad.pool.attribToNum[String(attrib)];
+    if (!(String([key, newValue]) in pad.pool.attribToNum)) pad.pool.attribToNum[String([key, newValue])] = Number(num);
+    rewritten++;
+  }
+  if (rewritten) await pad.saveToDatabase();
+  return rewritten;
+};
+
+module.exports = {
+  copyPadAttachments,
+  rewritePadLinks,
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+/**
+ * ep_media_upload - Server-side link insertion
+ *
+ * Inserts an attachment link into a pad the way the editor does: the link
+ * text between zero-width spaces with a `hyperlink` attribute, as used by
+ * ep_hyperlinked_text. The insertion becomes a new revision of the pad.
+ *
+ * Also builds and matches download links, for every module that rewrites
+ * them, and points the download links in a pool at another pad ID, so
+ * read-only viewers get links through the pad's read-only ID.
+ */
+
+let changeset;
+try {
+  changeset = require('ep_etherpad-lite/static/js/Changeset');
+} catch (e) {
+  console.warn('[ep_media_upload] Changeset module not available; links cannot be inserted from the server');
+}
+
+const ZWSP = '\u200B';
+
+/**
+ * Insert a link to `url` reading `text` as a new line before line `line`
+ * (1-based) of `pad`; past the last line it is appended. The text is
+ * attributed to `authorId` when one is given. Resolves to the line number
+ * the link ended up on. The caller notifies connected clients.
+ */
+const insertLinkLine = async (pad, { line, url, text, authorId }) => {
+  if (!changeset) {
+    throw Object.assign(new Error('Changeset module not available'), { code: 'ELINKUNAVAILABLE' });
+  }
+  const padText = pad.text();
+  const lineCount = padText.split('\n').length - 1; // the text always ends with a newline
+  const authorAttribs = authorId ? [['author', authorId]] : [];
+
+  // The final newline can never be kept behind an insertion, so appending
+  // inserts before it: "last line" + "\n<link>" + "\n"
+  const appending = line > lineCount;
+  let position = padText.length - 1;
+  if (!appending) {
+    position = 0;
+    for (let i = 1; i < line; i++) position = padText.indexOf('\n', position) + 1;
+  }
+
+  const builder = changeset.builder(padText.length);
+  if (position > 0) builder.keep(position, padText.slice(0, position).split('\n').length - 1);
+  if (appending) builder.insert('\n', authorAttribs, pad.pool);
+  builder.insert(ZWSP, authorAttribs, pad.pool);
+  builder.insert(text, [...authorAttribs, ['hyperlink', url]], pad.pool);
+  builder.insert(ZWSP, authorAttribs, pad.pool);
+  if (!appending) builder.insert('\n', authorAttribs, pad.pool);
+
+  await pad.appendRevision(builder.toString(), authorId || '');
+  return appending ? lineCount + 1 : line;
+};
+
+/**
+ * Return the path of the download route for `fileId` through `padId`, which
+ * may be a read-only ID, optionally for an earlier `version`
+ */
+const buildDownloadUrl = (padId, fileId, version) => `/p/${encodeURIComponent(padId)}/pluginfw/ep_media_upload/download?file=${encodeURIComponent(fileId)}` +
+  (version ? `&version=${version}` : '');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Return a global RegExp matching download links through any of `padIds`
+ * (as typed or URL-encoded), or through any pad without `padIds`, up to and
+ * including the file ID, which is group 1. With `withOrigin`, the origin of
+ * absolute links is part of the match; otherwise it is left in place.
+ */
+const downloadLinkPattern = ({ padIds, withOrigin = false } = {}) => {
+  const padPath = padIds
+    ? `(?:${[...new Set(padIds.flatMap((padId) => [padId, encodeURIComponent(padId)]))].map(escapeRegExp).join('|')})`
+    : '[^/\\s"\'<>?#]+';
+  const origin = withOrigin ? '(?:https?://[^/\\s"\'<>]+)?' : '';
+  return new RegExp(`${origin}/p/${padPath}/pluginfw/ep_media_upload/download\\?file=([\\w.-]+)`, 'g');
+};
+
+/**
+ * Rewrite download links through pad `fromPadId` to go through pad `toPadId`,
+ * in the `hyperlink` attributes of a pool in its JSON form
+ * ({ numToAttrib }). Links to other pads' files are left alone. Entries are
+ * replaced, not modified, so pools sharing attribute arrays are unaffected.
+ * Returns the number of attributes rewritten.
+ */
+const rewriteLinkPadInPool = (pool, fromPadId, toPadId) => {
+  const linkPattern = downloadLinkPattern({ padIds: [fromPadId] });
+
+  let rewritten = 0;
+  for (const [num, attrib] of Object.entries(pool.numToAttrib || {})) {
+    const [key, value] = attrib;
+    if (key !== 'hyperlink' || typeof value !== 'string') continue;
+    const newValue = value.replace(linkPattern, (link, fileId) => buildDownloadUrl(toPadId, fileId));
+    if (newValue === value) continue;
+    pool.numToAttrib[num] = [key, newValue];
+    rewritten++;
+  }
+  return rewritten;
+};
+
+module.exports = {
+  buildDownloadUrl,
+  downloadLinkPattern,
+  insertLinkLine,
+  rewriteLinkPadInPool,
+};
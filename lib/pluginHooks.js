@@ -0,0 +1,57 @@
+'use strict';
+
+/**
+ * ep_media_upload - Server hooks for other plugins
+ *
+ *   ep_media_upload_beforeUpload           before an upload is accepted; may refuse it
+ *                                          or add `metadata` to its record
+ *   ep_media_upload_afterUploadConfirmed   after a stored file was verified
+ *   ep_media_upload_beforeDownload         before a file is served; may refuse it
+ *
+ * A hook function refuses by returning false, or a message for the user:
+ *
+ *   // ep.json: "hooks": { "ep_media_upload_beforeUpload": "ep_my_policy/index" }
+ *   exports.ep_media_upload_beforeUpload = async (hookName, context) => {
+ *     if (context.mimeType === 'application/zip') return 'Archives are not accepted here';
+ *     context.metadata.retentionClass = 'standard';
+ *   };
+ *
+ * A refusing hook fails the request; a hook that throws fails it too. Errors
+ * in afterUploadConfirmed hooks are logged and never affect the upload.
+ */
+
+let hooks;
+try {
+  hooks = require('ep_etherpad-lite/static/js/pluginfw/hooks');
+} catch (e) {
+  console.warn('[ep_media_upload] Plugin hooks not available; upload and download hooks are not called');
+}
+
+/**
+ * Run a hook whose functions may refuse. Resolves to null if none did,
+ * otherwise to the refusal message (`fallbackMessage` for a plain false).
+ */
+const callVetoHook = async (hookName, context, fallbackMessage) => {
+  if (!hooks) return null;
+  const results = await hooks.aCallAll(hookName, context);
+  for (const result of [].concat(results || [])) {
+    if (result === false) return fallbackMessage;
+    if (typeof result === 'string' && result) return result;
+  }
+  return null;
+};
+
+/**
+ * Run a hook in the background, for plugins that react to an event
+ */
+const callNotifyHook = (hookName, context) => {
+  if (!hooks) return;
+  Promise.resolve(hooks.aCallAll(hookName, context)).catch((err) => {
+    console.error(`[ep_media_upload] ${hookName} hook failed:`, err);
+  });
+};
+
+module.exports = {
+  callNotifyHook,
+  callVetoHook,
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+/**
+ * ep_media_upload - Storage quotas
+ *
+ * Limits the total bytes and number of files per pad, per author, and per
+ * group (all pads "g.<groupId>$<name>" of an Etherpad group). Usage is summed
+ * from attachment records: confirmed files count with their stored size,
+ * uploads in progress with their declared size, so parallel uploads cannot
+ * overshoot a quota. Each scope reads only its own records: by pad, by group
+ * key prefix, or through the author index. Earlier versions of a replaced file count towards its
+ * bytes; a new version is not another file.
+ *
+ * Settings (`ep_media_upload.quotas`), each scope and limit optional:
+ *   "pad":    { "maxBytes": 1073741824, "maxFiles": 500 }
+ *   "author": { "maxBytes": 5368709120 }
+ *   "group":  { "maxBytes": 53687091200, "maxFiles": 10000 }
+ */
+
+const attachments = require('./attachments');
+
+const QUOTA_SCOPES = ['pad', 'author', 'group'];
+
+// Uploads that never got confirmed stop counting after this
+const UPLOAD_RESERVATION_MS = 24 * 60 * 60 * 1000;
+
+const limitOf = (value) => {
+  const number = Number(value);
+  return Number.isSafeInteger(number) && number >= 0 ? number : null;
+};
+
+/**
+ * Return the configured quotas ({ pad, author, group }, each
+ * { maxBytes, maxFiles } or null), or null if no quota is set
+ */
+const getQuotaSettings = (pluginSettings) => {
+  const cfg = (pluginSettings && pluginSettings.quotas) || {};
+  const quotas = {};
+  for (const scope of QUOTA_SCOPES) {
+    const maxBytes = limitOf(cfg[scope] && cfg[scope].maxBytes);
+    const maxFiles = limitOf(cfg[scope] && cfg[scope].maxFiles);
+    quotas[scope] = maxBytes === null && maxFiles === null ? null : { maxBytes, maxFiles };
+  }
+  return QUOTA_SCOPES.some((scope) => quotas[scope]) ? quotas : null;
+};
+
+/**
+ * Return the group ID of a group pad ("g.s8oes9dhwrvt0zif$notes" →
+ * "g.s8oes9dhwrvt0zif"), or null for other pads
+ */
+const getGroupId = (padId) => {
+  const match = /^(g\.[a-zA-Z0-9]+)\$/.exec(padId);
+  return match ? match[1] : null;
+};
+
+const countsTowardsQuota = (record, now) => record.status === attachments.STATUS_AVAILABLE ||
+  (record.status === attachments.STATUS_UPLOADING && record.createdAt > now - UPLOAD_RESERVATION_MS);
+
+/**
+ * Return the bytes stored for a file, all its versions included
+ */
+const storedBytes = (record) => [record, ...(record.versions || [])]
+    .reduce((total, version) => total + (Number(version.size) || 0), 0);
+
+/**
+ * Sum the usage of every quota that applies to an upload by `authorId` to
+ * `padId`. Resolves to [{ scope, usedBytes, usedFiles, maxBytes, maxFiles }];
+ * the author quota does not apply to unknown authors, nor the group quota
+ * to pads outside groups.
+ */
+const getUsage = async ({ padId, authorId, quotaCfg }) => {
+  const groupId = getGroupId(padId);
+  const scopes = [
+    { scope: 'pad', list: () => attachments.listForPad(padId) },
+    authorId && authorId !== 'unknown' && { scope: 'author', list: () => attachments.listForAuthor(authorId) },
+    groupId && { scope: 'group', list: () => attachments.listForGroup(groupId) },
+  ].filter((entry) => entry && quotaCfg[entry.scope]);
+
+  const now = Date.now();
+  return Promise.all(scopes.map(async ({ scope, list }) => {
+    const counted = (await list()).filter((record) => countsTowardsQuota(record, now));
+    return {
+      scope,
+      usedBytes: counted.reduce((total, record) => total + storedBytes(record), 0),
+      usedFiles: counted.filter((record) => !record.replaces).length,
+      ...quotaCfg[scope],
+    };
+  }));
+};
+
+/**
+ * Return the first quota in `usage` that adding `files` files (a new version
+ * of an existing file is 0) of `size` bytes would exceed, or null if it fits
+ */
+const findExceeded = (usage, size, files = 1) => usage.find((quota) => (
+  (quota.maxBytes !== null && quota.usedBytes + size > quota.maxBytes) ||
+  (quota.maxFiles !== null && files > 0 && quota.usedFiles + files > quota.maxFiles))) || null;
+
+/**
+ * Count `files` files of `size` bytes against every quota in `usage`
+ */
+const addUsage = (usage, size, files = 1) => {
+  for (const quota of usage) {
+    quota.usedBytes += size;
+    quota.usedFiles += files;
+  }
+};
+
+module.exports = {
+  addUsage,
+  findExceeded,
+  getGroupId,
+  getQuotaSettings,
+  getUsage,
+  storedBytes,
+};
@@ -0,0 +1,331 @@
+'use strict';
+
+/**
+ * ep_media_upload - Rate limiting
+ *
+ * Fixed-window request budgets per route ("upload", "download", "import"),
+ * counted per client IP and per Etherpad author. Each route has its own
+ * budget, so viewing a pad full of inline media cannot use up the budget for
+ * uploading to it.
+ *
+ * Counters live in a store. Built-in stores: `memory` (per process, the
+ * default) and `etherpad_db` (Etherpad's database). Other plugins can add
+ * shared stores (Redis, …) through the `ep_media_upload_rateLimitStores`
+ * server hook:
+ *
+ *   // ep.json: "hooks": { "ep_media_upload_rateLimitStores": "ep_my_store/index" }
+ *   exports.ep_media_upload_rateLimitStores = (hookName, { registerStore }) => {
+ *     registerStore('redis', (storeCfg) => createRedisStore(storeCfg));
+ *   };
+ *
+ * A factory receives the `ep_media_upload.rateLimit.store` settings object.
+ * Store contract (all methods async):
+ *
+ * - increment(key, windowMs)
+ *     → { count, resetAt }  hits on `key` in the current window, including
+ *       this one, and when the window ends (ms since epoch). A window starts
+ *       with the first hit after the previous one ended.
+ * - prune(now)  (optional)
+ *     → drops counters whose window has ended; called every few minutes.
+ *
+ * Settings (`ep_media_upload.rateLimit`):
+ *   "store": { "type": "memory" }
+ *   "trustProxy": 1                  see getClientIp()
+ *   "upload":   { "windowSeconds": 60, "perIp": 30, "perAuthor": 30 }
+ *   "download": { "windowSeconds": 60, "perIp": 300 }
+ *   "import":   { "windowSeconds": 60, "perIp": 10 }
+ */
+
+const net = require('net');
+
+let db;
+try {
+  db = require('ep_etherpad-lite/node/db/DB');
+} catch (e) {
+  // Only the etherpad_db store needs it
+}
+
+let hooks;
+try {
+  hooks = require('ep_etherpad-lite/static/js/pluginfw/hooks');
+} catch (e) {
+  console.warn('[ep_media_upload] Plugin hooks not available; only built-in rate limit stores can be used');
+}
+
+const DEFAULT_WINDOW_SECONDS = 60;
+const DEFAULT_LIMITS = {
+  upload: { perIp: 30 },
+  download: { perIp: 300 },
+  import: { perIp: 10 },
+};
+const DEFAULT_STORE_CFG = Object.freeze({ type: 'memory' });
+const PRUNE_INTERVAL_MS = 5 * 60 * 1000;
+const DB_KEY_PREFIX = 'ep_media_upload:ratelimit:';
+
+// ============================================================================
+// Stores
+// ============================================================================
+
+const createMemoryStore = () => {
+  const counters = new Map(); // key -> { count, resetAt }
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { ...counter };
+    },
+    prune: async (now) => {
+      for (const [key, counter] of counters) {
+        if (counter.resetAt <= now) counters.delete(key);
+      }
+    },
+  };
+};
+
+// Counters are read and written without a lock, so concurrent hits on several
+// nodes may be undercounted slightly
+const createDbStore = () => {
+  if (!db) throw new Error('The etherpad_db rate limit store needs the Etherpad database');
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      const dbKey = `${DB_KEY_PREFIX}${key}`;
+      let counter = await db.get(dbKey);
+      if (!counter || !(counter.resetAt > now)) counter = { count: 0, resetAt: now + windowMs };
+      counter.count++;
+      await db.set(dbKey, counter);
+      return counter;
+    },
+    prune: async (now) => {
+      for (const dbKey of await db.findKeys(`${DB_KEY_PREFIX}*`, null)) {
+        const counter = await db.get(dbKey);
+        if (!counter || !(counter.resetAt > now)) await db.remove(dbKey);
+      }
+    },
+  };
+};
+
+const _factories = new Map([
+  ['memory', createMemoryStore],
+  ['etherpad_db', createDbStore],
+]);
+
+// Stores are built once per store settings object
+const _storeCache = new WeakMap();
+const _stores = new Set();
+
+let _hookStoresLoaded = null;
+
+/**
+ * Register a rate limit store factory for a `rateLimit.store.type` value.
+ * Built-in types cannot be replaced.
+ */
+const registerStore = (type, factory) => {
+  if (!type || typeof type !== 'string' || typeof factory !== 'function') {
+    throw new TypeError('registerStore(type, factory) requires a string type and a factory function');
+  }
+  if (type === 'memory' || type === 'etherpad_db') {
+    throw new Error(`Rate limit store "${type}" is built in and cannot be replaced`);
+  }
+  if (_factories.has(type)) {
+    console.warn(`[ep_media_upload] Rate limit store "${type}" registered twice; using the latest`);
+  }
+  _factories.set(type, factory);
+};
+
+/**
+ * Run the ep_media_upload_rateLimitStores hook once so other plugins can
+ * register their stores. Safe to call repeatedly.
+ */
+const loadHookStores = () => {
+  if (!_hookStoresLoaded) {
+    _hookStoresLoaded = hooks
+      ? Promise.resolve(hooks.aCallAll('ep_media_upload_rateLimitStores', { registerStore }))
+        .catch((err) => {
+          console.error('[ep_media_upload] Failed to load rate limit stores from plugins:', err);
+        })
+      : Promise.resolve();
+  }
+  return _hookStoresLoaded;
+};
+
+/**
+ * Get the store for a store settings object.
+ * Throws an Error with code 'ERATELIMITCONFIG' if the type is unknown or the
+ * factory rejects the config.
+ */
+const getStore = async (storeCfg) => {
+  const cached = _storeCache.get(storeCfg);
+  if (cached) return cached;
+
+  await loadHookStores();
+  const factory = _factories.get(storeCfg.type);
+  if (!factory) {
+    throw Object.assign(new Error(`Unknown rate limit store "${storeCfg.type}"`), { code: 'ERATELIMITCONFIG' });
+  }
+  let store;
+  try {
+    store = await factory(storeCfg);
+  } catch (err) {
+    throw Object.assign(new Error(err.message), { code: 'ERATELIMITCONFIG', cause: err });
+  }
+  if (!store || typeof store.increment !== 'function') {
+    throw Object.assign(
+        new Error(`Rate limit store "${storeCfg.type}" does not implement increment()`),
+        { code: 'ERATELIMITCONFIG' });
+  }
+  _storeCache.set(storeCfg, store);
+  _stores.add(store);
+  return store;
+};
+
+// Drop expired counters from every store in use
+setInterval(() => {
+  const now = Date.now();
+  for (const store of _stores) {
+    if (typeof store.prune !== 'function') continue;
+    Promise.resolve(store.prune(now)).catch((err) => {
+      console.error('[ep_media_upload] Failed to prune rate limit counters:', err);
+    });
+  }
+}, PRUNE_INTERVAL_MS).unref(); // unref() so it doesn't prevent process exit
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+// Unset keeps the default; 0, null or false turn the limit off
+const limitOf = (value, fallback) => {
+  if (value === undefined) return fallback;
+  if (value === 0 || value === null || value === false) return null;
+  return Number.isSafeInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Return the rate limit settings with defaults applied:
+ * { store, trustProxy, routes: { [route]: { windowMs, perIp, perAuthor } } }
+ */
+const getRateLimitSettings = (pluginSettings) => {
+  const cfg = (pluginSettings && pluginSettings.rateLimit) || {};
+  const routes = {};
+  for (const [route, defaults] of Object.entries(DEFAULT_LIMITS)) {
+    const routeCfg = cfg[route] || {};
+    const windowSeconds = Number(routeCfg.windowSeconds);
+    routes[route] = {
+      windowMs: (Number.isFinite(windowSeconds) && windowSeconds > 0 ? windowSeconds : DEFAULT_WINDOW_SECONDS) * 1000,
+      perIp: limitOf(routeCfg.perIp, defaults.perIp),
+      perAuthor: limitOf(routeCfg.perAuthor, null),
+    };
+  }
+  return {
+    store: cfg.store && cfg.store.type ? cfg.store : DEFAULT_STORE_CFG,
+    trustProxy: cfg.trustProxy,
+    routes,
+  };
+};
+
+// ============================================================================
+// Client IP
+// ============================================================================
+
+// "::ffff:192.0.2.1" → "192.0.2.1", so IPv4 clients have one identity
+const normalizeIp = (ip) => {
+  if (typeof ip !== 'string') return null;
+  const trimmed = ip.trim();
+  return trimmed.startsWith('::ffff:') && net.isIPv4(trimmed.slice(7)) ? trimmed.slice(7) : trimmed;
+};
+
+const _trustedProxyLists = new WeakMap();
+
+// BlockList of the addresses and CIDR ranges in a trustProxy array
+const trustedProxyList = (ranges) => {
+  let list = _trustedProxyLists.get(ranges);
+  if (list) return list;
+  list = new net.BlockList();
+  for (const range of ranges) {
+    const [address, prefix] = String(range).split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) continue;
+    if (prefix === undefined) {
+      list.addAddress(address, type);
+    } else {
+      list.addSubnet(address, Number(prefix), type);
+    }
+  }
+  _trustedProxyLists.set(ranges, list);
+  return list;
+};
+
+/**
+ * Return the IP of the client that sent a request.
+ *
+ * `trustProxy` says which X-Forwarded-For entries to believe:
+ *   unset         follow Etherpad's own `trustProxy` setting (Express's req.ip)
+ *   false         ignore the header; use the connecting address
+ *   <number>      that many reverse proxies sit in front of Etherpad
+ *   [ranges]      addresses or CIDR ranges of the trusted proxies
+ *   true          trust the whole header (only if every client goes through a
+ *                 proxy that overwrites it)
+ */
+const getClientIp = (req, trustProxy) => {
+  const remote = normalizeIp(req.socket?.remoteAddress || req.connection?.remoteAddress) || 'unknown';
+  if (trustProxy === undefined) return normalizeIp(req.ip) || remote;
+  if (!trustProxy) return remote;
+
+  const forwarded = String(req.headers['x-forwarded-for'] || '')
+      .split(',')
+      .map(normalizeIp)
+      .filter((ip) => ip && net.isIP(ip));
+  const hops = [...forwarded, remote]; // nearest hop last
+  if (trustProxy === true) return hops[0];
+  if (Number.isSafeInteger(trustProxy) && trustProxy > 0) return hops[Math.max(hops.length - 1 - trustProxy, 0)];
+  if (Array.isArray(trustProxy)) {
+    const trusted = trustedProxyList(trustProxy);
+    let index = hops.length - 1;
+    while (index > 0 && net.isIP(hops[index]) &&
+        trusted.check(hops[index], net.isIPv6(hops[index]) ? 'ipv6' : 'ipv4')) {
+      index--;
+    }
+    return hops[index];
+  }
+  return remote;
+};
+
+// ============================================================================
+// Checks
+// ============================================================================
+
+/**
+ * Count a request against the limits of `route`. Resolves to null if it is
+ * allowed, otherwise to the exceeded limit: { scope: 'ip' | 'author', retryAfter }
+ * with retryAfter in seconds. Unknown authors are only limited by IP.
+ */
+const check = async (rateCfg, route, { clientIp, authorId }) => {
+  const limits = rateCfg.routes[route];
+  const store = await getStore(rateCfg.store);
+  const counted = [
+    limits.perIp && { scope: 'ip', id: clientIp, max: limits.perIp },
+    limits.perAuthor && authorId && authorId !== 'unknown' && { scope: 'author', id: authorId, max: limits.perAuthor },
+  ].filter(Boolean);
+  for (const { scope, id, max } of counted) {
+    const { count, resetAt } = await store.increment(`${route}:${scope}:${id}`, limits.windowMs);
+    if (count > max) {
+      return { scope, retryAfter: Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1) };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  check,
+  getClientIp,
+  getRateLimitSettings,
+  getStore,
+  loadHookStores,
+  registerStore,
+};
@@ -0,0 +1,209 @@
+'use strict';
+
+/**
+ * ep_media_upload - Antivirus scanning
+ *
+ * Streams uploaded objects to a clamd-compatible daemon (INSTREAM command)
+ * and records the verdict in the file's attachment record (`scan` field). The
+ * download route only serves files whose verdict is `clean`.
+ *
+ * Settings (`ep_media_upload.scan`):
+ *   { "socket": "/var/run/clamav/clamd.ctl" }            Unix socket, or
+ *   { "host": "127.0.0.1", "port": 3310 }                 TCP address
+ *   "timeout": 60000                                      ms per scan
+ */
+
+const net = require('net');
+const attachments = require('./attachments');
+const audit = require('./audit');
+
+const DEFAULT_CLAMD_PORT = 3310;
+const DEFAULT_SCAN_TIMEOUT_MS = 60 * 1000;
+const MAX_CHUNK_BYTES = 64 * 1024;
+
+const VERDICT_PENDING = 'pending';
+const VERDICT_CLEAN = 'clean';
+const VERDICT_INFECTED = 'infected';
+const VERDICT_ERROR = 'error';
+
+/**
+ * Return the scan settings if scanning is enabled, otherwise null
+ */
+const getScanSettings = (pluginSettings) => {
+  const cfg = pluginSettings && pluginSettings.scan;
+  if (!cfg || cfg.enabled === false || (!cfg.socket && !cfg.host)) return null;
+  return cfg;
+};
+
+/**
+ * Parse a clamd reply such as "stream: OK" or
+ * "stream: Eicar-Test-Signature FOUND". Anything else is a scanner error.
+ */
+const parseClamdReply = (reply) => {
+  const text = reply.replace(/\0/g, '').trim();
+  if (/^stream: OK$/.test(text)) return { infected: false };
+  const found = /^stream: (.+) FOUND$/.exec(text);
+  if (found) return { infected: true, signature: found[1] };
+  throw Object.assign(new Error(`clamd: ${text || 'empty reply'}`), { code: 'ESCANFAILED' });
+};
+
+/**
+ * Stream `source` to clamd with the INSTREAM command.
+ * Resolves to { infected, signature }; rejects with code ESCANFAILED when
+ * clamd is unreachable, times out, or reports an error (for example when the
+ * file exceeds its StreamMaxLength).
+ */
+const scanStream = (source, scanCfg) => new Promise((resolve, reject) => {
+  const socket = scanCfg.socket
+    ? net.createConnection({ path: scanCfg.socket })
+    : net.createConnection({ host: scanCfg.host, port: scanCfg.port || DEFAULT_CLAMD_PORT });
+  const chunks = [];
+  let settled = false;
+
+  const finish = (err, result) => {
+    if (settled) return;
+    settled = true;
+    socket.destroy();
+    source.destroy();
+    if (err) {
+      if (err.code !== 'ESCANFAILED') {
+        err = Object.assign(new Error(`clamd: ${err.message}`), { code: 'ESCANFAILED' });
+      }
+      reject(err);
+    } else {
+      resolve(result);
+    }
+  };
+
+  socket.setTimeout(scanCfg.timeout || DEFAULT_SCAN_TIMEOUT_MS, () => finish(new Error('scan timed out')));
+  socket.on('error', finish);
+  socket.on('data', (data) => chunks.push(data));
+  socket.on('end', () => {
+    try {
+      finish(null, parseClamdReply(Buffer.concat(chunks).toString('utf8')));
+    } catch (err) {
+      finish(err);
+    }
+  });
+  source.on('error', finish);
+
+  socket.once('connect', async () => {
+    socket.write('zINSTREAM\0');
+    try {
+      for await (let data of source) {
+        if (!Buffer.isBuffer(data)) data = Buffer.from(data);
+        for (let offset = 0; offset < data.length; offset += MAX_CHUNK_BYTES) {
+          const chunk = data.subarray(offset, offset + MAX_CHUNK_BYTES);
+          const header = Buffer.alloc(4);
+          header.writeUInt32BE(chunk.length);
+          // Respect backpressure; clamd closes early when the stream is too long
+          if (!socket.write(Buffer.concat([header, chunk]))) {
+            await new Promise((drained) => {
+              socket.once('drain', drained);
+              socket.once('close', drained);
+            });
+          }
+          if (settled) return;
+        }
+      }
+      // Zero-length chunk ends the stream. Keep our side open: clamd replies
+      // and then closes the connection itself
+      socket.write(Buffer.alloc(4));
+    } catch (err) {
+      finish(err);
+    }
+  });
+});
+
+// ============================================================================
+// Verdicts
+// ============================================================================
+const _inFlight = new Map(); // "padId/fileId" -> Map of object key -> Promise
+
+const verdictKey = (padId, fileId) => `${padId}/${fileId}`;
+
+/**
+ * Return the verdict stored on the attachment record, or null if the file has
+ * no record or was never scanned
+ */
+const getVerdict = async (padId, fileId) => {
+  const record = await attachments.get(padId, fileId);
+  return (record && record.scan) || null;
+};
+
+// A verdict belongs to the version of the file whose object was scanned,
+// which may no longer be the current one. The version is looked up in the
+// same update that stores the verdict, so a new version confirmed meanwhile
+// neither gets the verdict nor is lost.
+const setVerdict = (padId, fileId, key, verdict) => attachments.updateWith(padId, fileId, (record) => {
+  if (record.key === key) return { scan: verdict };
+  if (!(record.versions || []).some((version) => version.key === key)) return null;
+  return { versions: record.versions.map((version) => (version.key === key ? { ...version, scan: verdict } : version)) };
+});
+
+/**
+ * Whether a scan of the file (of its object `key`, if given) is running in
+ * this process. A `pending` verdict without one was left behind by a restart
+ * and needs a new scan.
+ */
+const isScanInFlight = (padId, fileId, key) => {
+  const scans = _inFlight.get(verdictKey(padId, fileId));
+  return !!scans && (key === undefined ? scans.size > 0 : scans.has(key));
+};
+
+/**
+ * Scan an object in the background and record its verdict. Concurrent calls
+ * for the same file and object share one scan. Resolves to the verdict;
+ * never rejects.
+ */
+const startScan = ({ adapter, key, padId, fileId, scanCfg, logger }) => {
+  const vKey = verdictKey(padId, fileId);
+  const scans = _inFlight.get(vKey) || new Map();
+  if (scans.has(key)) return scans.get(key);
+
+  const run = (async () => {
+    await setVerdict(padId, fileId, key, { status: VERDICT_PENDING, requestedAt: Date.now() });
+    let verdict;
+    try {
+      const result = await scanStream(await adapter.createReadStream(key), scanCfg);
+      verdict = result.infected
+        ? { status: VERDICT_INFECTED, signature: result.signature, scannedAt: Date.now() }
+        : { status: VERDICT_CLEAN, scannedAt: Date.now() };
+    } catch (err) {
+      verdict = { status: VERDICT_ERROR, error: err.message, scannedAt: Date.now() };
+    }
+    await setVerdict(padId, fileId, key, verdict);
+
+    if (verdict.status === VERDICT_INFECTED) {
+      audit.emit(logger, 'warn', 'SCAN_INFECTED', { pad: padId, file: fileId, signature: verdict.signature });
+    } else if (verdict.status === VERDICT_ERROR) {
+      audit.emit(logger, 'error', 'SCAN_FAILED', { pad: padId, file: fileId, error: verdict.error });
+    } else {
+      audit.emit(logger, 'info', 'SCAN_CLEAN', { pad: padId, file: fileId });
+    }
+    return verdict;
+  })().catch((err) => {
+    audit.emit(logger, 'error', 'SCAN_FAILED', { pad: padId, file: fileId, error: err.message });
+    return { status: VERDICT_ERROR, error: err.message };
+  }).finally(() => {
+    scans.delete(key);
+    if (!scans.size && _inFlight.get(vKey) === scans) _inFlight.delete(vKey);
+  });
+
+  scans.set(key, run);
+  _inFlight.set(vKey, scans);
+  return run;
+};
+
+module.exports = {
+  VERDICT_CLEAN,
+  VERDICT_ERROR,
+  VERDICT_INFECTED,
+  VERDICT_PENDING,
+  getScanSettings,
+  getVerdict,
+  isScanInFlight,
+  parseClamdReply,
+  scanStream,
+  startScan,
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+/**
+ * ep_media_upload - Content sniffing
+ *
+ * Identify what an uploaded object really is from its first bytes, so a file
+ * declared as `.png` / `image/png` that actually contains HTML or an
+ * executable can be rejected before its link is inserted.
+ */
+
+const { Readable } = require('stream');
+
+// Enough for every signature below (tar's "ustar" lives at offset 257) and
+// for the <svg> element to appear after an XML prolog and comments
+const SNIFF_BYTES = 4096;
+
+const ZIP_MIMES = [
+  'application/zip',
+  'application/x-zip-compressed',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+// OLE2 compound documents (legacy Office formats)
+const OLE_MIMES = ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'];
+
+// ISO base media files; brands vary too much between encoders to tell apart
+const ISO_BMFF_MIMES = ['video/mp4', 'audio/mp4', 'audio/x-m4a', 'video/quicktime'];
+
+const TEXT_MIMES = ['text/plain', 'text/csv', 'application/csv'];
+
+/**
+ * Binary signatures: bytes expected at an offset, and the MIME types a match
+ * is consistent with. Strings are compared as latin1 bytes.
+ */
+const SIGNATURES = [
+  { offset: 0, bytes: '%PDF-', mimes: ['application/pdf'] },
+  { offset: 0, bytes: '\x89PNG\r\n\x1a\n', mimes: ['image/png'] },
+  { offset: 0, bytes: '\xff\xd8\xff', mimes: ['image/jpeg'] },
+  { offset: 0, bytes: 'GIF87a', mimes: ['image/gif'] },
+  { offset: 0, bytes: 'GIF89a', mimes: ['image/gif'] },
+  { offset: 0, bytes: 'BM', mimes: ['image/bmp'] },
+  { offset: 0, bytes: 'RIFF', and: { offset: 8, bytes: 'WEBP' }, mimes: ['image/webp'] },
+  { offset: 0, bytes: 'RIFF', and: { offset: 8, bytes: 'WAVE' }, mimes: ['audio/wav', 'audio/wave', 'audio/x-wav', 'audio/vnd.wave'] },
+  { offset: 0, bytes: 'RIFF', and: { offset: 8, bytes: 'AVI ' }, mimes: ['video/x-msvideo'] },
+  { offset: 0, bytes: 'ID3', mimes: ['audio/mpeg', 'audio/mp3'] },
+  { offset: 0, bytes: 'OggS', mimes: ['audio/ogg'] },
+  { offset: 0, bytes: 'fLaC', mimes: ['audio/flac'] },
+  { offset: 4, bytes: 'ftyp', mimes: ISO_BMFF_MIMES },
+  { offset: 4, bytes: 'moov', mimes: ['video/quicktime'] },
+  { offset: 4, bytes: 'mdat', mimes: ['video/quicktime'] },
+  { offset: 4, bytes: 'wide', mimes: ['video/quicktime'] },
+  { offset: 4, bytes: 'free', mimes: ['video/quicktime'] },
+  { offset: 4, bytes: 'skip', mimes: ['video/quicktime'] },
+  { offset: 0, bytes: '\x1a\x45\xdf\xa3', mimes: ['video/x-matroska', 'video/webm'] },
+  { offset: 0, bytes: 'PK\x03\x04', mimes: ZIP_MIMES },
+  { offset: 0, bytes: 'PK\x05\x06', mimes: ZIP_MIMES }, // empty archive
+  { offset: 0, bytes: '\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1', mimes: OLE_MIMES },
+  { offset: 0, bytes: 'Rar!\x1a\x07', mimes: ['application/vnd.rar', 'application/x-rar-compressed'] },
+  { offset: 0, bytes: '7z\xbc\xaf\x27\x1c', mimes: ['application/x-7z-compressed'] },
+  { offset: 0, bytes: '\x1f\x8b', mimes: ['application/gzip', 'application/x-gzip'] },
+  { offset: 257, bytes: 'ustar', mimes: ['application/x-tar'] },
+  { offset: 0, bytes: '{\\rtf', mimes: ['application/rtf', 'text/rtf'] },
+];
+
+const matchesAt = (buffer, offset, bytes) => buffer.length >= offset + bytes.length &&
+  buffer.toString('latin1', offset, offset + bytes.length) === bytes;
+
+// MPEG audio frame sync: 11 set bits (MP3 files without an ID3 tag)
+const isMpegFrame = (buffer) => buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0;
+
+/**
+ * Return the MIME types the sample is consistent with, or an empty array if
+ * nothing matched. NUL-free samples are also reported as plain text (plus SVG
+ * when they contain an <svg> element), since short signatures such as "BM"
+ * can begin ordinary text.
+ */
+const sniffMimeTypes = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return [];
+
+  const mimes = new Set();
+  for (const sig of SIGNATURES) {
+    if (matchesAt(buffer, sig.offset, sig.bytes) && (!sig.and || matchesAt(buffer, sig.and.offset, sig.and.bytes))) {
+      sig.mimes.forEach((mime) => mimes.add(mime));
+    }
+  }
+  if (mimes.size === 0 && isMpegFrame(buffer)) {
+    mimes.add('audio/mpeg');
+    mimes.add('audio/mp3');
+  }
+
+  // Binary content always contains NUL bytes early on; UTF-16 text has a BOM
+  const isUtf16 = matchesAt(buffer, 0, '\xff\xfe') || matchesAt(buffer, 0, '\xfe\xff');
+  if (isUtf16 || !buffer.includes(0)) {
+    TEXT_MIMES.forEach((mime) => mimes.add(mime));
+    if (/<svg[\s>]/i.test(buffer.toString(isUtf16 ? 'utf16le' : 'utf8'))) mimes.add('image/svg+xml');
+  }
+  return [...mimes];
+};
+
+/**
+ * Take the first `bytes` bytes of a stream (any async iterable of Buffers)
+ * for sniffing without consuming it. Resolves to { head, stream } where
+ * stream replays the whole content.
+ */
+const peekStream = async (source, bytes) => {
+  const iterator = source[Symbol.asyncIterator]();
+  const headChunks = [];
+  let length = 0;
+  while (length < bytes) {
+    const next = await iterator.next();
+    if (next.done) break;
+    headChunks.push(next.value);
+    length += next.value.length;
+  }
+  const head = Buffer.concat(headChunks);
+  const stream = Readable.from((async function* () {
+    if (head.length) yield head;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) yield next.value;
+  })());
+  return { head: head.subarray(0, bytes), stream };
+};
+
+module.exports = { SNIFF_BYTES, peekStream, sniffMimeTypes };
@@ -0,0 +1,168 @@
+'use strict';
+
+/**
+ * ep_media_upload - Storage adapter registry
+ *
+ * Routes in index.js never talk to a storage service directly. They resolve
+ * the adapter registered for `storage.type` and call its methods. Built-in
+ * adapters: `s3_presigned` and `local`.
+ *
+ * Other plugins can register adapters through the
+ * `ep_media_upload_storageAdapters` server hook:
+ *
+ *   // ep.json: "hooks": { "ep_media_upload_storageAdapters": "ep_my_storage/index" }
+ *   exports.ep_media_upload_storageAdapters = (hookName, { registerAdapter }) => {
+ *     registerAdapter('azure_blob', (storageCfg) => createAzureAdapter(storageCfg));
+ *   };
+ *
+ * A factory receives the `ep_media_upload.storage` settings object and returns
+ * an adapter. It should throw an Error with a human-readable message if the
+ * configuration is unusable; the message is returned to the client as a 500.
+ *
+ * Adapter contract (all methods async):
+ *
+ * - createUploadTarget({ padId, fileId, key, contentType, contentDisposition, contentLength, expiresIn })
+ *     → { signedUrl, headers? }  URL the browser PUTs the file to, with the
+ *       given Content-Type and Content-Disposition headers plus `headers`.
+ *       The target must refuse bodies whose size differs from contentLength
+ *       (already checked against maxFileSize), and should refuse to replace
+ *       an object stored under `key`: the URL stays valid after the upload
+ *       was confirmed.
+ * - resolveDownload({ key, contentDisposition, contentType, expiresIn })
+ *     → { redirectUrl } to redirect the browser, or
+ *       { filePath } / { stream } for Etherpad to serve the bytes itself.
+ *       `contentType` is only set when the route wants to override it.
+ * - stat(key)
+ *     → { size, contentType, contentDisposition, lastModified } or null if
+ *       the object does not exist.
+ * - delete(key)
+ *     → removes the object; missing objects are not an error.
+ * - readRange(key, { start, end })  (optional)
+ *     → Buffer with bytes start..end (inclusive) of the object. Used to check
+ *       uploaded content against its declared type; without it only the size
+ *       and stored Content-Type are verified.
+ * - copy(sourceKey, destKey)  (optional)
+ *     → copies an object, including its stored headers.
+ * - createReadStream(key)  (optional)
+ *     → Readable stream of the whole object. Required for antivirus scanning.
+ * - listObjects(prefix)  (optional)
+ *     → [{ key, size, lastModified }] for every object whose key starts with
+ *       prefix. Used to delete a removed pad's files and to sweep orphaned
+ *       objects; without it only files with attachment records are found.
+ * - putObject({ key, body, contentLength, contentType, contentDisposition })  (optional)
+ *     → stores `body` (a Readable of exactly contentLength bytes) from the
+ *       server side. Required for importing attachment bundles.
+ * - acceptUpload({ key, query, headers, stream, maxFileSize })  (optional)
+ *     → stores a body PUT to the plugin's own upload route. Only needed by
+ *       adapters whose upload targets point back at Etherpad. Throw errors
+ *       with code 'EBADSIGNATURE' or 'EFILETOOLARGE' to reject the upload,
+ *       and 'EOBJECTEXISTS' when an object is already stored under `key`.
+ *
+ * Multipart uploads (optional; implement all five or none). Without them,
+ * large files fall back to a single PUT:
+ *
+ * - createMultipartUpload({ key, contentType, contentDisposition }) → { uploadId }
+ * - signUploadParts({ key, uploadId, partNumbers, partLengths, expiresIn }) → { urls: { [partNumber]: url } }
+ *     `partLengths` maps each part number to its size in bytes; storage
+ *     should refuse a part body of any other size.
+ * - listUploadedParts({ key, uploadId }) → [{ partNumber, etag, size }]
+ * - completeMultipartUpload({ key, uploadId, parts: [{ partNumber, etag }] })
+ * - abortMultipartUpload({ key, uploadId })
+ */
+
+const MULTIPART_METHODS = [
+  'createMultipartUpload',
+  'signUploadParts',
+  'listUploadedParts',
+  'completeMultipartUpload',
+  'abortMultipartUpload',
+];
+
+// Etherpad hook runner, used to collect adapters from other plugins
+let hooks;
+try {
+  hooks = require('ep_etherpad-lite/static/js/pluginfw/hooks');
+} catch (e) {
+  console.warn('[ep_media_upload] Plugin hooks not available; only built-in storage adapters can be used');
+}
+
+const _factories = new Map([
+  ['s3_presigned', require('./s3')],
+  ['local', require('./local')],
+]);
+
+// Adapters are built once per storage settings object
+const _adapterCache = new WeakMap();
+
+let _hookAdaptersLoaded = null;
+
+/**
+ * Register a storage adapter factory for a `storage.type` value.
+ * Built-in types cannot be replaced.
+ */
+const registerAdapter = (type, factory) => {
+  if (!type || typeof type !== 'string' || typeof factory !== 'function') {
+    throw new TypeError('registerAdapter(type, factory) requires a string type and a factory function');
+  }
+  if (type === 's3_presigned' || type === 'local') {
+    throw new Error(`Storage type "${type}" is built in and cannot be replaced`);
+  }
+  if (_factories.has(type)) {
+    console.warn(`[ep_media_upload] Storage adapter "${type}" registered twice; using the latest`);
+  }
+  _factories.set(type, factory);
+};
+
+/**
+ * Run the ep_media_upload_storageAdapters hook once so other plugins can
+ * register their adapters. Safe to call repeatedly.
+ */
+const loadHookAdapters = () => {
+  if (!_hookAdaptersLoaded) {
+    _hookAdaptersLoaded = hooks
+      ? Promise.resolve(hooks.aCallAll('ep_media_upload_storageAdapters', { registerAdapter }))
+        .catch((err) => {
+          console.error('[ep_media_upload] Failed to load storage adapters from plugins:', err);
+        })
+      : Promise.resolve();
+  }
+  return _hookAdaptersLoaded;
+};
+
+/**
+ * Get the adapter for a storage settings object.
+ * Returns null if storage is not configured or the type is unknown.
+ * Throws an Error with code 'ESTORAGECONFIG' if the factory rejects the config.
+ */
+const getAdapter = async (storageCfg) => {
+  if (!storageCfg || !storageCfg.type) return null;
+  const cached = _adapterCache.get(storageCfg);
+  if (cached) return cached;
+
+  await loadHookAdapters();
+  const factory = _factories.get(storageCfg.type);
+  if (!factory) return null;
+
+  let adapter;
+  try {
+    adapter = await factory(storageCfg);
+  } catch (err) {
+    throw Object.assign(new Error(err.message), { code: 'ESTORAGECONFIG', cause: err });
+  }
+  for (const method of ['createUploadTarget', 'resolveDownload', 'stat', 'delete']) {
+    if (!adapter || typeof adapter[method] !== 'function') {
+      throw Object.assign(
+        new Error(`Storage adapter "${storageCfg.type}" does not implement ${method}()`),
+        { code: 'ESTORAGECONFIG' });
+    }
+  }
+  _adapterCache.set(storageCfg, adapter);
+  return adapter;
+};
+
+/**
+ * Whether an adapter implements the multipart upload methods.
+ */
+const supportsMultipart = (adapter) => MULTIPART_METHODS.every((method) => typeof adapter[method] === 'function');
+
+module.exports = { getAdapter, loadHookAdapters, registerAdapter, supportsMultipart };
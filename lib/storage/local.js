@@ -0,0 +1,268 @@
+'use strict';
+
+/**
+ * ep_media_upload - Local filesystem storage adapter (`storage.type: "local"`)
+ *
+ * Browsers PUT to the plugin's own upload route with an HMAC-signed URL (the
+ * same contract as an S3 presigned PUT), and Etherpad serves downloads from
+ * `storage.directory`. Each object has a `<file>.json` sidecar holding the
+ * headers it was uploaded with.
+ */
+
+const { createHmac, randomBytes, randomUUID, timingSafeEqual } = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Secret used to sign local upload URLs. Configure storage.secret when running
+// several Etherpad nodes so a URL signed by one node is accepted by the others.
+const _localFallbackSecret = randomBytes(32);
+
+/**
+ * Compute the signature for a local upload URL.
+ * Mirrors what S3 signs for a presigned PUT: the object key, expiry, exact
+ * body length, and the Content-Type / Content-Disposition headers the client
+ * must send.
+ */
+const signLocalUpload = (secret, { key, expiresAt, contentLength, contentType, contentDisposition }) => createHmac('sha256', secret || _localFallbackSecret)
+  .update([key, String(expiresAt), String(contentLength), contentType, contentDisposition].join('\n'))
+  .digest('hex');
+
+/**
+ * Verify a local upload signature in constant time.
+ * Returns true if valid and not expired, false otherwise.
+ */
+const isValidLocalUploadSignature = (secret, upload, signature) => {
+  if (!signature || typeof signature !== 'string') return false;
+  const expiresAt = Number(upload.expiresAt);
+  if (!Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000)) return false;
+  const contentLength = Number(upload.contentLength);
+  if (!Number.isSafeInteger(contentLength) || contentLength < 0) return false;
+  const expected = Buffer.from(signLocalUpload(secret, {
+    key: upload.key,
+    expiresAt,
+    contentLength,
+    contentType: upload.contentType || '',
+    contentDisposition: upload.contentDisposition || '',
+  }), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+};
+
+/**
+ * Resolve an object key to an absolute path inside the storage directory.
+ * Returns null if the key would escape the directory.
+ */
+const resolveLocalPath = (directory, key) => {
+  const root = path.resolve(directory);
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) return null;
+  return filePath;
+};
+
+const codedError = (message, code) => Object.assign(new Error(message), { code });
+
+// Name of an upload still being written: "<file>.<uuid>.part"
+const UPLOAD_TEMP_PATTERN = /\.[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}\.part$/;
+
+/**
+ * Stream `body` into `filePath` and write its sidecar. Like S3, bodies whose
+ * length differs from contentLength are rejected. The bytes go to a temporary
+ * file that is moved into place on success, so partial uploads are never
+ * visible to the download endpoint. With `exclusive`, an existing object is
+ * kept and the write fails with EOBJECTEXISTS.
+ */
+const writeObject = async (filePath, body, { contentLength, maxFileSize, contentType, contentDisposition, exclusive = false }) => {
+  const uploadId = randomUUID();
+  const tempPath = `${filePath}.${uploadId}.part`;
+  const tempMetaPath = `${filePath}.json.${uploadId}.part`;
+  let received = 0;
+  const sizeGuard = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > contentLength || (maxFileSize && received > maxFileSize)) {
+        return callback(codedError('File too large', 'EFILETOOLARGE'));
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (received !== contentLength) {
+        return callback(codedError('Upload size does not match the signed size', 'EBADSIGNATURE'));
+      }
+      callback();
+    },
+  });
+
+  try {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await pipeline(body, sizeGuard, fs.createWriteStream(tempPath, { flags: 'wx' }));
+    await fs.promises.writeFile(tempMetaPath, JSON.stringify({
+      contentType,
+      contentDisposition,
+      size: received,
+      uploadedAt: new Date().toISOString(),
+    }));
+    if (exclusive) {
+      // A hard link fails if the object exists, where a rename would replace it
+      try {
+        await fs.promises.link(tempPath, filePath);
+      } catch (err) {
+        throw err.code === 'EEXIST' ? codedError('Object already exists', 'EOBJECTEXISTS') : err;
+      }
+      await fs.promises.rm(tempPath, { force: true });
+    } else {
+      await fs.promises.rename(tempPath, filePath);
+    }
+    await fs.promises.rename(tempMetaPath, `${filePath}.json`);
+  } catch (err) {
+    await fs.promises.rm(tempPath, { force: true }).catch(() => {});
+    await fs.promises.rm(tempMetaPath, { force: true }).catch(() => {});
+    throw err;
+  }
+};
+
+const createLocalAdapter = (storageCfg) => {
+  const { directory, secret } = storageCfg;
+  if (!directory) {
+    throw new Error('Invalid local storage configuration: missing directory');
+  }
+
+  const pathFor = (key) => {
+    const filePath = resolveLocalPath(directory, key);
+    if (!filePath) throw codedError('Invalid storage key', 'EINVALIDKEY');
+    return filePath;
+  };
+
+  return {
+    async createUploadTarget({ padId, fileId, key, contentType, contentDisposition, contentLength, expiresIn }) {
+      pathFor(key);
+      const expiresAt = Math.floor(Date.now() / 1000) + expiresIn;
+      const signature = signLocalUpload(secret, { key, expiresAt, contentLength, contentType, contentDisposition });
+      const query = new URLSearchParams({
+        file: fileId,
+        expires: String(expiresAt),
+        size: String(contentLength),
+        signature,
+      });
+      return { signedUrl: `/p/${encodeURIComponent(padId)}/pluginfw/ep_media_upload/upload?${query}` };
+    },
+
+    async acceptUpload({ key, query, headers, stream, maxFileSize }) {
+      const filePath = pathFor(key);
+      const contentType = headers['content-type'] || '';
+      const contentDisposition = headers['content-disposition'] || '';
+      const contentLength = Number(query.size);
+      const signed = { key, expiresAt: query.expires, contentLength, contentType, contentDisposition };
+      if (!isValidLocalUploadSignature(secret, signed, query.signature)) {
+        throw codedError('Invalid or expired upload signature', 'EBADSIGNATURE');
+      }
+
+      // Signed URLs outlive the upload, so they must not replace a stored
+      // object, which may already have been checked and linked
+      await writeObject(filePath, stream, { contentLength, maxFileSize, contentType, contentDisposition, exclusive: true });
+    },
+
+    async putObject({ key, body, contentLength, contentType, contentDisposition }) {
+      await writeObject(pathFor(key), body, { contentLength, contentType, contentDisposition });
+    },
+
+    async resolveDownload({ key }) {
+      return { filePath: pathFor(key) };
+    },
+
+    async stat(key) {
+      const filePath = pathFor(key);
+      let fileStat;
+      try {
+        fileStat = await fs.promises.stat(filePath);
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+      let meta = {};
+      try {
+        meta = JSON.parse(await fs.promises.readFile(`${filePath}.json`, 'utf8'));
+      } catch (metaErr) {
+        console.warn(`[ep_media_upload] Metadata warning for key="${key}": ${metaErr.message}`);
+      }
+      return {
+        size: fileStat.size,
+        contentType: meta.contentType || null,
+        contentDisposition: meta.contentDisposition || null,
+        lastModified: fileStat.mtime,
+      };
+    },
+
+    async delete(key) {
+      const filePath = pathFor(key);
+      await fs.promises.rm(filePath, { force: true });
+      await fs.promises.rm(`${filePath}.json`, { force: true });
+    },
+
+    async readRange(key, { start, end }) {
+      const handle = await fs.promises.open(pathFor(key), 'r');
+      try {
+        const buffer = Buffer.alloc(end - start + 1);
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+
+    async createReadStream(key) {
+      // Open first so a missing file rejects here rather than on the stream
+      const handle = await fs.promises.open(pathFor(key), 'r');
+      return handle.createReadStream();
+    },
+
+    async copy(sourceKey, destKey) {
+      const sourcePath = pathFor(sourceKey);
+      const destPath = pathFor(destKey);
+      await fs.promises.mkdir(path.dirname(destPath), { recursive: true });
+      await fs.promises.copyFile(sourcePath, destPath);
+      await fs.promises.copyFile(`${sourcePath}.json`, `${destPath}.json`).catch((err) => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    async listObjects(prefix) {
+      const root = path.resolve(directory);
+      // Only walk the directory the prefix points into
+      const start = prefix.includes('/') ? pathFor(prefix.slice(0, prefix.lastIndexOf('/'))) : root;
+      const objects = [];
+      const walk = async (dir) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === 'ENOENT') return;
+          throw err;
+        }
+        const names = new Set(entries.map((entry) => entry.name));
+        for (const entry of entries) {
+          const entryPath = path.join(dir, entry.name);
+          if (entry.isDirectory()) {
+            await walk(entryPath);
+            continue;
+          }
+          // Skip header sidecars and unfinished uploads
+          if (!entry.isFile() || UPLOAD_TEMP_PATTERN.test(entry.name)) continue;
+          if (entry.name.endsWith('.json') && names.has(entry.name.slice(0, -'.json'.length))) continue;
+          const key = path.relative(root, entryPath).split(path.sep).join('/');
+          if (!key.startsWith(prefix)) continue;
+          const fileStat = await fs.promises.stat(entryPath);
+          objects.push({ key, size: fileStat.size, lastModified: fileStat.mtime });
+        }
+      };
+      await walk(start);
+      return objects;
+    },
+  };
+};
+
+module.exports = createLocalAdapter;
+module.exports.isValidLocalUploadSignature = isValidLocalUploadSignature;
+module.exports.resolveLocalPath = resolveLocalPath;
+module.exports.signLocalUpload = signLocalUpload;
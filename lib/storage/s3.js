@@ -0,0 +1,262 @@
+'use strict';
+
+/**
+ * ep_media_upload - S3 storage adapter (`storage.type: "s3_presigned"`)
+ *
+ * Browsers upload and download directly against S3 through presigned URLs;
+ * Etherpad only signs them. Works with AWS and S3-compatible services (MinIO,
+ * Ceph RGW, Garage) through `endpoint` and `forcePathStyle`.
+ */
+
+// AWS SDK v3 for presigned URLs
+let S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand, CopyObjectCommand, ListObjectsV2Command, getSignedUrl;
+let CreateMultipartUploadCommand, UploadPartCommand, ListPartsCommand, CompleteMultipartUploadCommand, AbortMultipartUploadCommand;
+try {
+  ({
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    CopyObjectCommand,
+    ListObjectsV2Command,
+  } = require('@aws-sdk/client-s3'));
+  ({
+    CreateMultipartUploadCommand,
+    UploadPartCommand,
+    ListPartsCommand,
+    CompleteMultipartUploadCommand,
+    AbortMultipartUploadCommand,
+  } = require('@aws-sdk/client-s3'));
+  ({ getSignedUrl } = require('@aws-sdk/s3-request-presigner'));
+} catch (e) {
+  console.warn('[ep_media_upload] AWS SDK not installed; s3_presigned storage will not work.');
+}
+
+const isNotFound = (err) => err.name === 'NotFound' || err.name === 'NoSuchKey' || err.Code === 'NoSuchKey';
+
+/**
+ * Validate an endpoint setting. Returns the URL string or throws.
+ */
+const parseEndpoint = (value, settingName) => {
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (e) {
+    throw new Error(`Invalid S3 configuration: ${settingName} is not a valid URL`);
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+    throw new Error(`Invalid S3 configuration: ${settingName} must use http or https`);
+  }
+  return value;
+};
+
+/**
+ * Build the S3Client options for an endpoint from the storage settings.
+ * Credentials come from settings when given, otherwise from the AWS SDK's
+ * default provider chain (env vars, shared config, IAM role).
+ */
+const buildClientConfig = (storageCfg, endpoint) => {
+  const { region, forcePathStyle, accessKeyId, secretAccessKey, sessionToken } = storageCfg;
+  const clientConfig = { region };
+  if (endpoint) clientConfig.endpoint = endpoint;
+  if (forcePathStyle) clientConfig.forcePathStyle = true;
+  if (accessKeyId || secretAccessKey) {
+    if (!accessKeyId || !secretAccessKey) {
+      throw new Error('Invalid S3 configuration: accessKeyId and secretAccessKey must be set together');
+    }
+    clientConfig.credentials = { accessKeyId, secretAccessKey };
+    if (sessionToken) clientConfig.credentials.sessionToken = sessionToken;
+  }
+  return clientConfig;
+};
+
+const createS3Adapter = (storageCfg) => {
+  if (!S3Client || !PutObjectCommand || !GetObjectCommand || !getSignedUrl) {
+    throw new Error('AWS SDK not available on server');
+  }
+
+  const { bucket, region } = storageCfg;
+  if (!bucket || !region) {
+    throw new Error('Invalid S3 configuration: missing bucket or region');
+  }
+
+  const endpoint = storageCfg.endpoint ? parseEndpoint(storageCfg.endpoint, 'endpoint') : undefined;
+  const publicEndpoint = storageCfg.publicEndpoint
+    ? parseEndpoint(storageCfg.publicEndpoint, 'publicEndpoint')
+    : undefined;
+
+  // One client per configuration, shared by every request. URLs handed to
+  // browsers are signed against publicEndpoint when it differs from the
+  // endpoint Etherpad itself reaches (e.g. MinIO behind a reverse proxy).
+  const s3Client = new S3Client(buildClientConfig(storageCfg, endpoint));
+  const presignClient = publicEndpoint && publicEndpoint !== endpoint
+    ? new S3Client(buildClientConfig(storageCfg, publicEndpoint))
+    : s3Client;
+
+  return {
+    async createUploadTarget({ key, contentType, contentDisposition, contentLength, expiresIn }) {
+      const putCommand = new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+        // Force download instead of opening in browser
+        ContentDisposition: contentDisposition,
+        // Signed below, so S3 refuses any body whose size differs
+        ContentLength: contentLength,
+        // The URL stays valid after confirm; refuse to overwrite the checked object
+        IfNoneMatch: '*',
+      });
+      return {
+        signedUrl: await getSignedUrl(presignClient, putCommand, {
+          expiresIn,
+          signableHeaders: new Set(['content-length', 'if-none-match']),
+        }),
+        headers: { 'If-None-Match': '*' },
+      };
+    },
+
+    async resolveDownload({ key, contentDisposition, contentType, expiresIn }) {
+      // Use ResponseContentDisposition and ResponseContentType to override stored headers
+      const commandParams = {
+        Bucket: bucket,
+        Key: key,
+        ResponseContentDisposition: contentDisposition,
+      };
+      if (contentType) commandParams.ResponseContentType = contentType;
+
+      const getCommand = new GetObjectCommand(commandParams);
+      return { redirectUrl: await getSignedUrl(presignClient, getCommand, { expiresIn }) };
+    },
+
+    async stat(key) {
+      try {
+        const head = await s3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          size: head.ContentLength,
+          contentType: head.ContentType || null,
+          contentDisposition: head.ContentDisposition || null,
+          lastModified: head.LastModified || null,
+        };
+      } catch (err) {
+        if (isNotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async readRange(key, { start, end }) {
+      const result = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key, Range: `bytes=${start}-${end}` }));
+      return Buffer.from(await result.Body.transformToByteArray());
+    },
+
+    async createReadStream(key) {
+      const result = await s3Client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+      return result.Body;
+    },
+
+    async copy(sourceKey, destKey) {
+      // CopySource is "bucket/key" with the key URL-encoded per path segment
+      const copySource = `${bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`;
+      await s3Client.send(new CopyObjectCommand({ Bucket: bucket, Key: destKey, CopySource: copySource }));
+    },
+
+    async putObject({ key, body, contentLength, contentType, contentDisposition }) {
+      await s3Client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentLength: contentLength,
+        ContentType: contentType,
+        ContentDisposition: contentDisposition,
+      }));
+    },
+
+    async listObjects(prefix) {
+      const objects = [];
+      let token;
+      do {
+        const page = await s3Client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: token,
+        }));
+        for (const object of page.Contents || []) {
+          objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+        }
+        token = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (token);
+      return objects;
+    },
+
+    /* ------------------ Multipart uploads ------------------ */
+
+    async createMultipartUpload({ key, contentType, contentDisposition }) {
+      const result = await s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        ContentType: contentType,
+        ContentDisposition: contentDisposition,
+      }));
+      return { uploadId: result.UploadId };
+    },
+
+    async signUploadParts({ key, uploadId, partNumbers, partLengths, expiresIn }) {
+      const urls = {};
+      for (const partNumber of partNumbers) {
+        const partCommand = new UploadPartCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          // Signed below, so S3 refuses a part whose size differs
+          ContentLength: partLengths[partNumber],
+        });
+        urls[partNumber] = await getSignedUrl(presignClient, partCommand, {
+          expiresIn,
+          signableHeaders: new Set(['content-length']),
+        });
+      }
+      return { urls };
+    },
+
+    async listUploadedParts({ key, uploadId }) {
+      const parts = [];
+      let marker;
+      do {
+        const page = await s3Client.send(new ListPartsCommand({
+          Bucket: bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: marker,
+        }));
+        for (const part of page.Parts || []) {
+          parts.push({ partNumber: part.PartNumber, etag: part.ETag, size: part.Size });
+        }
+        marker = page.IsTruncated ? page.NextPartNumberMarker : undefined;
+      } while (marker);
+      return parts;
+    },
+
+    async completeMultipartUpload({ key, uploadId, parts }) {
+      await s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: {
+          Parts: parts.map(({ partNumber, etag }) => ({ PartNumber: partNumber, ETag: etag })),
+        },
+      }));
+    },
+
+    async abortMultipartUpload({ key, uploadId }) {
+      await s3Client.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId: uploadId }));
+    },
+  };
+};
+
+module.exports = createS3Adapter;
+module.exports.buildClientConfig = buildClientConfig;
@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+ * ep_media_upload - Minimal tar (ustar) reader and writer
+ *
+ * Enough of the format for attachment bundles: regular files only, names of
+ * at most 100 bytes, sizes below 8 GiB. Both sides stream, so entries never
+ * need to fit in memory.
+ */
+
+const BLOCK_SIZE = 512;
+const MAX_NAME_BYTES = 100;
+const MAX_ENTRY_SIZE = 0o77777777777; // 11 octal digits
+
+const codedError = (message, code) => Object.assign(new Error(message), { code });
+
+const padding = (size) => (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+
+const writeOctal = (block, offset, length, value) => {
+  block.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+};
+
+const readOctal = (block, offset, length) => parseInt(block.toString('ascii', offset, offset + length).replace(/\0.*$/, '').trim() || '0', 8);
+
+const checksum = (block) => {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) sum += i >= 148 && i < 156 ? 0x20 : block[i];
+  return sum;
+};
+
+const buildHeader = (name, size, mtime) => {
+  if (Buffer.byteLength(name) > MAX_NAME_BYTES) throw codedError(`Tar entry name too long: ${name}`, 'ETARFORMAT');
+  if (!Number.isSafeInteger(size) || size < 0 || size > MAX_ENTRY_SIZE) throw codedError(`Invalid tar entry size: ${size}`, 'ETARFORMAT');
+  const block = Buffer.alloc(BLOCK_SIZE);
+  block.write(name, 0, MAX_NAME_BYTES, 'utf8');
+  writeOctal(block, 100, 8, 0o644); // mode
+  writeOctal(block, 108, 8, 0); // uid
+  writeOctal(block, 116, 8, 0); // gid
+  writeOctal(block, 124, 12, size);
+  writeOctal(block, 136, 12, Math.floor(mtime / 1000));
+  block.write('0', 156, 1, 'ascii'); // regular file
+  block.write('ustar\0' + '00', 257, 8, 'ascii');
+  block.write(`${checksum(block).toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return block;
+};
+
+/**
+ * Write a tar archive. `entries` is an (async) iterable of
+ * { name, size, body } where body is a Buffer or an async function returning
+ * a Readable. Yields Buffers; throws if a body's length differs from `size`.
+ */
+async function* writeTar(entries) {
+  const mtime = Date.now();
+  for await (const { name, size, body } of entries) {
+    yield buildHeader(name, size, mtime);
+    let written = 0;
+    if (Buffer.isBuffer(body)) {
+      written = body.length;
+      if (written === size) yield body;
+    } else {
+      for await (const chunk of await body()) {
+        written += chunk.length;
+        if (written > size) break;
+        yield chunk;
+      }
+    }
+    if (written !== size) throw codedError(`Tar entry ${name} is ${written} bytes, expected ${size}`, 'ETARFORMAT');
+    if (padding(size)) yield Buffer.alloc(padding(size));
+  }
+  yield Buffer.alloc(BLOCK_SIZE * 2);
+}
+
+/**
+ * Buffered reader over an async iterable of Buffers
+ */
+const createByteReader = (source) => {
+  const iterator = source[Symbol.asyncIterator]();
+  let buffered = Buffer.alloc(0);
+  let done = false;
+
+  const fill = async () => {
+    if (done) return false;
+    const next = await iterator.next();
+    if (next.done) {
+      done = true;
+      return false;
+    }
+    buffered = buffered.length ? Buffer.concat([buffered, next.value]) : Buffer.from(next.value);
+    return true;
+  };
+
+  return {
+    // Exactly n bytes; throws on a truncated archive
+    async read(n) {
+      while (buffered.length < n) {
+        if (!(await fill())) throw codedError('Unexpected end of tar archive', 'ETARFORMAT');
+      }
+      const result = buffered.subarray(0, n);
+      buffered = buffered.subarray(n);
+      return result;
+    },
+    // Up to n bytes in whatever chunks arrive
+    async* chunks(n) {
+      let remaining = n;
+      while (remaining > 0) {
+        if (!buffered.length && !(await fill())) throw codedError('Unexpected end of tar archive', 'ETARFORMAT');
+        const chunk = buffered.subarray(0, remaining);
+        buffered = buffered.subarray(chunk.length);
+        remaining -= chunk.length;
+        yield chunk;
+      }
+    },
+  };
+};
+
+/**
+ * Read a tar archive from an async iterable of Buffers (e.g. a Readable).
+ * Yields { name, size, body } for each regular file, where body is an async
+ * iterable of the entry's bytes. A body must be consumed, or simply ignored,
+ * before asking for the next entry; ignored bodies are skipped.
+ */
+async function* readTar(source) {
+  const reader = createByteReader(source);
+  for (;;) {
+    const header = await reader.read(BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) return;
+    if (readOctal(header, 148, 8) !== checksum(header)) throw codedError('Invalid tar header checksum', 'ETARFORMAT');
+
+    const name = header.toString('utf8', 0, MAX_NAME_BYTES).replace(/\0.*$/s, '');
+    const prefix = header.toString('ascii', 257, 262) === 'ustar'
+      ? header.toString('utf8', 345, 500).replace(/\0.*$/s, '')
+      : '';
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156]);
+
+    let consumed = 0;
+    const body = (async function* () {
+      for await (const chunk of reader.chunks(size)) {
+        consumed += chunk.length;
+        yield chunk;
+      }
+    })();
+
+    // Regular files only; directories, links and extended headers are skipped
+    if (type === '0' || type === '\0') {
+      yield { name: prefix ? `${prefix}/${name}` : name, size, body };
+    }
+    if (consumed < size) {
+      for await (const chunk of reader.chunks(size - consumed)) consumed += chunk.length;
+    }
+    if (padding(size)) await reader.read(padding(size));
+  }
+}
+
+module.exports = { readTar, writeTar };
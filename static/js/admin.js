@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * ep_media_upload - Admin page
+ *
+ * Loads the plugin status from /ep_media_upload/admin/status and runs the
+ * storage self-test when the page opens. Everything is rendered as text.
+ */
+
+const byId = (id) => document.getElementById(id);
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+/**
+ * Build an element with text content and optional class
+ */
+const element = (tag, text, className) => {
+  const node = document.createElement(tag);
+  if (text !== undefined) node.textContent = text;
+  if (className) node.className = className;
+  return node;
+};
+
+const row = (cells) => {
+  const tr = element('tr');
+  for (const [text, className] of cells) tr.appendChild(element('td', text, className));
+  return tr;
+};
+
+const requestJson = async (endpoint, method = 'GET') => {
+  const response = await fetch(`admin/${endpoint}`, { method, credentials: 'same-origin' });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error || `${response.status} ${response.statusText}`);
+  return body;
+};
+
+const renderUsage = (usage) => {
+  const { totals, pads } = usage;
+  byId('mediaUploadAdminUsageTotals').textContent =
+      `${totals.files} files, ${formatBytes(totals.bytes)}, in ${totals.pads} pads`;
+  const tbody = byId('mediaUploadAdminUsage');
+  tbody.replaceChildren(...pads.map((pad) => row([
+    [pad.padId],
+    [String(pad.files), 'number'],
+    [formatBytes(pad.bytes), 'number'],
+    [String(pad.uploading), 'number'],
+    [String(pad.deleted), 'number'],
+  ])));
+  if (!pads.length) tbody.appendChild(row([['No attachments yet', 'ep-media-upload-admin-note']]));
+};
+
+const renderEvents = (events) => {
+  const tbody = byId('mediaUploadAdminEvents');
+  tbody.replaceChildren(...events.map((entry) => {
+    const { time, level, event, pad, ...fields } = entry;
+    const details = Object.entries(fields)
+        .map(([name, value]) => `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`)
+        .join(' ');
+    return row([
+      [new Date(time).toLocaleString()],
+      [event, level === 'info' ? '' : 'ep-media-upload-admin-failed'],
+      [pad || ''],
+      [details],
+    ]);
+  }));
+  if (!events.length) tbody.appendChild(row([['No uploads or downloads since Etherpad started', 'ep-media-upload-admin-note']]));
+};
+
+const loadStatus = async () => {
+  const message = byId('mediaUploadAdminMessage');
+  try {
+    const status = await requestJson('status');
+    byId('mediaUploadAdminEffective').textContent = JSON.stringify(status.effective, null, 2);
+    byId('mediaUploadAdminSettings').textContent = JSON.stringify(status.settings, null, 2);
+    renderUsage(status.usage);
+    renderEvents(status.events);
+    message.textContent = `Loaded ${new Date().toLocaleString()}`;
+  } catch (err) {
+    message.textContent = `Could not load the status: ${err.message}`;
+    message.className = 'ep-media-upload-admin-failed';
+  }
+};
+
+const runSelfTest = async () => {
+  const button = byId('mediaUploadAdminSelfTest');
+  const list = byId('mediaUploadAdminSelfTestSteps');
+  button.disabled = true;
+  list.replaceChildren(element('li', 'Running…', 'ep-media-upload-admin-note'));
+  try {
+    const result = await requestJson('selftest', 'POST');
+    list.replaceChildren(
+        element('li', `${result.ok ? 'Passed' : 'Failed'} (storage type: ${result.type || 'not set'})`,
+            result.ok ? 'ep-media-upload-admin-ok' : 'ep-media-upload-admin-failed'),
+        ...result.steps.map((step) => {
+          const state = step.skipped ? 'skipped' : step.ok ? 'ok' : 'failed';
+          return element('li', `${step.step}: ${state} (${step.ms} ms)${step.error ? ` - ${step.error}` : ''}`,
+              `ep-media-upload-admin-${state}`);
+        }));
+  } catch (err) {
+    list.replaceChildren(element('li', `Could not run the self-test: ${err.message}`, 'ep-media-upload-admin-failed'));
+  } finally {
+    button.disabled = false;
+  }
+};
+
+byId('mediaUploadAdminSelfTest').addEventListener('click', runSelfTest);
+loadStatus();
+runSelfTest();
@@ -3,8 +3,9 @@
 /**
  * ep_media_upload - Client-side hooks
  * 
- * Handles file selection, S3 upload via presigned URL, and hyperlink insertion
- * compatible with ep_hyperlinked_text.
+ * Handles file selection, drag-and-drop and paste, image processing before
+ * upload, S3 upload via presigned URL, hyperlink insertion compatible with
+ * ep_hyperlinked_text, and the attachments panel.
  */
 
 console.log('[ep_media_upload] Client hooks loaded');
@@ -12,38 +13,6 @@ console.log('[ep_media_upload] Client hooks loaded');
 // Store ace context for hyperlink insertion
 let _aceContext = null;
 
-/**
- * Modal management functions
- */
-const showModal = (state = 'progress') => {
-  const modal = $('#mediaUploadModal');
-  const progressEl = $('#mediaUploadProgress');
-  const errorEl = $('#mediaUploadError');
-
-  // Hide all states
-  progressEl.hide();
-  errorEl.hide();
-
-  // Show requested state
-  if (state === 'progress') {
-    progressEl.show();
-  } else if (state === 'error') {
-    errorEl.show();
-  }
-
-  modal.addClass('visible');
-};
-
-const hideModal = () => {
-  $('#mediaUploadModal').removeClass('visible');
-};
-
-const showError = (message) => {
-  const errorText = message || 'Upload failed.';
-  $('.ep-media-upload-error-text').text(errorText);
-  showModal('error');
-};
-
 /**
  * Validate file against configured restrictions
  */
@@ -76,57 +45,365 @@ const validateFile = (file) => {
   return { valid: true };
 };
 
+/**
+ * Build a URL for one of the plugin's pad-scoped endpoints
+ */
+const pluginUrl = (endpoint) => `${encodeURIComponent(clientVars.padId)}/pluginfw/ep_media_upload/${endpoint}`;
+
+const postJSON = (endpoint, body) => $.ajax({
+  url: pluginUrl(endpoint),
+  method: 'POST',
+  contentType: 'application/json',
+  data: JSON.stringify(body),
+  dataType: 'json',
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Register a jQuery request with a queue item so cancelling the item aborts it
+ */
+const track = (item, jqXHR) => {
+  item.requests.add(jqXHR);
+  jqXHR.always(() => item.requests.delete(jqXHR));
+  return jqXHR;
+};
+
+const throwIfCancelled = (item) => {
+  if (item.cancelled) throw new Error('Upload cancelled');
+};
+
+/**
+ * PUT a body with XMLHttpRequest so upload progress can be reported
+ * (fetch has no upload progress events). Resolves to the response ETag, which
+ * may be null; rejects with `status` set on HTTP errors.
+ */
+const putWithProgress = (item, url, body, headers, onProgress) => new Promise((resolve, reject) => {
+  const xhr = new XMLHttpRequest();
+  const done = () => item.requests.delete(xhr);
+  xhr.open('PUT', url);
+  for (const [name, value] of Object.entries(headers)) xhr.setRequestHeader(name, value);
+  xhr.upload.onprogress = (e) => onProgress(e.loaded);
+  xhr.onload = () => {
+    done();
+    if (xhr.status >= 200 && xhr.status < 300) {
+      resolve(xhr.getResponseHeader('ETag'));
+    } else {
+      reject(Object.assign(new Error(`Upload failed with status ${xhr.status}`), { status: xhr.status }));
+    }
+  };
+  xhr.onerror = () => {
+    done();
+    reject(new Error(html10n.get('ep_media_upload.error.networkError') ||
+      'Network error. Please check your connection.'));
+  };
+  xhr.onabort = () => {
+    done();
+    reject(new Error('Upload cancelled'));
+  };
+  item.requests.add(xhr);
+  xhr.send(body);
+});
+
+/**
+ * Multipart upload state is kept in localStorage so an interrupted upload can
+ * resume after a page reload when the user selects the same file again.
+ */
+const MULTIPART_STATE_PREFIX = 'ep_media_upload:multipart:';
+const MULTIPART_STATE_MAX_AGE_MS = 6 * 24 * 60 * 60 * 1000; // keep under typical 7-day S3 lifecycle rules
+const MULTIPART_MAX_PARTS = 10000;
+const PART_SIGN_BATCH = 20;
+const PART_MAX_RETRIES = 4;
+
+// A new version of an attachment resumes only as a new version of the same one
+const multipartStateKey = (file, replace) => `${MULTIPART_STATE_PREFIX}${clientVars.padId}:${file.name}:${file.size}:${file.lastModified}` +
+  (replace ? `:${replace}` : '');
+
+const loadMultipartState = (stateKey) => {
+  try {
+    const state = JSON.parse(localStorage.getItem(stateKey));
+    if (state && state.uploadId && Date.now() - state.createdAt < MULTIPART_STATE_MAX_AGE_MS) return state;
+    localStorage.removeItem(stateKey);
+  } catch (e) {
+    // localStorage unavailable or corrupt entry: start a fresh upload
+  }
+  return null;
+};
+
+const saveMultipartState = (stateKey, state) => {
+  try {
+    localStorage.setItem(stateKey, JSON.stringify(state));
+  } catch (e) {
+    // Storage full or disabled: the upload still works, it just can't resume
+  }
+};
+
+const clearMultipartState = (stateKey) => {
+  try {
+    localStorage.removeItem(stateKey);
+  } catch (e) {
+    // ignore
+  }
+};
+
+/**
+ * Upload a large file in parts, directly to storage, with parallel workers
+ * and per-part retries. Resumes a previous attempt for the same file.
+ * Reports byte progress on the queue item and aborts the upload on cancel.
+ * Returns the file ID, or null if the backend has no multipart support.
+ */
+const uploadMultipart = async (file, config, item) => {
+  const stateKey = multipartStateKey(file, item.replace);
+  let state = loadMultipartState(stateKey);
+  const completed = new Map(); // partNumber -> ETag
+
+  // Resume: ask storage which parts already arrived
+  if (state) {
+    try {
+      const { parts } = await track(item, $.getJSON(`${pluginUrl('multipart/parts')}?${$.param({ file: state.fileId, uploadId: state.uploadId })}`));
+      const lastPart = Math.ceil(file.size / state.partSize);
+      for (const part of parts || []) {
+        const expectedSize = part.partNumber === lastPart
+          ? file.size - (lastPart - 1) * state.partSize
+          : state.partSize;
+        if (part.size === expectedSize) completed.set(part.partNumber, part.etag);
+      }
+      // The queue shows that the upload continues where it stopped
+      item.resumed = completed.size > 0;
+    } catch (err) {
+      throwIfCancelled(item);
+      // Upload expired, aborted or completed elsewhere: start over
+      clearMultipartState(stateKey);
+      state = null;
+    }
+  }
+
+  if (!state) {
+    let created;
+    try {
+      created = await track(item, postJSON('multipart/create', { name: file.name, type: file.type, size: file.size, replace: item.replace }));
+    } catch (err) {
+      if (err.status === 501) return null;
+      throw err;
+    }
+    if (!created || !created.uploadId || !created.fileId) {
+      throw new Error('Invalid multipart response from server');
+    }
+    state = {
+      fileId: created.fileId,
+      uploadId: created.uploadId,
+      // The server signs each part for this size
+      partSize: created.partSize || Math.max(config.partSize, Math.ceil(file.size / MULTIPART_MAX_PARTS)),
+      createdAt: Date.now(),
+    };
+    saveMultipartState(stateKey, state);
+  }
+
+  const { fileId, uploadId, partSize } = state;
+  const partCount = Math.ceil(file.size / partSize);
+  const partLength = (partNumber) => Math.min(partSize, file.size - (partNumber - 1) * partSize);
+  const queue = [];
+  for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+    if (!completed.has(partNumber)) queue.push(partNumber);
+  }
+
+  // Progress: bytes of stored parts plus bytes sent for parts in flight
+  let storedBytes = 0;
+  completed.forEach((etag, partNumber) => { storedBytes += partLength(partNumber); });
+  const inFlight = new Map(); // partNumber -> bytes sent
+  const reportProgress = () => {
+    let sent = storedBytes;
+    inFlight.forEach((bytes) => { sent += bytes; });
+    setItemProgress(item, sent);
+  };
+  reportProgress();
+
+  // Sign part URLs lazily, in batches, so they don't expire during long uploads
+  const partUrls = new Map(); // partNumber -> Promise<url>
+  const getPartUrl = (partNumber) => {
+    if (!partUrls.has(partNumber)) {
+      const batch = [partNumber, ...queue.filter((n) => !partUrls.has(n)).slice(0, PART_SIGN_BATCH - 1)];
+      const signed = track(item, postJSON('multipart/sign', { file: fileId, uploadId, partNumbers: batch }));
+      for (const n of batch) {
+        const partUrl = Promise.resolve(signed).then((response) => response.urls[n]);
+        partUrl.catch(() => {}); // failures surface when the part is uploaded
+        partUrls.set(n, partUrl);
+      }
+    }
+    return partUrls.get(partNumber);
+  };
+
+  const uploadPart = async (partNumber) => {
+    const start = (partNumber - 1) * partSize;
+    const blob = file.slice(start, Math.min(start + partSize, file.size));
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const partUrl = await getPartUrl(partNumber);
+        throwIfCancelled(item);
+        inFlight.set(partNumber, 0);
+        const etag = await putWithProgress(item, partUrl, blob, {}, (sent) => {
+          inFlight.set(partNumber, sent);
+          reportProgress();
+        });
+        if (!etag) {
+          const err = new Error('Storage did not return an ETag; the bucket CORS rules must expose the ETag header');
+          err.fatal = true;
+          throw err;
+        }
+        return etag;
+      } catch (err) {
+        inFlight.delete(partNumber);
+        if (err.fatal || item.cancelled || attempt >= PART_MAX_RETRIES) throw err;
+        partUrls.delete(partNumber); // the signed URL may have expired
+        await sleep(1000 * (2 ** attempt));
+      }
+    }
+  };
+
+  let failed = false;
+  const worker = async () => {
+    while (queue.length > 0 && !failed) {
+      const partNumber = queue.shift();
+      try {
+        completed.set(partNumber, await uploadPart(partNumber));
+        inFlight.delete(partNumber);
+        storedBytes += partLength(partNumber);
+        reportProgress();
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
+  };
+
+  try {
+    await Promise.all(Array.from({ length: Math.min(config.concurrency, queue.length) }, worker));
+  } catch (err) {
+    if (item.cancelled) {
+      // Free the stored parts; a cancelled upload is not resumed
+      clearMultipartState(stateKey);
+      postJSON('multipart/abort', { file: fileId, uploadId }).catch(() => {});
+      throw err;
+    }
+    const resumeMsg = html10n.get('ep_media_upload.error.resumable') ||
+      'Upload interrupted. Retry, or select the same file again, to resume.';
+    throw new Error(`${err.message || 'Upload failed.'} ${resumeMsg}`);
+  }
+
+  const parts = Array.from(completed, ([partNumber, etag]) => ({ partNumber, etag }));
+  await track(item, postJSON('multipart/complete', { file: fileId, uploadId, parts }));
+  clearMultipartState(stateKey);
+  return fileId;
+};
+
+const SCAN_POLL_INTERVAL_MS = 2000;
+const SCAN_POLL_TIMEOUT_MS = 10 * 60 * 1000;
+
+/**
+ * Wait for the antivirus verdict of a new upload. Resolves once the file is
+ * clean; throws if it is infected or could not be scanned.
+ */
+const waitForScan = async (fileId, item) => {
+  setItemState(item, 'scanning');
+  const deadline = Date.now() + SCAN_POLL_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await sleep(SCAN_POLL_INTERVAL_MS);
+    throwIfCancelled(item);
+    const { status } = await track(item, $.getJSON(`${pluginUrl('scan_status')}?${$.param({ file: fileId })}`));
+    if (status === 'clean') return;
+    if (status === 'infected') {
+      throw new Error(html10n.get('ep_media_upload.error.infected') ||
+        'The file was flagged by the virus scanner and was not attached.');
+    }
+    if (status === 'error') break;
+  }
+  throw new Error(html10n.get('ep_media_upload.error.scanFailed') ||
+    'The file could not be scanned for viruses. Please try again later.');
+};
+
+/**
+ * Ask the server to verify the stored object (size, type and content) and
+ * return the secure download URL for it. When antivirus scanning is enabled,
+ * the URL is only returned once the file has been found clean.
+ */
+const confirmUpload = async (fileId, file, item) => {
+  throwIfCancelled(item);
+  const response = await track(item, postJSON('confirm', { file: fileId, size: file.size }));
+  const { downloadUrl, scanStatus } = response;
+  if (!downloadUrl) throw new Error('Invalid confirm response from server');
+  // A new version is scanned under the ID of the file it replaced
+  if (scanStatus && scanStatus !== 'clean') await waitForScan(response.fileId || fileId, item);
+  return downloadUrl;
+};
+
 /**
  * Upload file to S3 using presigned URL
+ * Large files use a resumable multipart upload when the server supports it.
+ * Progress and state are reported on the queue item.
  * Returns the secure download URL (relative path to our authenticated endpoint)
  */
-const uploadToS3 = async (file) => {
+const uploadToS3 = async (file, item) => {
+  const multipart = (clientVars.ep_media_upload || {}).multipart;
+  if (multipart && file.size >= multipart.threshold) {
+    const fileId = await uploadMultipart(file, multipart, item);
+    if (fileId) return confirmUpload(fileId, file, item);
+  }
+
   // Step 1: Get presigned URL from server
-  const queryParams = $.param({ name: file.name, type: file.type });
-  const presignResponse = await $.getJSON(
-    `${encodeURIComponent(clientVars.padId)}/pluginfw/ep_media_upload/s3_presign?${queryParams}`
-  );
+  // The size is signed into the URL; storage rejects a body of any other size
+  const queryParams = $.param({ name: file.name, type: file.type, size: file.size, ...(item.replace ? { replace: item.replace } : {}) });
+  const presignResponse = await track(item, $.getJSON(`${pluginUrl('s3_presign')}?${queryParams}`));
 
-  if (!presignResponse || !presignResponse.signedUrl || !presignResponse.downloadUrl) {
+  if (!presignResponse || !presignResponse.signedUrl || !presignResponse.fileId) {
     throw new Error('Invalid presign response from server');
   }
 
   // Step 2: Upload directly to S3
-  // Must include Content-Disposition header as it's part of the presigned URL signature
-  const headers = { 'Content-Type': file.type };
+  // Must include Content-Disposition header as it's part of the presigned URL
+  // signature, and so are the storage's own headers (e.g. If-None-Match)
+  const headers = { 'Content-Type': file.type, ...presignResponse.headers };
   if (presignResponse.contentDisposition) {
     headers['Content-Disposition'] = presignResponse.contentDisposition;
   }
 
-  const uploadResponse = await fetch(presignResponse.signedUrl, {
-    method: 'PUT',
-    headers,
-    body: file,
-  });
+  throwIfCancelled(item);
+  await putWithProgress(item, presignResponse.signedUrl, file, headers, (sent) => setItemProgress(item, sent));
 
-  if (!uploadResponse.ok) {
-    throw new Error(`S3 upload failed with status ${uploadResponse.status}`);
-  }
+  // Step 3: Have the server check what was stored, then return the secure
+  // download URL (authenticated endpoint, not direct S3)
+  return confirmUpload(presignResponse.fileId, file, item);
+};
 
-  // Return the secure download URL (authenticated endpoint, not direct S3)
-  return presignResponse.downloadUrl;
+/**
+ * Clamp a [line, column] position captured earlier (e.g. at a drop point) to
+ * the current document, which may have changed while the file uploaded.
+ * Returns null if the position is unusable.
+ */
+const clampPosition = (rep, position) => {
+  if (!Array.isArray(position) || !rep.lines || rep.lines.length() === 0) return null;
+  const line = Math.min(Math.max(position[0], 0), rep.lines.length() - 1);
+  const entry = rep.lines.atIndex(line);
+  // Never insert before a list/heading line marker
+  const column = Math.min(Math.max(position[1], entry.lineMarker || 0), entry.text.length);
+  return [line, column];
 };
 
 /**
- * Insert hyperlink at cursor position
+ * Insert hyperlink at the given position, or at the cursor position
  * Compatible with ep_hyperlinked_text format
+ * Returns the position just after the inserted link
  */
-const doInsertMediaLink = function(url, linkText) {
+const doInsertMediaLink = function(url, linkText, position) {
   const editorInfo = this.editorInfo;
   const docMan = this.documentAttributeManager;
   const rep = editorInfo.ace_getRep();
 
   if (!editorInfo || !rep || !rep.selStart || !docMan || !url || !linkText) {
     console.error('[ep_media_upload] Missing context for hyperlink insertion');
-    return;
+    return null;
   }
 
-  const cursorPos = rep.selStart;
+  const cursorPos = clampPosition(rep, position) || rep.selStart;
   const ZWSP = '\u200B'; // Zero-Width Space for boundary
 
   // Insert: ZWSP + linkText + ZWSP (same pattern as ep_hyperlinked_text)
@@ -144,49 +421,817 @@ const doInsertMediaLink = function(url, linkText) {
   editorInfo.ace_performSelectionChange(finalPos, finalPos, false);
 
   console.log('[ep_media_upload] Inserted hyperlink:', linkText, '->', url);
+  return finalPos;
+};
+
+// ============================================================================
+// Inline Media
+// ============================================================================
+// With `inlineMedia` enabled, hyperlinks that point at our download endpoint
+// render a thumbnail or native player after the link text. Only the editor
+// view changes: the document keeps a plain `hyperlink` attribute, so export
+// and ep_hyperlinked_text are unaffected.
+const INLINE_MEDIA_CLASS_PREFIX = 'ep_media_upload_inline:';
+const INLINE_MEDIA_KINDS = {
+  png: 'image', jpg: 'image', jpeg: 'image', gif: 'image', webp: 'image',
+  mp3: 'audio', wav: 'audio', ogg: 'audio',
+  mp4: 'video', webm: 'video',
 };
 
+const isInlineMediaEnabled = () => typeof clientVars !== 'undefined' &&
+  !!(clientVars.ep_media_upload && clientVars.ep_media_upload.inlineMedia);
+
 /**
- * Handle file selection and upload
+ * Return the file ID if the URL is one of our same-origin download links,
+ * otherwise null
  */
-const handleFileUpload = async (file, aceContext) => {
-  // Validate file
-  const validation = validateFile(file);
-  if (!validation.valid) {
-    showError(validation.error);
-    return;
+const getLinkedFileId = (value) => {
+  if (typeof value !== 'string') return null;
+  let parsed;
+  try {
+    parsed = new URL(value, window.location.href);
+  } catch (e) {
+    return null;
   }
+  if (parsed.origin !== window.location.origin ||
+      !/\/pluginfw\/ep_media_upload\/download$/.test(parsed.pathname)) {
+    return null;
+  }
+  return parsed.searchParams.get('file') || null;
+};
 
-  // Show progress modal
-  showModal('progress');
+/**
+ * Return 'image', 'audio' or 'video' if the URL is one of our same-origin
+ * download links for a renderable file type, otherwise null
+ */
+const getInlineMediaKind = (value) => {
+  const match = /\.([a-z0-9]+)$/i.exec(getLinkedFileId(value) || '');
+  return (match && INLINE_MEDIA_KINDS[match[1].toLowerCase()]) || null;
+};
 
+const escapeAttribute = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+const renderInlineMedia = (kind, url) => {
+  const src = escapeAttribute(url);
+  const element = {
+    image: `<img src="${src}" alt="" loading="lazy">`,
+    audio: `<audio src="${src}" controls preload="metadata"></audio>`,
+    video: `<video src="${src}" controls preload="metadata"></video>`,
+  }[kind];
+  return `<span class="ep-media-upload-inline ep-media-upload-inline-${kind}" contenteditable="false">${element}</span>`;
+};
+
+/**
+ * aceAttribsToClasses hook
+ * Tag spans whose hyperlink points at an uploaded image, audio or video file
+ */
+exports.aceAttribsToClasses = (hook, context) => {
+  if (context.key !== 'hyperlink' || !isInlineMediaEnabled()) return [];
+  const kind = getInlineMediaKind(context.value);
+  if (!kind) return [];
+  return [`${INLINE_MEDIA_CLASS_PREFIX}${kind}:${encodeURIComponent(context.value)}`];
+};
+
+/**
+ * aceCreateDomLine hook
+ * Render the media element after the link text of tagged spans
+ */
+exports.aceCreateDomLine = (hook, context) => {
+  const cls = context.cls || '';
+  const match = new RegExp(`(?:^| )${INLINE_MEDIA_CLASS_PREFIX}(image|audio|video):(\\S+)`).exec(cls);
+  if (!match) return [];
+  let url;
   try {
-    // Upload to S3 and get secure download URL
-    const downloadUrl = await uploadToS3(file);
+    url = decodeURIComponent(match[2]);
+  } catch (e) {
+    return [];
+  }
+  // Re-check the decoded URL; classes can also come from pasted content
+  if (getInlineMediaKind(url) !== match[1]) return [];
+  return [{ extraOpenTags: '', extraCloseTags: renderInlineMedia(match[1], url), cls }];
+};
+
+/**
+ * aceEditorCSS hook
+ * Style inline media inside the editor iframe
+ */
+exports.aceEditorCSS = () => ['ep_media_upload/static/css/ace.css'];
+
+// ============================================================================
+// Image Processing
+// ============================================================================
+// Phone photos carry EXIF metadata such as GPS coordinates and are often
+// larger than a pad needs. Unless `imageProcessing` is disabled, JPEG, PNG and
+// WebP images are redrawn on a canvas before upload, which drops their
+// metadata, and can be scaled down or converted (e.g. HEIC photos and PNG
+// screenshots to JPEG). The selected file itself is only uploaded when the
+// user chooses "Keep original".
+const PROCESSABLE_IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const IMAGE_FORMAT_EXTENSIONS = { jpeg: 'jpg', webp: 'webp' };
+
+/**
+ * Plan how a file is processed before upload: { name, type, convert } of the
+ * image to produce, or null to upload the file as it is. New versions of an
+ * attachment are not converted, since its links carry its extension.
+ */
+const planImageProcessing = (file, replace) => {
+  const cfg = (clientVars.ep_media_upload || {}).imageProcessing;
+  if (!cfg) return null;
+  const dot = file.name.lastIndexOf('.');
+  if (dot === -1) return null;
+  const ext = file.name.slice(dot + 1).toLowerCase();
+
+  if (!replace && cfg.convert.includes(ext)) {
+    return { name: `${file.name.slice(0, dot)}.${IMAGE_FORMAT_EXTENSIONS[cfg.format]}`, type: `image/${cfg.format}`, convert: true };
+  }
+  const type = PROCESSABLE_IMAGE_TYPES[ext];
+  if (!type || (!cfg.stripMetadata && !cfg.maxDimension)) return null;
+  return { name: file.name, type, convert: false };
+};
+
+/**
+ * Decode an image file, with its EXIF orientation applied to the pixels
+ */
+const decodeImage = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch (err) {
+      // Some browsers decode formats such as HEIC only through <img>
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+    return image;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Produce the image planned by planImageProcessing: redrawn without
+ * metadata, scaled to fit `maxDimension`, and encoded as `plan.type` at the
+ * configured quality. Resolves to the file unchanged if there is nothing to
+ * do; rejects if the browser cannot decode or encode the image.
+ */
+const processImage = async (file, plan) => {
+  const cfg = clientVars.ep_media_upload.imageProcessing;
+  const image = await decodeImage(file);
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = cfg.maxDimension ? Math.min(1, cfg.maxDimension / Math.max(width, height)) : 1;
+  if (scale === 1 && !cfg.stripMetadata && !plan.convert) {
+    if (image.close) image.close();
+    return file;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(width * scale));
+  canvas.height = Math.max(1, Math.round(height * scale));
+  const context2d = canvas.getContext('2d');
+  // JPEG has no transparency; transparent pixels would turn black
+  if (plan.type === 'image/jpeg') {
+    context2d.fillStyle = '#fff';
+    context2d.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context2d.imageSmoothingQuality = 'high';
+  context2d.drawImage(image, 0, 0, canvas.width, canvas.height);
+  if (image.close) image.close();
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, plan.type, cfg.quality));
+  // Browsers encode formats they do not support as PNG instead
+  if (!blob || blob.type !== plan.type) throw new Error(`This browser cannot encode ${plan.type}`);
+  return new File([blob], plan.name, { type: plan.type, lastModified: file.lastModified });
+};
+
+// ============================================================================
+// Upload Queue
+// ============================================================================
+// Every selected, dropped or pasted file becomes a queue item shown in the
+// #mediaUploadQueue panel. Items upload a few at a time; links are inserted in
+// selection order, each batch continuing from its own insert position.
+const QUEUE_CONCURRENCY = 2;
+const QUEUE_DONE_LINGER_MS = 3000;
+
+const _queue = [];
+let _nextItemId = 1;
+let _quotaCheck = null;
+
+const t = (l10nId, fallback, params) => html10n.get(l10nId, params) || fallback;
+
+const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+};
+
+/**
+ * Extract a readable message from an Error, jQuery AJAX error or string
+ */
+const errorMessage = (err) => {
+  if (err && err.responseJSON && err.responseJSON.error) return err.responseJSON.error;
+  if (err && err.message) return err.message;
+  if (typeof err === 'string') return err;
+  return t('ep_media_upload.error.uploadFailed', 'Upload failed. Please try again.');
+};
+
+const isActive = (item) => ['queued', 'processing', 'uploading', 'scanning'].includes(item.state);
+
+// The selected image can replace the processed one until its upload is stored
+const canKeepOriginal = (item) => !!item.imagePlan && !item.keepOriginal &&
+  ['queued', 'processing', 'uploading', 'failed'].includes(item.state);
 
-    // Insert hyperlink into document (uses authenticated download endpoint)
-    aceContext.callWithAce((ace) => {
-      ace.ace_doInsertMediaLink(downloadUrl, file.name);
+const renderItem = (item) => {
+  if (!item.row) {
+    item.row = $('<li>').addClass('ep-media-upload-item').attr('data-id', item.id).append(
+        $('<div>').addClass('ep-media-upload-item-header').append(
+            $('<span>').addClass('ep-media-upload-item-name').text(item.file.name),
+            $('<span>').addClass('ep-media-upload-item-actions')),
+        $('<progress>').addClass('ep-media-upload-item-progress').attr('max', Math.max(item.file.size, 1)),
+        $('<div>').addClass('ep-media-upload-item-status'));
+    $('#mediaUploadQueueList').append(item.row);
+  }
+
+  // Processing may rename the file and always changes its size
+  item.row.find('.ep-media-upload-item-name').text(item.file.name);
+  item.row.find('.ep-media-upload-item-progress').attr('max', Math.max(item.file.size, 1));
+
+  const percent = item.file.size ? Math.floor((item.loaded / item.file.size) * 100) : 100;
+  const status = {
+    queued: () => t('ep_media_upload.status.queued', 'Waiting…'),
+    processing: () => t('ep_media_upload.status.processing', 'Preparing image…'),
+    uploading: () => `${item.resumed
+      ? t('ep_media_upload.status.resuming', 'Resuming upload...')
+      : t('ep_media_upload.status.uploading', 'Uploading...')} ${percent}% ` +
+      `(${formatBytes(item.loaded)} / ${formatBytes(item.file.size)})`,
+    scanning: () => t('ep_media_upload.status.scanning', 'Scanning…'),
+    done: () => t('ep_media_upload.status.success', 'Upload complete!'),
+    failed: () => item.error,
+  }[item.state]();
+
+  item.row.toggleClass('ep-media-upload-item-failed', item.state === 'failed');
+  item.row.find('.ep-media-upload-item-progress').val(item.state === 'done' ? item.file.size : item.loaded);
+  item.row.find('.ep-media-upload-item-status').text(status);
+
+  // Rebuild the buttons only when the state or the choice of original changes,
+  // not on every progress event
+  const buttonState = canKeepOriginal(item) ? `${item.state}:original` : item.state;
+  if (item.row.attr('data-state') !== buttonState) {
+    item.row.attr('data-state', buttonState);
+    const button = (action, l10nId, fallback) => $('<button>')
+        .addClass('ep-media-upload-btn')
+        .attr({ 'type': 'button', 'data-action': action, 'data-l10n-id': l10nId })
+        .text(t(l10nId, fallback));
+    const actions = item.row.find('.ep-media-upload-item-actions').empty();
+    if (canKeepOriginal(item)) {
+      actions.append(button('original', 'ep_media_upload.button.keepOriginal', 'Keep original')
+          .attr('title', t('ep_media_upload.button.keepOriginalTitle',
+              'Upload the image unchanged, with its metadata (such as location) and full size')));
+    }
+    if (isActive(item)) actions.append(button('cancel', 'ep_media_upload.button.cancel', 'Cancel'));
+    if (item.state === 'failed' && item.retryable) actions.append(button('retry', 'ep_media_upload.button.retry', 'Retry'));
+    if (item.state === 'failed') actions.append(button('dismiss', 'ep_media_upload.button.dismiss', 'Dismiss'));
+  }
+
+  $('#mediaUploadQueue').toggleClass('visible', _queue.length > 0);
+};
+
+const removeItem = (item) => {
+  const index = _queue.indexOf(item);
+  if (index !== -1) _queue.splice(index, 1);
+  if (item.row) item.row.remove();
+  $('#mediaUploadQueue').toggleClass('visible', _queue.length > 0);
+};
+
+const setItemState = (item, state) => {
+  item.state = state;
+  renderItem(item);
+};
+
+const setItemProgress = (item, loaded) => {
+  item.loaded = Math.min(loaded, item.file.size);
+  renderItem(item);
+};
+
+/**
+ * Insert the links of finished items in selection order. An item still
+ * uploading holds back the items after it; failed items do not. New versions
+ * of attachments keep their existing links.
+ */
+const insertCompletedLinks = () => {
+  for (const item of _queue) {
+    if (item.replace) {
+      if (item.state === 'done' && !item.inserted) {
+        item.inserted = true;
+        setTimeout(() => removeItem(item), QUEUE_DONE_LINGER_MS);
+      }
+      continue;
+    }
+    if (isActive(item)) return;
+    if (item.state !== 'done' || item.inserted) continue;
+
+    const { batch } = item;
+    let endPosition = null;
+    batch.aceContext.callWithAce((ace) => {
+      endPosition = ace.ace_doInsertMediaLink(item.downloadUrl, item.file.name, batch.position);
     }, 'insertMediaLink', true);
+    if (endPosition) batch.position = endPosition;
+    item.inserted = true;
+    setTimeout(() => removeItem(item), QUEUE_DONE_LINGER_MS);
+  }
+};
 
-    // Hide modal on success (no success message needed)
-    hideModal();
+/**
+ * Replace a queue item's file with the processed image. Errors are not
+ * retryable: processing again would fail again, and the user can keep the
+ * original instead.
+ */
+const prepareImage = async (item) => {
+  setItemState(item, 'processing');
+  let file;
+  try {
+    file = await processImage(item.original, item.imagePlan);
+  } catch (err) {
+    console.error('[ep_media_upload] Image processing failed:', err);
+    throw Object.assign(new Error(t('ep_media_upload.error.imageProcessing',
+        'This image could not be prepared for upload. Choose "Keep original" to upload it unchanged, with its metadata.')),
+    { retryable: false });
+  }
+  throwIfCancelled(item);
+  const validation = validateFile(file);
+  if (!validation.valid) throw Object.assign(new Error(validation.error), { retryable: false });
+  item.file = file;
+  item.processed = true;
+};
 
+const runItem = async (item) => {
+  item.cancelled = false;
+  item.resumed = false;
+  item.loaded = 0;
+  try {
+    if (item.imagePlan && !item.keepOriginal && !item.processed) await prepareImage(item);
+    setItemState(item, 'uploading');
+    // Upload to S3 and get secure download URL
+    item.downloadUrl = await uploadToS3(item.file, item);
+    throwIfCancelled(item);
+    setItemState(item, 'done');
+    if (isAttachmentsPanelOpen()) loadAttachments();
   } catch (err) {
-    console.error('[ep_media_upload] Upload failed:', err);
-    // Extract error message from various error formats
-    let errorMsg = 'Upload failed.';
-    if (err.responseJSON && err.responseJSON.error) {
-      // jQuery AJAX error with JSON response
-      errorMsg = err.responseJSON.error;
-    } else if (err.message) {
-      // Standard Error object
-      errorMsg = err.message;
-    } else if (typeof err === 'string') {
-      errorMsg = err;
+    if (item.cancelled && item.restart) {
+      item.restart = false;
+      queueOriginal(item);
+    } else if (item.cancelled) {
+      removeItem(item);
+    } else {
+      console.error('[ep_media_upload] Upload failed:', err);
+      item.error = errorMessage(err);
+      item.retryable = err.retryable !== false;
+      setItemState(item, 'failed');
+    }
+  }
+  insertCompletedLinks();
+  pumpQueue();
+};
+
+const pumpQueue = () => {
+  // Nothing starts while queued items are checked against the quotas
+  if (_quotaCheck) return;
+  let running = _queue.filter((item) => ['processing', 'uploading', 'scanning'].includes(item.state)).length;
+  for (const item of _queue) {
+    if (running >= QUEUE_CONCURRENCY) return;
+    if (item.state === 'queued') {
+      running++;
+      runItem(item);
+    }
+  }
+};
+
+/**
+ * Add files to the upload queue
+ * `position` is where the first link goes (defaults to the cursor at
+ * insertion time); each following link continues after the previous one.
+ * With `replace` (an attachment's file ID) the file is uploaded as a new
+ * version of that attachment and no link is inserted.
+ */
+const enqueueFiles = (files, aceContext, position, replace) => {
+  const batch = { aceContext, position };
+  for (const file of files) {
+    const imagePlan = planImageProcessing(file, replace);
+    const item = {
+      id: _nextItemId++, file, original: file, imagePlan, batch, replace, state: 'queued', loaded: 0, requests: new Set(),
+    };
+    _queue.push(item);
+
+    // Validate file. Images to process are checked by the name they will
+    // get; their size is only known once processed (prepareImage).
+    const validation = validateFile(imagePlan ? { name: imagePlan.name, size: 0 } : file);
+    if (!validation.valid) {
+      item.error = validation.error;
+      item.retryable = false;
+      setItemState(item, 'failed');
+    } else {
+      renderItem(item);
+    }
+  }
+  if (clientVars.ep_media_upload && clientVars.ep_media_upload.quotas && !_quotaCheck) {
+    _quotaCheck = checkQuotas().finally(() => {
+      _quotaCheck = null;
+      pumpQueue();
+    });
+  }
+  pumpQueue();
+};
+
+/**
+ * Fail queued items that would exceed a storage quota, before they upload.
+ * The server enforces quotas anyway; this spares the user a doomed upload.
+ */
+const checkQuotas = async () => {
+  let quotas;
+  try {
+    ({ quotas } = await $.ajax({ url: pluginUrl('quota'), dataType: 'json' }));
+  } catch (err) {
+    return;
+  }
+  for (const item of _queue) {
+    if (item.state !== 'queued') continue;
+    // Images shrink when processed; the server checks their final size
+    if (item.imagePlan && !item.keepOriginal && !item.processed) continue;
+    const { size } = item.file;
+    const files = item.replace ? 0 : 1; // a new version is not another file
+    const exceeded = quotas.find((quota) => (quota.maxBytes !== null && quota.usedBytes + size > quota.maxBytes) ||
+      (quota.maxFiles !== null && files > 0 && quota.usedFiles + files > quota.maxFiles));
+    if (exceeded) {
+      const usage = exceeded.maxBytes !== null && exceeded.usedBytes + size > exceeded.maxBytes
+        ? `${formatBytes(exceeded.usedBytes)} / ${formatBytes(exceeded.maxBytes)}`
+        : `${exceeded.usedFiles} / ${exceeded.maxFiles}`;
+      item.error = t(`ep_media_upload.error.quota.${exceeded.scope}`, `Storage quota exceeded (${usage}).`, { usage });
+      item.retryable = true;
+      setItemState(item, 'failed');
+      continue;
+    }
+    // Queued items ahead of this one will use up quota too
+    for (const quota of quotas) {
+      quota.usedBytes += size;
+      quota.usedFiles += files;
+    }
+  }
+};
+
+const cancelItem = (item) => {
+  if (!isActive(item)) return;
+  item.cancelled = true;
+  if (item.state === 'queued') {
+    removeItem(item);
+    insertCompletedLinks();
+    return;
+  }
+  // runItem removes the item once its requests have been aborted
+  item.requests.forEach((request) => request.abort());
+};
+
+/**
+ * Queue the selected file itself, unprocessed, in place of a failed or
+ * queued item's file
+ */
+const queueOriginal = (item) => {
+  item.file = item.original;
+  item.loaded = 0;
+  const validation = validateFile(item.file);
+  if (!validation.valid) {
+    item.error = validation.error;
+    item.retryable = false;
+    setItemState(item, 'failed');
+    return;
+  }
+  item.error = null;
+  setItemState(item, 'queued');
+  pumpQueue();
+};
+
+/**
+ * Upload the selected image instead of the processed one, once the user
+ * chose to. An item that already started is aborted and queued again.
+ */
+const keepOriginal = (item) => {
+  if (!canKeepOriginal(item)) return;
+  item.keepOriginal = true;
+  if (item.state === 'processing' || item.state === 'uploading') {
+    // runItem queues the original once the running requests are aborted
+    item.restart = true;
+    item.cancelled = true;
+    item.requests.forEach((request) => request.abort());
+    return;
+  }
+  queueOriginal(item);
+};
+
+const retryItem = (item) => {
+  if (item.state !== 'failed' || !item.retryable) return;
+  item.error = null;
+  setItemState(item, 'queued');
+  pumpQueue();
+};
+
+// ============================================================================
+// Attachments Panel
+// ============================================================================
+// Side panel listing the files attached to this pad. Each entry can be linked
+// again at the cursor, downloaded, or replaced with a new version; earlier
+// versions stay listed below it. Uploaders and admins can delete files. The
+// list is fetched whenever the panel opens and after each upload while it is
+// open.
+let _attachmentsRequest = null;
+
+const isAttachmentsPanelOpen = () => $('#mediaUploadAttachments').hasClass('visible');
+
+const renderAttachment = (attachment) => {
+  const button = (action, l10nId, fallback) => $('<button>')
+      .addClass('ep-media-upload-btn')
+      .attr({ 'type': 'button', 'data-action': action, 'data-l10n-id': l10nId })
+      .text(t(l10nId, fallback));
+  const versionLabel = (version) => t('ep_media_upload.attachments.version', `Version ${version}`, { version });
+  const meta = [
+    attachment.versions ? versionLabel(attachment.version) : null,
+    formatBytes(attachment.size || 0),
+    attachment.mimeType,
+    attachment.authorName || t('ep_media_upload.attachments.unknownAuthor', 'Unknown author'),
+    new Date(attachment.updatedAt || attachment.createdAt).toLocaleString(),
+  ].filter(Boolean).join(' · ');
+
+  const row = $('<li>').addClass('ep-media-upload-attachment').attr('data-file', attachment.fileId).append(
+      $('<div>').addClass('ep-media-upload-attachment-name').text(attachment.name).attr('title', attachment.name),
+      $('<div>').addClass('ep-media-upload-attachment-meta').text(meta));
+
+  if (attachment.versions) {
+    const count = attachment.versions.length;
+    row.append($('<details>').addClass('ep-media-upload-attachment-versions').append(
+        $('<summary>').text(t('ep_media_upload.attachments.earlierVersions', `Earlier versions (${count})`, { count })),
+        $('<ul>').append(attachment.versions.map((version) => $('<li>').append(
+            $('<a>').attr({ href: version.downloadUrl, target: '_blank', rel: 'noopener' })
+                .text(`${versionLabel(version.version)}: ${version.name}`),
+            ` · ${formatBytes(version.size || 0)} · ${new Date(version.createdAt).toLocaleString()}`)))));
+  }
+
+  const deleteButton = attachment.canDelete ? button('delete', 'ep_media_upload.button.delete', 'Delete') : null;
+
+  // Files that have not passed the virus scan cannot be downloaded yet
+  if (attachment.scanStatus && attachment.scanStatus !== 'clean') {
+    const status = attachment.scanStatus === 'infected'
+      ? t('ep_media_upload.error.infected', 'The file was flagged by the virus scanner and was not attached.')
+      : t('ep_media_upload.status.scanning', 'Scanning…');
+    row.append($('<div>').addClass('ep-media-upload-attachment-status').text(status));
+    return deleteButton ? row.append($('<div>').addClass('ep-media-upload-attachment-actions').append(deleteButton)) : row;
+  }
+
+  // Read-only viewers can only download
+  return row.append($('<div>').addClass('ep-media-upload-attachment-actions').append([
+    clientVars.readonly ? null : button('insert', 'ep_media_upload.button.insertLink', 'Insert link'),
+    button('download', 'ep_media_upload.button.download', 'Download'),
+    attachment.canDelete ? button('replace', 'ep_media_upload.button.replace', 'Replace…') : null,
+    deleteButton,
+  ].filter(Boolean)));
+};
+
+const setAttachmentsMessage = (message) => {
+  $('#mediaUploadAttachments .ep-media-upload-panel-message').text(message || '').toggle(!!message);
+};
+
+const loadAttachments = () => {
+  if (_attachmentsRequest) _attachmentsRequest.abort();
+  const request = _attachmentsRequest = $.ajax({ url: pluginUrl('attachments'), dataType: 'json' });
+  request.done((data) => {
+    const list = $('#mediaUploadAttachmentsList').empty();
+    const items = (data && data.attachments) || [];
+    list.data('attachments', items);
+    items.forEach((attachment) => list.append(renderAttachment(attachment)));
+    setAttachmentsMessage(items.length ? null : t('ep_media_upload.attachments.empty', 'No files have been attached to this pad yet.'));
+  }).fail((jqXHR, textStatus) => {
+    if (textStatus === 'abort') return;
+    setAttachmentsMessage(errorMessage(jqXHR));
+  }).always(() => {
+    if (_attachmentsRequest === request) _attachmentsRequest = null;
+  });
+};
+
+const toggleAttachmentsPanel = (open) => {
+  const panel = $('#mediaUploadAttachments');
+  const visible = open === undefined ? !panel.hasClass('visible') : open;
+  panel.toggleClass('visible', visible);
+  if (visible) loadAttachments();
+};
+
+const findAttachment = (fileId) => ($('#mediaUploadAttachmentsList').data('attachments') || [])
+    .find((attachment) => attachment.fileId === fileId);
+
+/**
+ * Delete `attachment` from storage after the user confirmed. Its links stay
+ * in the pad and lead to a page saying the file was removed.
+ */
+const deleteAttachment = (attachment) => {
+  const question = t('ep_media_upload.attachments.confirmDelete',
+      `Delete "${attachment.name}" and all its versions? Links to it will stop working.`, { name: attachment.name });
+  if (!window.confirm(question)) return;
+  // Deletes started from a link menu have no open panel to report to
+  const panelOpen = $('#mediaUploadAttachments').hasClass('visible');
+  postJSON('delete', { file: attachment.fileId })
+      .done(() => { if (panelOpen) loadAttachments(); })
+      .fail((jqXHR) => (panelOpen ? setAttachmentsMessage(errorMessage(jqXHR)) : window.alert(errorMessage(jqXHR))));
+};
+
+/**
+ * Let the user pick a file to upload as the new version of `attachment`.
+ * The new version must have the same extension, which its links carry.
+ */
+const pickReplacement = (attachment) => {
+  const extension = attachment.fileId.slice(attachment.fileId.lastIndexOf('.'));
+  $('<input>').attr({ type: 'file', accept: extension }).on('change', (e) => {
+    const file = e.currentTarget.files && e.currentTarget.files[0];
+    if (file) enqueueFiles([file], _aceContext, null, attachment.fileId);
+  }).trigger('click');
+};
+
+// ============================================================================
+// Attachment Link Menu
+// ============================================================================
+// Right-clicking a link to one of the pad's files in the editor opens a menu
+// with the panel's actions for that file. Links to files of other pads can
+// only be downloaded. Read-only viewers get the browser's own menu.
+let _linkMenuRequest = null;
+
+const closeLinkMenu = () => {
+  if (_linkMenuRequest) _linkMenuRequest.abort();
+  _linkMenuRequest = null;
+  $('#mediaUploadLinkMenu').removeClass('visible').removeData('href attachment').empty();
+};
+
+/**
+ * Menu entries for a link to `attachment`, which is null for files the pad's
+ * listing does not have
+ */
+const renderLinkMenu = (attachment) => {
+  const item = (action, l10nId, fallback) => $('<button>')
+      .addClass('ep-media-upload-link-menu-item')
+      .attr({ 'type': 'button', 'role': 'menuitem', 'data-action': action, 'data-l10n-id': l10nId })
+      .text(t(l10nId, fallback));
+  // As in the panel, files that have not passed the virus scan are not
+  // replaced, and only their uploader and admins may replace or delete them
+  const scanned = !!attachment && (!attachment.scanStatus || attachment.scanStatus === 'clean');
+  return [
+    item('download', 'ep_media_upload.button.download', 'Download'),
+    scanned && attachment.canDelete ? item('replace', 'ep_media_upload.button.replace', 'Replace…') : null,
+    attachment && attachment.canDelete ? item('delete', 'ep_media_upload.button.delete', 'Delete') : null,
+  ].filter(Boolean);
+};
+
+/**
+ * Open the link menu at page coordinates `x`, `y` for the download link
+ * `href`, once the pad's listing says which file it is
+ */
+const openLinkMenu = (href, x, y) => {
+  closeLinkMenu();
+  const fileId = getLinkedFileId(href);
+  const request = _linkMenuRequest = $.ajax({ url: pluginUrl('attachments'), dataType: 'json' });
+  request.then((data) => ((data && data.attachments) || []).find((attachment) => attachment.fileId === fileId) || null,
+      () => null).then((attachment) => {
+    if (_linkMenuRequest !== request) return;
+    _linkMenuRequest = null;
+    const menu = $('#mediaUploadLinkMenu').data({ href, attachment }).append(renderLinkMenu(attachment)).addClass('visible');
+    // Keep the menu inside the window
+    menu.css({
+      left: Math.max(0, Math.min(x, window.innerWidth - menu.outerWidth())),
+      top: Math.max(0, Math.min(y, window.innerHeight - menu.outerHeight())),
+    });
+    menu.find('button').first().trigger('focus');
+  });
+};
+
+/**
+ * Translate the position of a mouse event in the editor's inner frame to the
+ * pad page
+ */
+const editorEventToPage = (event) => {
+  const outer = $('iframe[name="ace_outer"]')[0];
+  const inner = outer && $(outer).contents().find('iframe[name="ace_inner"]')[0];
+  if (!inner) return { x: event.clientX, y: event.clientY };
+  const outerRect = outer.getBoundingClientRect();
+  const innerRect = inner.getBoundingClientRect();
+  return { x: outerRect.left + innerRect.left + event.clientX, y: outerRect.top + innerRect.top + event.clientY };
+};
+
+// ============================================================================
+// Attachment Bundles
+// ============================================================================
+// Export links and the import control in the import/export dialog. A bundle
+// carries the pad together with its files (see lib/bundle.js).
+const setImportStatus = (message, failed) => {
+  $('#mediaUploadImportBundleStatus').text(message || '').toggleClass('ep-media-upload-import-failed', !!failed);
+};
+
+const importBundle = () => {
+  const input = $('#mediaUploadImportBundleInput')[0];
+  const file = input && input.files && input.files[0];
+  if (!file) return;
+  if (!window.confirm(t('ep_media_upload.bundle.confirmImport', 'Importing replaces the current text of this pad. Continue?'))) return;
+
+  const button = $('#mediaUploadImportBundleButton').prop('disabled', true);
+  setImportStatus(t('ep_media_upload.bundle.importing', 'Importing…'));
+  $.ajax({
+    url: pluginUrl('import/bundle'),
+    type: 'POST',
+    data: file,
+    processData: false,
+    contentType: 'application/gzip',
+    dataType: 'json',
+  }).done((data) => {
+    // .etherpad bundles are written straight to the database
+    if (data.reload) {
+      window.location.reload();
+      return;
+    }
+    let message = t('ep_media_upload.bundle.imported', `Imported ${data.imported} files.`, { count: data.imported });
+    if (data.skipped.length) {
+      const names = data.skipped.map((skipped) => `${skipped.name} (${skipped.reason})`).join(', ');
+      message += ` ${t('ep_media_upload.bundle.skipped', `Skipped ${data.skipped.length} files: ${names}`, { count: data.skipped.length, names })}`;
+    }
+    setImportStatus(message, data.skipped.length > 0);
+    input.value = '';
+  }).fail((jqXHR) => {
+    setImportStatus(errorMessage(jqXHR), true);
+  }).always(() => {
+    button.prop('disabled', false);
+  });
+};
+
+/**
+ * Translate the drop point of a drag event into a [line, column] position.
+ * Moves the editor selection to the drop point and lets ace read it back.
+ */
+const getDropPosition = (editorInfo, event) => {
+  const doc = event.target && event.target.ownerDocument;
+  if (!doc) return null;
+  let range = null;
+  if (doc.caretRangeFromPoint) {
+    range = doc.caretRangeFromPoint(event.clientX, event.clientY);
+  } else if (doc.caretPositionFromPoint) {
+    const caret = doc.caretPositionFromPoint(event.clientX, event.clientY);
+    if (caret) {
+      range = doc.createRange();
+      range.setStart(caret.offsetNode, caret.offset);
+      range.collapse(true);
     }
-    showError(errorMsg);
   }
+  if (!range) return null;
+
+  const selection = doc.getSelection();
+  selection.removeAllRanges();
+  selection.addRange(range);
+
+  let position = null;
+  editorInfo.ace_callWithAce((ace) => {
+    const rep = ace.ace_getRep();
+    if (rep.selStart) position = rep.selStart.slice();
+  }, 'mediaUploadDropPosition', true);
+  return position;
+};
+
+/**
+ * aceDrop hook
+ * Upload files dropped onto the pad and link them at the drop point
+ */
+exports.aceDrop = (hook, context) => {
+  const event = context.e && (context.e.originalEvent || context.e);
+  const files = event && event.dataTransfer && event.dataTransfer.files;
+  if (!files || files.length === 0 || !_aceContext) return;
+
+  // Keep the browser from opening the file or inserting it as an image
+  context.e.preventDefault();
+  const position = getDropPosition(context.editorInfo, event);
+  enqueueFiles(Array.from(files), _aceContext, position);
+};
+
+/**
+ * acePaste hook
+ * Upload files pasted from the clipboard (e.g. screenshots) at the cursor.
+ * Rich content that also carries HTML (such as copied documents) pastes as usual.
+ */
+exports.acePaste = (hook, context) => {
+  const event = context.e && (context.e.originalEvent || context.e);
+  const clipboard = event && event.clipboardData;
+  if (!clipboard || !clipboard.files || clipboard.files.length === 0 || !_aceContext) return;
+  if (Array.from(clipboard.types || []).includes('text/html')) return;
+
+  context.e.preventDefault();
+  const position = context.rep && context.rep.selStart ? context.rep.selStart.slice() : null;
+  enqueueFiles(Array.from(clipboard.files), _aceContext, position);
 };
 
 /**
@@ -199,31 +1244,84 @@ exports.aceInitialized = (hook, context) => {
 
 /**
  * postAceInit hook
- * Set up modal close button handler
+ * Set up the upload queue, attachments panel and bundle button handlers
  */
 exports.postAceInit = (hook, context) => {
   _aceContext = context.ace;
 
-  // Close button handler for error modal
-  $(document).on('click', '#mediaUploadErrorClose', () => {
-    hideModal();
+  $(document).on('click', '#mediaUploadQueue [data-action]', (e) => {
+    const id = Number($(e.currentTarget).closest('.ep-media-upload-item').attr('data-id'));
+    const item = _queue.find((queued) => queued.id === id);
+    if (!item) return;
+    const action = $(e.currentTarget).attr('data-action');
+    if (action === 'cancel') cancelItem(item);
+    else if (action === 'retry') retryItem(item);
+    else if (action === 'original') keepOriginal(item);
+    else if (action === 'dismiss') removeItem(item);
   });
 
-  // Click outside modal to close (only for error state)
-  $(document).on('click', '#mediaUploadModal', (e) => {
-    if (e.target.id === 'mediaUploadModal' && $('#mediaUploadError').is(':visible')) {
-      hideModal();
+  $('#mediaUploadExportBundleEtherpad').attr('href', pluginUrl('export/bundle?format=etherpad'));
+  $('#mediaUploadExportBundleHtml').attr('href', pluginUrl('export/bundle?format=html'));
+  $(document).on('click', '#mediaUploadImportBundleButton', importBundle);
+
+  $(document).on('click', '#mediaUploadAttachmentsClose', () => toggleAttachmentsPanel(false));
+  $(document).on('click', '#mediaUploadAttachments [data-action]', (e) => {
+    const fileId = $(e.currentTarget).closest('.ep-media-upload-attachment').attr('data-file');
+    const attachment = findAttachment(fileId);
+    if (!attachment) return;
+    const action = $(e.currentTarget).attr('data-action');
+    if (action === 'insert') {
+      _aceContext.callWithAce((ace) => {
+        ace.ace_doInsertMediaLink(attachment.downloadUrl, attachment.name, null);
+      }, 'insertMediaLink', true);
+    } else if (action === 'replace') {
+      pickReplacement(attachment);
+    } else if (action === 'delete') {
+      deleteAttachment(attachment);
+    } else {
+      window.open(attachment.downloadUrl, '_blank', 'noopener');
     }
   });
+
+  // Attachment links in the editor get their actions on right-click
+  if (!clientVars.readonly) {
+    const innerDoc = $('iframe[name="ace_outer"]').contents().find('iframe[name="ace_inner"]').contents();
+    innerDoc.on('contextmenu', 'a[href]', (e) => {
+      const href = $(e.currentTarget).attr('href');
+      if (!getLinkedFileId(href)) return;
+      e.preventDefault();
+      const { x, y } = editorEventToPage(e);
+      openLinkMenu(href, x, y);
+    });
+    innerDoc.on('mousedown keydown', closeLinkMenu);
+  }
+  $(document).on('mousedown', (e) => {
+    if (!$(e.target).closest('#mediaUploadLinkMenu').length) closeLinkMenu();
+  });
+  $(document).on('keydown', (e) => {
+    if (e.key === 'Escape') closeLinkMenu();
+  });
+  $(document).on('click', '#mediaUploadLinkMenu [data-action]', (e) => {
+    const menu = $('#mediaUploadLinkMenu');
+    const href = menu.data('href');
+    const attachment = menu.data('attachment');
+    const action = $(e.currentTarget).attr('data-action');
+    closeLinkMenu();
+    if (action === 'replace') pickReplacement(attachment);
+    else if (action === 'delete') deleteAttachment(attachment);
+    else window.open(href, '_blank', 'noopener');
+  });
 };
 
 /**
  * postToolbarInit hook
- * Register the mediaUpload toolbar command
+ * Register the mediaUpload and mediaAttachments toolbar commands
  */
 exports.postToolbarInit = (hook, context) => {
   const toolbar = context.toolbar;
 
+  toolbar.registerCommand('mediaAttachments', () => toggleAttachmentsPanel());
+
   toolbar.registerCommand('mediaUpload', () => {
     // Remove any existing file input (cleanup from previous attempts)
     $('#mediaUploadFileInput').remove();
@@ -233,6 +1331,7 @@ exports.postToolbarInit = (hook, context) => {
       .attr({
         type: 'file',
         id: 'mediaUploadFileInput',
+        multiple: 'multiple',
         style: 'position:absolute;left:-9999px;'
       });
 
@@ -260,8 +1359,7 @@ exports.postToolbarInit = (hook, context) => {
         return;
       }
 
-      const file = files[0];
-      handleFileUpload(file, context.ace);
+      enqueueFiles(Array.from(files), context.ace, null);
       cleanup();
     });
 
@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/node/eejs/') return {require: (template) => `<html>${template}</html>`};
+  if (request === 'ep_etherpad-lite/node/utils/Settings') return {};
+  if (request === 'ep_etherpad-lite/node/db/SecurityManager') return {checkAccess: async () => ({accessStatus: 'deny'})};
+  if (request === '@aws-sdk/client-s3') return {};
+  if (request === '@aws-sdk/s3-request-presigner') return {};
+  return originalLoad.call(this, request, parent, isMain);
+};
+const plugin = require('../index');
+Module._load = originalLoad;
+
+// Routes are matched in the order they were registered, as in Express
+const createApp = () => {
+  const routes = [];
+  const register = (method) => (path, handler) => {
+    const pattern = path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/:\w+/g, '[^/]+').replace(/\*/g, '.*');
+    routes.push({method, pattern: new RegExp(`^${pattern}$`), handler});
+  };
+  const request = async (method, path, user) => {
+    const route = routes.find((candidate) => candidate.method === method && candidate.pattern.test(path));
+    const res = {
+      statusCode: 200,
+      headers: {},
+      status(code) { this.statusCode = code; return this; },
+      set(name, value) { this.headers[name.toLowerCase()] = value; return this; },
+      type(value) { this.headers['content-type'] = value; return this; },
+      json(body) { this.body = body; return this; },
+      send(body) { this.body = body; return this; },
+    };
+    const req = {method, path, params: {}, query: {}, headers: {}, ip: '127.0.0.1', session: {user}};
+    await route.handler(req, res);
+    return res;
+  };
+  return {get: register('GET'), post: register('POST'), put: register('PUT'), request};
+};
+
+test('the admin page is reachable next to Etherpad\'s admin app', async () => {
+  const app = createApp();
+  // Etherpad's admin app registers before plugins and answers every GET under /admin/
+  app.get('/admin/*', (req, res) => res.type('html').send('admin app'));
+  plugin.expressCreateServer('expressCreateServer', {app});
+
+  const admin = {username: 'admin', is_admin: true};
+  const page = await app.request('GET', '/ep_media_upload/admin', admin);
+  assert.equal(page.statusCode, 200);
+  assert.equal(page.body, '<html>ep_media_upload/templates/admin.ejs</html>');
+  assert.equal(page.headers['cache-control'], 'private, no-store');
+
+  const status = await app.request('GET', '/ep_media_upload/admin/status', admin);
+  assert.equal(status.statusCode, 200);
+  assert.deepEqual(status.body.usage.totals, {pads: 0, files: 0, bytes: 0});
+
+  const selfTest = await app.request('POST', '/ep_media_upload/admin/selftest', admin);
+  assert.equal(selfTest.body.ok, false);
+  assert.equal(selfTest.body.steps[0].error, 'storage.type is not set');
+
+  for (const [method, path] of [['GET', '/ep_media_upload/admin'], ['GET', '/ep_media_upload/admin/status'], ['POST', '/ep_media_upload/admin/selftest']]) {
+    const denied = await app.request(method, path, {username: 'user', is_admin: false});
+    assert.equal(denied.statusCode, 403, path);
+  }
+});
@@ -0,0 +1,165 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+
+const dbRecords = new Map();
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/node/db/DB') {
+    return {
+      get: async (key) => dbRecords.get(key),
+      set: async (key, value) => { dbRecords.set(key, value); },
+      remove: async (key) => { dbRecords.delete(key); },
+      // ueberdb semantics: "*" matches anything
+      findKeys: async (pattern) => {
+        const escaped = pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const regex = new RegExp(`^${escaped.join('.*')}$`);
+        return [...dbRecords.keys()].filter((key) => regex.test(key));
+      },
+    };
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+const attachments = require('../lib/attachments');
+Module._load = originalLoad;
+
+test('attachment records are stored per pad and file ID', async () => {
+  const record = await attachments.create({
+    padId: 'g.abc$pad',
+    fileId: 'a1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf',
+    key: 'uploads/g.abc$pad/a1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf',
+    authorId: 'a.123',
+    originalFilename: 'Report.pdf',
+    size: 42,
+    mimeType: 'application/pdf',
+    status: attachments.STATUS_UPLOADING,
+  });
+  assert.equal(typeof record.createdAt, 'number');
+  assert.deepEqual([...dbRecords.keys()], [
+    'ep_media_upload:attachment:g.abc$pad:a1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf',
+    'ep_media_upload:authorIndex:a.123:g.abc$pad:a1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf',
+  ]);
+  assert.deepEqual(await attachments.get('g.abc$pad', record.fileId), record);
+  assert.equal(await attachments.get('other', record.fileId), null);
+});
+
+test('attachment records are updated in place and removed', async () => {
+  const fileId = 'b1b2c3d4-e5f6-7890-abcd-ef1234567890.png';
+  await attachments.create({padId: 'pad', fileId, size: 10, status: attachments.STATUS_UPLOADING, createdAt: 5});
+  const updated = await attachments.update('pad', fileId, {status: attachments.STATUS_AVAILABLE, size: 12});
+  assert.deepEqual(updated, {padId: 'pad', fileId, size: 12, status: attachments.STATUS_AVAILABLE, createdAt: 5});
+  assert.deepEqual(await attachments.get('pad', fileId), updated);
+
+  await attachments.remove('pad', fileId);
+  assert.equal(await attachments.get('pad', fileId), null);
+  assert.equal(await attachments.update('pad', fileId, {size: 1}), null);
+});
+
+test('listing a pad returns only that pad\'s records', async () => {
+  const fileId = 'c1b2c3d4-e5f6-7890-abcd-ef1234567890.txt';
+  await attachments.create({padId: 'list', fileId, status: attachments.STATUS_AVAILABLE});
+  await attachments.create({padId: 'list:sub', fileId, status: attachments.STATUS_AVAILABLE});
+  await attachments.create({padId: 'list*', fileId, status: attachments.STATUS_AVAILABLE});
+
+  assert.deepEqual((await attachments.listForPad('list')).map((record) => record.padId), ['list']);
+  assert.deepEqual((await attachments.listForPad('list*')).map((record) => record.padId), ['list*']);
+  assert.deepEqual(await attachments.listForPad('empty'), []);
+});
+
+test('records are listed by group and by author', async () => {
+  const fileId = (n) => `${String(n).repeat(8)}-e5f6-7890-abcd-ef1234567890.txt`;
+  // Written before the author index existed
+  dbRecords.set(`ep_media_upload:attachment:g.list$old:${fileId(1)}`, {padId: 'g.list$old', fileId: fileId(1), authorId: 'a.list'});
+  await attachments.create({padId: 'g.list$new:sub', fileId: fileId(2), authorId: 'a.list'});
+  await attachments.create({padId: 'g.listother$pad', fileId: fileId(3), authorId: 'a.list'});
+  await attachments.create({padId: 'g.list$new', fileId: fileId(4), authorId: 'a.other'});
+  const ids = (records) => records.map((record) => `${record.padId}:${record.fileId.slice(0, 1)}`).sort();
+
+  assert.deepEqual(ids(await attachments.listForGroup('g.list')), ['g.list$new:4', 'g.list$new:sub:2', 'g.list$old:1']);
+  assert.deepEqual(ids(await attachments.listForAuthor('a.list')), ['g.list$new:sub:2', 'g.list$old:1', 'g.listother$pad:3']);
+
+  // The index follows new versions, tombstones and removed records
+  const upload = await attachments.create({padId: 'g.list$new', fileId: fileId(5), authorId: 'a.list', replaces: fileId(4)});
+  await attachments.update('g.list$new', fileId(4), {status: attachments.STATUS_AVAILABLE});
+  await attachments.addVersion(upload, 1);
+  await attachments.markDeleted(await attachments.get('g.list$old', fileId(1)), 'a.other');
+  await attachments.remove('g.listother$pad', fileId(3));
+  assert.deepEqual(ids(await attachments.listForAuthor('a.list')), ['g.list$new:4', 'g.list$new:sub:2']);
+  assert.deepEqual(ids(await attachments.listForAuthor('a.other')), []);
+  assert.equal([...dbRecords.keys()].filter((key) => key.startsWith('ep_media_upload:authorIndex:a.other:')).length, 0);
+});
+
+test('a confirmed new version becomes current and keeps the earlier one', async () => {
+  const fileId = 'd1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf';
+  const newId = 'e1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf';
+  await attachments.create({
+    padId: 'pad', fileId, key: `pad/${fileId}`, authorId: 'a.1', originalFilename: 'v1.pdf', size: 10, mimeType: 'application/pdf',
+    status: attachments.STATUS_AVAILABLE, scan: {status: 'clean'}, createdAt: 5,
+  });
+  const upload = await attachments.create({
+    padId: 'pad', fileId: newId, key: `pad/${newId}`, authorId: 'a.2', originalFilename: 'v2.pdf', size: 30,
+    mimeType: 'application/pdf', replaces: fileId, status: attachments.STATUS_UPLOADING,
+  });
+
+  const updated = await attachments.addVersion(upload, 20);
+  assert.equal(await attachments.get('pad', newId), null);
+  assert.deepEqual(await attachments.get('pad', fileId), updated);
+  assert.equal(updated.key, `pad/${newId}`);
+  assert.equal(updated.originalFilename, 'v2.pdf');
+  assert.equal(updated.size, 20);
+  assert.equal(updated.version, 2);
+  assert.equal(updated.createdAt, 5);
+  assert.equal(updated.scan, undefined);
+  assert.deepEqual(updated.versions, [{
+    version: 1, key: `pad/${fileId}`, authorId: 'a.1', originalFilename: 'v1.pdf', size: 10, mimeType: 'application/pdf',
+    createdAt: 5, scan: {status: 'clean'}, metadata: undefined,
+  }]);
+  assert.deepEqual(attachments.objectKeys(updated), [`pad/${newId}`, `pad/${fileId}`]);
+  assert.equal(attachments.findVersion(updated, 2), updated);
+  assert.equal(attachments.findVersion(updated, 1).originalFilename, 'v1.pdf');
+  assert.equal(attachments.findVersion(updated, 3), null);
+
+  // The replaced file was deleted while the new version uploaded
+  const orphan = await attachments.create({padId: 'pad', fileId: newId, key: `pad/${newId}`, replaces: 'gone.pdf'});
+  assert.equal(await attachments.addVersion(orphan, 1), null);
+  assert.equal(await attachments.get('pad', newId), null);
+});
+
+test('a deleted file leaves a tombstone without its name or objects', async () => {
+  const fileId = 'f1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf';
+  const record = await attachments.create({
+    padId: 'pad', fileId, key: `pad/${fileId}`, authorId: 'a.1', originalFilename: 'secret.pdf', size: 10,
+    status: attachments.STATUS_AVAILABLE, createdAt: 5, versions: [{version: 1, key: 'pad/old.pdf'}], version: 2,
+  });
+
+  const tombstone = await attachments.markDeleted(record, 'a.2');
+  assert.deepEqual(await attachments.get('pad', fileId), tombstone);
+  assert.equal(tombstone.status, attachments.STATUS_DELETED);
+  assert.equal(tombstone.deletedBy, 'a.2');
+  assert.equal(tombstone.createdAt, 5);
+  assert.equal(typeof tombstone.deletedAt, 'number');
+  assert.equal(tombstone.originalFilename, undefined);
+  assert.deepEqual(attachments.objectKeys(tombstone), []);
+});
+
+test('a verdict stored while a new version is confirmed stays with its version', async () => {
+  const fileId = 'f1b2c3d4-e5f6-7890-abcd-ef1234567890.pdf';
+  const newId = 'f2b2c3d4-e5f6-7890-abcd-ef1234567890.pdf';
+  await attachments.create({padId: 'race', fileId, key: `race/${fileId}`, size: 10, status: attachments.STATUS_AVAILABLE});
+  const upload = await attachments.create({padId: 'race', fileId: newId, key: `race/${newId}`, replaces: fileId, status: attachments.STATUS_UPLOADING});
+  const verdictFor = (key) => (record) => (record.key === key ? {scan: {status: 'clean'}} : null);
+
+  await Promise.all([
+    attachments.updateWith('race', fileId, verdictFor(`race/${fileId}`)),
+    attachments.addVersion(upload, 20),
+    // Scanned the first version, which is no longer current by now
+    attachments.updateWith('race', fileId, (record) => (record.key === `race/${fileId}` ? {scan: {status: 'infected'}} : null)),
+  ]);
+  const record = await attachments.get('race', fileId);
+  assert.equal(record.key, `race/${newId}`);
+  assert.equal(record.scan, undefined);
+  assert.equal(record.version, 2);
+  assert.deepEqual(record.versions[0].scan, {status: 'clean'});
+});
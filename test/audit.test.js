@@ -0,0 +1,54 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const test = require('node:test');
+
+const audit = require('../lib/audit');
+
+const captureLogger = () => {
+  const lines = [];
+  const log = (level) => (line) => lines.push([level, line]);
+  return {lines, info: log('info'), warn: log('warn'), error: log('error')};
+};
+
+test('events are logged on one line and appended to the audit file as JSON', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ep_media_upload-audit-'));
+  const file = path.join(dir, 'audit.jsonl');
+  const logger = captureLogger();
+  await audit.configure({audit: {file}});
+
+  audit.emit(logger, 'info', 'UPLOAD', {author: 'a.x1', ip: '192.0.2.1', pad: 'notes', file: 'a"\nFAKE: b.txt', size: 12, user: undefined});
+  audit.emit(logger, 'warn', 'DOWNLOAD_DENIED', {author: null, pad: 'notes', metadata: {retention: 'short'}});
+  await audit.configure({});
+  audit.emit(logger, 'info', 'SCAN_CLEAN', {pad: 'notes'});
+
+  assert.deepEqual(logger.lines, [
+    ['info', '[ep_media_upload] UPLOAD: author="a.x1" ip="192.0.2.1" pad="notes" file="a\\"\\nFAKE: b.txt" size=12'],
+    ['warn', '[ep_media_upload] DOWNLOAD_DENIED: author="" pad="notes" metadata={"retention":"short"}'],
+    ['info', '[ep_media_upload] SCAN_CLEAN: pad="notes"'],
+  ]);
+  const events = fs.readFileSync(file, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+  assert.equal(events.length, 2); // written after the file was switched off: not recorded
+  assert.ok(!Number.isNaN(Date.parse(events[0].time)));
+  assert.deepEqual({...events[0], time: undefined}, {
+    time: undefined, level: 'info', event: 'UPLOAD', author: 'a.x1', ip: '192.0.2.1', pad: 'notes', file: 'a"\nFAKE: b.txt', size: 12,
+  });
+  assert.deepEqual(events[1].metadata, {retention: 'short'});
+  assert.equal(events[1].author, null);
+  fs.rmSync(dir, {recursive: true, force: true});
+});
+
+test('the latest events are kept in memory, newest first', () => {
+  const logger = captureLogger();
+  audit.emit(logger, 'info', 'UPLOAD', {pad: 'recent', file: 'a.pdf'});
+  audit.emit(logger, 'info', 'SCAN_CLEAN', {pad: 'recent'});
+  audit.emit(logger, 'warn', 'DOWNLOAD_DENIED', {pad: 'recent', reason: undefined});
+
+  const events = audit.recentEvents({pattern: /^(UPLOAD|DOWNLOAD)/}).filter((entry) => entry.pad === 'recent');
+  assert.deepEqual(events.map(({event, level}) => [event, level]), [['DOWNLOAD_DENIED', 'warn'], ['UPLOAD', 'info']]);
+  assert.ok(!('reason' in events[0]));
+  assert.equal(audit.recentEvents({limit: 1})[0].event, 'DOWNLOAD_DENIED');
+});
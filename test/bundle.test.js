@@ -0,0 +1,81 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const {Readable} = require('node:stream');
+const test = require('node:test');
+
+const bundle = require('../lib/bundle');
+const tar = require('../lib/tar');
+
+const id = (n) => `${String(n).repeat(8)}-e5f6-7890-abcd-ef1234567890.png`;
+const link = (padId, fileId) => `/p/${encodeURIComponent(padId)}/pluginfw/ep_media_upload/download?file=${fileId}`;
+
+const collect = async (iterable) => {
+  const chunks = [];
+  for await (const chunk of iterable) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+test('tar entries round-trip, including streamed bodies', async () => {
+  const big = Buffer.alloc(1300, 7);
+  const archive = await collect(tar.writeTar([
+    {name: 'manifest.json', size: 2, body: Buffer.from('{}')},
+    {name: 'files/a', size: big.length, body: async () => Readable.from([big.subarray(0, 600), big.subarray(600)])},
+    {name: 'files/empty', size: 0, body: Buffer.alloc(0)},
+  ]));
+  assert.equal(archive.length % 512, 0);
+
+  // Feed the reader in small chunks to cross block boundaries
+  const chunks = [];
+  for (let i = 0; i < archive.length; i += 100) chunks.push(archive.subarray(i, i + 100));
+  const entries = [];
+  for await (const entry of tar.readTar(Readable.from(chunks))) {
+    // Leave files/a unread: it must be skipped
+    entries.push({name: entry.name, size: entry.size, body: entry.name === 'files/a' ? null : await collect(entry.body)});
+  }
+  assert.deepEqual(entries.map((entry) => [entry.name, entry.size]), [['manifest.json', 2], ['files/a', 1300], ['files/empty', 0]]);
+  assert.equal(entries[0].body.toString(), '{}');
+
+  await assert.rejects(collect(tar.writeTar([{name: 'x', size: 5, body: Buffer.from('abc')}])), {code: 'ETARFORMAT'});
+  await assert.rejects(collect(tar.readTar(Readable.from([archive.subarray(0, 700)]))), {code: 'ETARFORMAT'});
+});
+
+test('manifests are validated', () => {
+  const manifest = bundle.buildManifest({
+    padId: 'notes', format: 'html', files: [{fileId: id(1), name: 'a.png', size: 3, mimeType: 'image/png', key: 'u/notes/x'}],
+  });
+  assert.equal(manifest.document, 'pad.html');
+  assert.deepEqual(manifest.files, [{fileId: id(1), path: `files/${id(1)}`, name: 'a.png', size: 3, mimeType: 'image/png'}]);
+  assert.deepEqual(bundle.parseManifest(JSON.stringify(manifest)), manifest);
+
+  const invalid = [
+    'not json',
+    {...manifest, version: 2},
+    {...manifest, padId: undefined},
+    {...manifest, format: 'pdf'},
+    {...manifest, document: '../pad.html'},
+    {...manifest, files: [{...manifest.files[0], path: '../../etc/passwd'}]},
+    {...manifest, files: [{...manifest.files[0], size: -1}]},
+  ];
+  for (const value of invalid) {
+    assert.throws(() => bundle.parseManifest(typeof value === 'string' ? value : JSON.stringify(value)), {code: 'EBADBUNDLE'});
+  }
+});
+
+test('download links to imported files are rewritten', () => {
+  const fileIdMap = new Map([[id(1), id(7)]]);
+  const buildUrl = (fileId) => link('new pad', fileId);
+  const html = `<a href="https://old.example${link('old pad', id(1))}">a</a> <a href="${link('old pad', id(2))}">b</a>`;
+  assert.equal(bundle.rewriteDownloadLinks(html, fileIdMap, buildUrl),
+      `<a href="${link('new pad', id(7))}">a</a> <a href="${link('old pad', id(2))}">b</a>`);
+
+  const raw = {
+    'pad:wiki:old': {pool: {numToAttrib: {0: ['hyperlink', link('wiki:old', id(1))], 1: ['bold', 'true']}}},
+    'pad:wiki:old:revs:0': {changeset: link('wiki:old', id(1))},
+  };
+  bundle.rewriteEtherpadLinks(raw, 'wiki:old', fileIdMap, buildUrl);
+  assert.deepEqual(raw['pad:wiki:old'].pool.numToAttrib[0], ['hyperlink', link('new pad', id(7))]);
+  assert.deepEqual(raw['pad:wiki:old'].pool.numToAttrib[1], ['bold', 'true']);
+  // Changesets encode text lengths and are never touched
+  assert.equal(raw['pad:wiki:old:revs:0'].changeset, link('wiki:old', id(1)));
+});
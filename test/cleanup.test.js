@@ -0,0 +1,149 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const id = (n) => `${String(n).repeat(8)}-e5f6-7890-abcd-ef1234567890.pdf`;
+
+const pads = new Map();
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/node/db/PadManager') {
+    return {
+      listAllPads: async () => ({padIDs: [...pads.keys()]}),
+      doesPadExist: async (padId) => pads.has(padId),
+      getPad: async (padId) => pads.get(padId),
+    };
+  }
+  // Test changesets are their own char bank
+  if (request === 'ep_etherpad-lite/static/js/Changeset') return {unpack: (cs) => ({charBank: cs})};
+  return originalLoad.call(this, request, parent, isMain);
+};
+const attachments = require('../lib/attachments');
+const cleanup = require('../lib/cleanup');
+Module._load = originalLoad;
+
+const silentLogger = {info: () => {}, warn: () => {}, error: () => {}};
+
+const fakePad = ({text = '', pool = [], revisions = []}) => ({
+  atext: {text},
+  pool: {numToAttrib: Object.fromEntries(pool.map((attrib, i) => [i, attrib]))},
+  getHeadRevisionNumber: () => revisions.length - 1,
+  getRevisionChangeset: async (rev) => revisions[rev],
+});
+
+const fakeAdapter = (keys) => {
+  const objects = new Map(keys.map(([key, age]) => [key, {key, size: 1, lastModified: new Date(Date.now() - age)}]));
+  return {
+    objects,
+    delete: async (key) => { objects.delete(key); },
+    listObjects: async (prefix) => [...objects.values()].filter((object) => object.key.startsWith(prefix)),
+  };
+};
+
+test('sweep settings default to a weekly grace period and reporting only', () => {
+  assert.deepEqual(cleanup.getSweepSettings({}), {intervalHours: null, graceDays: 7, action: 'report'});
+  assert.deepEqual(cleanup.getSweepSettings({sweep: {intervalHours: 6, graceDays: 0, action: 'delete'}}),
+      {intervalHours: 6, graceDays: 0, action: 'delete'});
+  assert.equal(cleanup.getSweepSettings({sweep: {action: 'purge'}}).action, 'report');
+});
+
+test('links are found in the text, attribute pool and revision history', async () => {
+  const found = new Set();
+  await cleanup.collectPadReferences(fakePad({
+    text: `see /p/a/pluginfw/ep_media_upload/download?file=${id(1)}`,
+    pool: [['hyperlink', `https://pad.example/p/a/pluginfw/ep_media_upload/download?file=${id(2).toUpperCase()}`], ['bold', 'true']],
+    revisions: ['', `+download?file=${id(3)}`],
+  }), found);
+  assert.deepEqual([...found].sort(), [id(1), id(2), id(3)]);
+});
+
+test('removing a pad deletes its objects and records only', async () => {
+  const adapter = fakeAdapter([[`u/gone/${id(1)}`, 0], [`u/gone/${id(2)}`, 0], [`u/gone2/${id(1)}`, 0]]);
+  await attachments.create({padId: 'gone', fileId: id(1), key: `u/gone/${id(1)}`});
+  await attachments.create({padId: 'gone2', fileId: id(1), key: `u/gone2/${id(1)}`});
+
+  assert.equal(await cleanup.deletePadAttachments({adapter, storageCfg: {keyPrefix: 'u/'}, padId: 'gone'}), 2);
+  assert.deepEqual([...adapter.objects.keys()], [`u/gone2/${id(1)}`]);
+  assert.equal(await attachments.get('gone', id(1)), null);
+  assert.notEqual(await attachments.get('gone2', id(1)), null);
+});
+
+test('the sweep removes unreferenced files older than the grace period', async () => {
+  pads.set('live', fakePad({text: `download?file=${id(4)}`, revisions: [`download?file=${id(5)}`]}));
+  const adapter = fakeAdapter([
+    [`u/live/${id(4)}`, 30 * DAY_MS], // linked
+    [`u/live/${id(5)}`, 30 * DAY_MS], // linked from history
+    [`u/live/${id(6)}`, 30 * DAY_MS], // unreferenced
+    [`u/live/${id(7)}`, 1 * DAY_MS], // unreferenced but recent
+    [`u/deleted/${id(8)}`, 30 * DAY_MS], // pad no longer exists
+    [`quarantine/u/live/${id(9)}`, 30 * DAY_MS],
+  ]);
+  // Abandoned upload: a record without an object
+  await attachments.create({padId: 'live', fileId: id(3), key: `u/live/${id(3)}`, createdAt: Date.now() - 30 * DAY_MS});
+  const run = (action) => cleanup.sweep({adapter, storageCfg: {keyPrefix: 'u/'}, sweepCfg: {graceDays: 7, action}, logger: silentLogger});
+
+  const report = await run('report');
+  assert.deepEqual(report.unreferenced.map((file) => file.fileId).sort(), [id(3), id(6), id(8)]);
+  assert.equal(report.deleted, 0);
+  assert.equal(adapter.objects.size, 6);
+
+  const result = await run('delete');
+  assert.equal(result.deleted, 3);
+  assert.deepEqual([...adapter.objects.keys()].sort(),
+      [`quarantine/u/live/${id(9)}`, `u/live/${id(4)}`, `u/live/${id(5)}`, `u/live/${id(7)}`]);
+  assert.equal(await attachments.get('live', id(3)), null);
+});
+
+test('the sweep keeps or removes all versions of a file together', async () => {
+  pads.set('versions', fakePad({text: `download?file=${id(1)}`}));
+  const adapter = fakeAdapter([
+    [`u/versions/${id(1)}`, 30 * DAY_MS],
+    [`u/versions/${id(2)}`, 30 * DAY_MS],
+    [`u/versions/${id(3)}`, 30 * DAY_MS],
+    [`u/versions/${id(4)}`, 30 * DAY_MS],
+  ]);
+  const old = Date.now() - 30 * DAY_MS;
+  // id(1) is linked and on its second version; id(3) is not linked
+  await attachments.create({padId: 'versions', fileId: id(1), key: `u/versions/${id(2)}`, createdAt: old, versions: [{version: 1, key: `u/versions/${id(1)}`}]});
+  await attachments.create({padId: 'versions', fileId: id(3), key: `u/versions/${id(4)}`, createdAt: old, versions: [{version: 1, key: `u/versions/${id(3)}`}]});
+
+  const result = await cleanup.sweep({adapter, storageCfg: {keyPrefix: 'u/'}, sweepCfg: {graceDays: 7, action: 'delete'}, logger: silentLogger});
+  assert.deepEqual(result.unreferenced.map((file) => file.fileId), [id(3)]);
+  assert.deepEqual([...adapter.objects.keys()].sort(), [`u/versions/${id(1)}`, `u/versions/${id(2)}`]);
+  assert.equal(await attachments.get('versions', id(3)), null);
+});
+
+test('the sweep leaves tombstones of deleted files alone', async () => {
+  pads.set('tombstones', fakePad({}));
+  const adapter = fakeAdapter([[`u/tombstones/${id(2)}`, 30 * DAY_MS]]);
+  const old = Date.now() - 30 * DAY_MS;
+  await attachments.create({padId: 'tombstones', fileId: id(1), key: `u/tombstones/${id(1)}`, createdAt: old});
+  await attachments.markDeleted(await attachments.get('tombstones', id(1)), 'a.uploader');
+  // An object left behind by a failed delete is still swept
+  await attachments.create({padId: 'tombstones', fileId: id(2), key: `u/tombstones/${id(2)}`, createdAt: old});
+  await attachments.markDeleted(await attachments.get('tombstones', id(2)), 'a.uploader');
+
+  const result = await cleanup.sweep({adapter, storageCfg: {keyPrefix: 'u/'}, sweepCfg: {graceDays: 7, action: 'delete'}, logger: silentLogger});
+  assert.deepEqual(result.unreferenced.filter((file) => file.padId === 'tombstones'), [{padId: 'tombstones', fileId: id(2), key: `u/tombstones/${id(2)}`, size: 1}]);
+  assert.equal(adapter.objects.size, 0);
+  assert.equal((await attachments.get('tombstones', id(1))).status, attachments.STATUS_DELETED);
+  assert.equal((await attachments.get('tombstones', id(2))).status, attachments.STATUS_DELETED);
+});
+
+test('the sweep reads only pads with files, and their history only until all are found', async () => {
+  const reads = {early: 0, nofiles: 0};
+  const countingPad = (name, revisions) => ({
+    ...fakePad({revisions}),
+    getRevisionChangeset: async (rev) => { reads[name]++; return revisions[rev]; },
+  });
+  pads.set('early', countingPad('early', [`download?file=${id(1)}`, 'more text', 'even more']));
+  pads.set('nofiles', countingPad('nofiles', [`download?file=${id(2)}`, 'text']));
+  const adapter = fakeAdapter([[`v/early/${id(1)}`, 30 * DAY_MS]]);
+
+  const result = await cleanup.sweep({adapter, storageCfg: {keyPrefix: 'v/'}, sweepCfg: {graceDays: 7, action: 'report'}, logger: silentLogger});
+  assert.deepEqual(result.unreferenced.filter((file) => file.padId === 'early'), []);
+  assert.deepEqual(reads, {early: 1, nofiles: 0});
+});
@@ -0,0 +1,43 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const {buildContentDisposition, filenameFromDisposition, sanitizeFilename} = require('../lib/filename');
+
+test('Unicode filenames get an ASCII fallback and an RFC 5987 name', () => {
+  assert.equal(buildContentDisposition('attachment', 'Quarterly Report – März.pdf'),
+      'attachment; filename="Quarterly Report _ Marz.pdf"; ' +
+      "filename*=UTF-8''Quarterly%20Report%20%E2%80%93%20M%C3%A4rz.pdf");
+  assert.equal(buildContentDisposition('inline', '会议记录.mp3'),
+      "inline; filename=\"____.mp3\"; filename*=UTF-8''%E4%BC%9A%E8%AE%AE%E8%AE%B0%E5%BD%95.mp3");
+  // Plain ASCII names need no extended parameter
+  assert.equal(buildContentDisposition('attachment', 'notes (final).txt'), 'attachment; filename="notes (final).txt"');
+  assert.equal(buildContentDisposition('attachment', "it's 100%.txt"),
+      "attachment; filename=\"it's 100_.txt\"; filename*=UTF-8''it%27s%20100%25.txt");
+});
+
+test('header injection and disguised names are neutralised', () => {
+  const header = buildContentDisposition('attachment', 'a"\r\nSet-Cookie: x=1;.pdf');
+  assert.doesNotMatch(header, /[\r\n]/);
+  assert.equal(header, 'attachment; filename="a_Set-Cookie: x=1;.pdf"; ' +
+      "filename*=UTF-8''a%22Set-Cookie%3A%20x%3D1%3B.pdf");
+  assert.equal(sanitizeFilename('invoice\u202Efdp.exe'), 'invoicefdp.exe');
+  assert.equal(sanitizeFilename('C:\\Users\\me\\..\\report.pdf'), 'report.pdf');
+  assert.equal(sanitizeFilename('/etc/passwd'), 'passwd');
+  assert.equal(sanitizeFilename('\u0000'), '');
+
+  const long = sanitizeFilename(`${'é'.repeat(300)}.pdf`);
+  assert.equal([...long].length, 255);
+  assert.ok(long.endsWith('é.pdf'));
+});
+
+test('filenames are recovered from stored headers', () => {
+  for (const name of ['Quarterly Report – März.pdf', '会议记录.mp3', 'plain.txt']) {
+    assert.equal(filenameFromDisposition(buildContentDisposition('attachment', name)), name);
+  }
+  // Headers written before filename* was used
+  assert.equal(filenameFromDisposition('attachment; filename="Quarterly_Report.pdf"'), 'Quarterly_Report.pdf');
+  assert.equal(filenameFromDisposition("attachment; filename=\"x.pdf\"; filename*=UTF-8''%E0%A4%A.pdf"), 'x.pdf');
+  assert.equal(filenameFromDisposition(null), null);
+});
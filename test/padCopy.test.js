@@ -0,0 +1,101 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const attachments = require('../lib/attachments');
+const padCopy = require('../lib/padCopy');
+
+const silentLogger = {info: () => {}, warn: () => {}, error: () => {}};
+const id = (n) => `${String(n).repeat(8)}-e5f6-7890-abcd-ef1234567890.png`;
+const link = (padId, fileId) => `/p/${encodeURIComponent(padId)}/pluginfw/ep_media_upload/download?file=${fileId}`;
+
+test('copying a pad copies its confirmed files and records', async () => {
+  const objects = new Set([`u/src/${id(1)}`, `u/src/${id(2)}`, `u/src/${id(3)}`, `u/other/${id(4)}`]);
+  const adapter = {
+    listObjects: async (prefix) => [...objects].filter((key) => key.startsWith(prefix)).map((key) => ({key})),
+    copy: async (from, to) => { objects.add(to); },
+  };
+  await attachments.create({padId: 'src', fileId: id(1), key: `u/src/${id(1)}`, status: attachments.STATUS_AVAILABLE, scan: {status: 'clean'}});
+  await attachments.create({padId: 'src', fileId: id(2), key: `u/src/${id(2)}`, status: attachments.STATUS_UPLOADING});
+
+  const copied = await padCopy.copyPadAttachments({
+    adapter, storageCfg: {keyPrefix: 'u/'}, srcPadId: 'src', dstPadId: 'dst', logger: silentLogger,
+  });
+  // id(3) has no record: uploaded before records existed
+  assert.deepEqual([...copied].sort(), [id(1), id(3)]);
+  assert.ok(objects.has(`u/dst/${id(1)}`) && objects.has(`u/dst/${id(3)}`) && !objects.has(`u/dst/${id(2)}`));
+  const record = await attachments.get('dst', id(1));
+  assert.equal(record.key, `u/dst/${id(1)}`);
+  assert.deepEqual(record.scan, {status: 'clean'});
+  assert.equal(await attachments.get('dst', id(3)), null);
+});
+
+test('copying a pad copies every version of a replaced file', async () => {
+  const objects = new Set([`u/vsrc/${id(1)}`, `u/vsrc/${id(2)}`, `u/vsrc/${id(3)}`]);
+  const adapter = {
+    listObjects: async (prefix) => [...objects].filter((key) => key.startsWith(prefix)).map((key) => ({key})),
+    copy: async (from, to) => { objects.add(to); },
+  };
+  // id(1) is on its third version, stored as id(3)
+  await attachments.create({
+    padId: 'vsrc', fileId: id(1), key: `u/vsrc/${id(3)}`, version: 3, status: attachments.STATUS_AVAILABLE,
+    versions: [{version: 1, key: `u/vsrc/${id(1)}`}, {version: 2, key: `u/vsrc/${id(2)}`}],
+  });
+
+  const copied = await padCopy.copyPadAttachments({
+    adapter, storageCfg: {keyPrefix: 'u/'}, srcPadId: 'vsrc', dstPadId: 'vdst', logger: silentLogger,
+  });
+  assert.deepEqual([...copied], [id(1)]);
+  assert.deepEqual([...objects].filter((key) => key.startsWith('u/vdst/')).sort(),
+      [`u/vdst/${id(1)}`, `u/vdst/${id(2)}`, `u/vdst/${id(3)}`]);
+  const record = await attachments.get('vdst', id(1));
+  assert.equal(record.key, `u/vdst/${id(3)}`);
+  assert.deepEqual(record.versions, [{version: 1, key: `u/vdst/${id(1)}`}, {version: 2, key: `u/vdst/${id(2)}`}]);
+});
+
+test('copying a pad copies tombstones of deleted files', async () => {
+  const adapter = {listObjects: async () => [], copy: async () => { throw new Error('nothing to copy'); }};
+  await attachments.create({padId: 'tsrc', fileId: id(1), status: attachments.STATUS_DELETED, deletedBy: 'a.1', createdAt: 5});
+
+  const copied = await padCopy.copyPadAttachments({
+    adapter, storageCfg: {keyPrefix: 'u/'}, srcPadId: 'tsrc', dstPadId: 'tdst', logger: silentLogger,
+  });
+  // Links to it are rewritten, so they keep saying the file was removed
+  assert.deepEqual([...copied], [id(1)]);
+  const record = await attachments.get('tdst', id(1));
+  assert.equal(record.status, attachments.STATUS_DELETED);
+  assert.equal(record.createdAt, 5);
+});
+
+test('links to copied files are rewritten in the destination pool', async () => {
+  const attribs = [
+    ['hyperlink', link('my pad', id(1))],
+    ['hyperlink', `https://pad.example${link('my pad', id(2))}`],
+    ['hyperlink', link('my pad', id(5))], // not copied
+    ['hyperlink', link('elsewhere', id(1))],
+    ['bold', 'true'],
+    ['hyperlink', `${link('r.source', id(2))}&version=1`],
+  ];
+  let saved = 0;
+  const pad = {
+    pool: {
+      numToAttrib: Object.fromEntries(attribs.map((attrib, i) => [i, attrib])),
+      attribToNum: Object.fromEntries(attribs.map((attrib, i) => [String(attrib), i])),
+    },
+    saveToDatabase: async () => { saved++; },
+  };
+
+  assert.equal(await padCopy.rewritePadLinks(pad, ['my pad', 'r.source'], 'r.copy', new Set([id(1), id(2)])), 3);
+  assert.deepEqual(Object.values(pad.pool.numToAttrib), [
+    ['hyperlink', link('r.copy', id(1))],
+    ['hyperlink', `https://pad.example${link('r.copy', id(2))}`],
+    attribs[2],
+    attribs[3],
+    attribs[4],
+    ['hyperlink', `${link('r.copy', id(2))}&version=1`],
+  ]);
+  assert.equal(pad.pool.attribToNum[String(['hyperlink', link('r.copy', id(1))])], 0);
+  assert.equal(pad.pool.attribToNum[String(attribs[0])], undefined);
+  assert.equal(saved, 1);
+});
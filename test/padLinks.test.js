@@ -0,0 +1,111 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+
+// Records builder operations and applies them to the old text, standing in
+// for Etherpad's Changeset module
+const fakeChangeset = {
+  builder: (oldLen) => {
+    const ops = [];
+    const builder = {
+      keep: (n, lines) => { ops.push({op: 'keep', n, lines}); return builder; },
+      insert: (text, attribs) => { ops.push({op: 'insert', text, attribs}); return builder; },
+      toString: () => ({oldLen, ops}),
+    };
+    return builder;
+  },
+};
+
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/static/js/Changeset') return fakeChangeset;
+  return originalLoad.call(this, request, parent, isMain);
+};
+const {buildDownloadUrl, downloadLinkPattern, insertLinkLine, rewriteLinkPadInPool} = require('../lib/padLinks');
+Module._load = originalLoad;
+
+const fakePad = (text) => {
+  const pad = {
+    pool: {},
+    revisions: [],
+    text: () => text,
+    appendRevision: async (cs, authorId) => {
+      assert.equal(cs.oldLen, text.length);
+      let position = 0;
+      for (const {op, n, lines, text: inserted} of cs.ops) {
+        if (op === 'keep') {
+          assert.equal(text.slice(position, position + n).split('\n').length - 1, lines);
+          position += n;
+        } else {
+          text = text.slice(0, position) + inserted + text.slice(position);
+          position += inserted.length;
+        }
+      }
+      assert.ok(text.endsWith('\n'));
+      pad.revisions.push({cs, authorId});
+    },
+  };
+  return pad;
+};
+
+const link = '\u200BReport.pdf\u200B';
+const url = '/p/test/pluginfw/ep_media_upload/download?file=abc.pdf';
+
+test('links are inserted as a new line before the given line', async () => {
+  const pad = fakePad('first\nsecond\nthird\n');
+  assert.equal(await insertLinkLine(pad, {line: 2, url, text: 'Report.pdf', authorId: 'a.api'}), 2);
+  assert.equal(pad.text(), `first\n${link}\nsecond\nthird\n`);
+  assert.equal(pad.revisions[0].authorId, 'a.api');
+  const linked = pad.revisions[0].cs.ops.find((op) => op.text === 'Report.pdf');
+  assert.deepEqual(linked.attribs, [['author', 'a.api'], ['hyperlink', url]]);
+
+  const top = fakePad('only\n');
+  assert.equal(await insertLinkLine(top, {line: 1, url, text: 'Report.pdf'}), 1);
+  assert.equal(top.text(), `${link}\nonly\n`);
+  assert.equal(top.revisions[0].authorId, '');
+});
+
+test('lines past the end of the pad append the link', async () => {
+  const pad = fakePad('first\nsecond\n');
+  assert.equal(await insertLinkLine(pad, {line: 99, url, text: 'Report.pdf'}), 3);
+  assert.equal(pad.text(), `first\nsecond\n${link}\n`);
+  // The final newline is never kept behind an insertion
+  assert.deepEqual(pad.revisions[0].cs.ops[0], {op: 'keep', n: 12, lines: 1});
+});
+
+test('read-only pools get links through the read-only pad ID', () => {
+  const shared = ['hyperlink', '/p/my%20pad/pluginfw/ep_media_upload/download?file=a.pdf'];
+  const pool = {numToAttrib: {
+    0: ['author', 'a.x'],
+    1: shared,
+    2: ['hyperlink', '/p/my pad/pluginfw/ep_media_upload/download?file=b.png'],
+    3: ['hyperlink', '/p/other/pluginfw/ep_media_upload/download?file=c.pdf'],
+    4: ['hyperlink', 'https://example.org/p/my%20pad'],
+  }};
+  assert.equal(rewriteLinkPadInPool(pool, 'my pad', 'r.0123abcd'), 2);
+  assert.deepEqual(pool.numToAttrib, {
+    0: ['author', 'a.x'],
+    1: ['hyperlink', '/p/r.0123abcd/pluginfw/ep_media_upload/download?file=a.pdf'],
+    2: ['hyperlink', '/p/r.0123abcd/pluginfw/ep_media_upload/download?file=b.png'],
+    3: ['hyperlink', '/p/other/pluginfw/ep_media_upload/download?file=c.pdf'],
+    4: ['hyperlink', 'https://example.org/p/my%20pad'],
+  });
+  // The pad's own pool may share the attribute arrays
+  assert.equal(shared[1], '/p/my%20pad/pluginfw/ep_media_upload/download?file=a.pdf');
+});
+
+test('download links are built and matched through pad and read-only IDs', () => {
+  assert.equal(buildDownloadUrl('my pad', 'a.pdf'), '/p/my%20pad/pluginfw/ep_media_upload/download?file=a.pdf');
+  assert.equal(buildDownloadUrl('r.0123abcd', 'a.pdf', 2), '/p/r.0123abcd/pluginfw/ep_media_upload/download?file=a.pdf&version=2');
+
+  const text = 'https://pad.example/p/my%20pad/pluginfw/ep_media_upload/download?file=a.pdf&version=2 ' +
+    '/p/r.0123abcd/pluginfw/ep_media_upload/download?file=b.png /p/other/pluginfw/ep_media_upload/download?file=c.pdf';
+  const fileIds = (pattern) => [...text.matchAll(pattern)].map((match) => match[1]);
+  assert.deepEqual(fileIds(downloadLinkPattern()), ['a.pdf', 'b.png', 'c.pdf']);
+  assert.deepEqual(fileIds(downloadLinkPattern({padIds: ['my pad', 'r.0123abcd']})), ['a.pdf', 'b.png']);
+  assert.equal([...text.matchAll(downloadLinkPattern({withOrigin: true}))][0][0],
+      'https://pad.example/p/my%20pad/pluginfw/ep_media_upload/download?file=a.pdf');
+  assert.equal([...text.matchAll(downloadLinkPattern())][0][0], '/p/my%20pad/pluginfw/ep_media_upload/download?file=a.pdf');
+});
@@ -0,0 +1,57 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+
+const registered = {};
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/static/js/pluginfw/hooks') {
+    return {aCallAll: async (hookName, context) => {
+      const results = [];
+      for (const fn of registered[hookName] || []) results.push(await fn(hookName, context));
+      return results.filter((result) => result !== undefined);
+    }};
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+const pluginHooks = require('../lib/pluginHooks');
+Module._load = originalLoad;
+
+test('hooks can refuse an action, with or without a message', async () => {
+  registered.ep_media_upload_beforeUpload = [
+    (hookName, context) => { context.metadata.retention = 'short'; },
+    (hookName, context) => (context.mimeType === 'application/zip' ? 'No archives' : undefined),
+  ];
+  const context = {mimeType: 'text/plain', metadata: {}};
+  assert.equal(await pluginHooks.callVetoHook('ep_media_upload_beforeUpload', context, 'Upload refused'), null);
+  assert.deepEqual(context.metadata, {retention: 'short'});
+  assert.equal(await pluginHooks.callVetoHook('ep_media_upload_beforeUpload', {mimeType: 'application/zip', metadata: {}}, 'Upload refused'),
+      'No archives');
+
+  registered.ep_media_upload_beforeDownload = [() => true, () => false];
+  assert.equal(await pluginHooks.callVetoHook('ep_media_upload_beforeDownload', {}, 'Download refused'), 'Download refused');
+  // A hook that throws fails the action
+  registered.ep_media_upload_beforeDownload = [() => { throw new Error('policy service down'); }];
+  await assert.rejects(pluginHooks.callVetoHook('ep_media_upload_beforeDownload', {}, 'Download refused'), /policy service down/);
+});
+
+test('errors in notification hooks are only logged', async () => {
+  const seen = [];
+  registered.ep_media_upload_afterUploadConfirmed = [
+    (hookName, context) => { seen.push(context.fileId); },
+    () => { throw new Error('webhook failed'); },
+  ];
+  const originalError = console.error;
+  const logged = [];
+  console.error = (...args) => logged.push(args);
+  try {
+    pluginHooks.callNotifyHook('ep_media_upload_afterUploadConfirmed', {fileId: 'abc.pdf'});
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepEqual(seen, ['abc.pdf']);
+  assert.match(String(logged[0][0]), /ep_media_upload_afterUploadConfirmed hook failed/);
+});
@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+
+const attachments = require('../lib/attachments');
+const quota = require('../lib/quota');
+
+const id = (n) => `${String(n).repeat(8)}-e5f6-7890-abcd-ef1234567890.pdf`;
+
+test('quota settings ignore unset and invalid limits', () => {
+  assert.equal(quota.getQuotaSettings({}), null);
+  assert.equal(quota.getQuotaSettings({quotas: {pad: {maxBytes: -1}, author: {maxFiles: 'many'}}}), null);
+  assert.deepEqual(quota.getQuotaSettings({quotas: {pad: {maxFiles: 0}, group: {maxBytes: 100}}}), {
+    pad: {maxBytes: null, maxFiles: 0},
+    author: null,
+    group: {maxBytes: 100, maxFiles: null},
+  });
+  assert.equal(quota.getGroupId('g.s8oes9dhwrvt0zif$notes'), 'g.s8oes9dhwrvt0zif');
+  assert.equal(quota.getGroupId('notes'), null);
+});
+
+test('usage counts confirmed files and recent uploads per scope', async () => {
+  const group = 'g.quotagroup0001';
+  const now = Date.now();
+  const records = [
+    {padId: `${group}$a`, fileId: id(1), authorId: 'a.alice', size: 100, status: attachments.STATUS_AVAILABLE},
+    {padId: `${group}$a`, fileId: id(2), authorId: 'a.bob', size: 40, status: attachments.STATUS_UPLOADING},
+    // Abandoned upload: no longer counted
+    {padId: `${group}$a`, fileId: id(3), authorId: 'a.alice', size: 1000, status: attachments.STATUS_UPLOADING, createdAt: now - 2 * 24 * 60 * 60 * 1000},
+    {padId: `${group}$b`, fileId: id(4), authorId: 'a.alice', size: 7, status: attachments.STATUS_AVAILABLE},
+    {padId: 'quota-elsewhere', fileId: id(5), authorId: 'a.alice', size: 3, status: attachments.STATUS_AVAILABLE},
+  ];
+  for (const record of records) await attachments.create({key: `${record.padId}/${record.fileId}`, ...record});
+
+  const quotaCfg = quota.getQuotaSettings({
+    quotas: {pad: {maxFiles: 2}, author: {maxBytes: 120}, group: {maxBytes: 1000}},
+  });
+  const usage = await quota.getUsage({padId: `${group}$a`, authorId: 'a.alice', quotaCfg});
+  assert.deepEqual(usage, [
+    {scope: 'pad', usedBytes: 140, usedFiles: 2, maxBytes: null, maxFiles: 2},
+    {scope: 'author', usedBytes: 110, usedFiles: 3, maxBytes: 120, maxFiles: null},
+    {scope: 'group', usedBytes: 147, usedFiles: 3, maxBytes: 1000, maxFiles: null},
+  ]);
+  assert.equal(quota.findExceeded(usage, 1).scope, 'pad');
+
+  // Outside a group and without a known author only the pad quota applies
+  const padOnly = await quota.getUsage({padId: 'quota-elsewhere', authorId: 'unknown', quotaCfg});
+  assert.deepEqual(padOnly.map((entry) => entry.scope), ['pad']);
+  assert.equal(quota.findExceeded(padOnly, 10), null);
+  quota.addUsage(padOnly, 10);
+  assert.deepEqual(quota.findExceeded(padOnly, 0), {scope: 'pad', usedBytes: 13, usedFiles: 2, maxBytes: null, maxFiles: 2});
+  // A new version of an existing file is not another file
+  assert.equal(quota.findExceeded(padOnly, 0, 0), null);
+});
+
+test('earlier versions count towards bytes and new versions are not files', async () => {
+  const padId = 'quota-versions';
+  await attachments.create({
+    padId, fileId: id(6), key: `${padId}/${id(7)}`, size: 30, status: attachments.STATUS_AVAILABLE,
+    versions: [{version: 1, key: `${padId}/${id(6)}`, size: 20}],
+  });
+  // A new version on its way
+  await attachments.create({padId, fileId: id(8), key: `${padId}/${id(8)}`, size: 5, replaces: id(6), status: attachments.STATUS_UPLOADING});
+
+  const [usage] = await quota.getUsage({padId, quotaCfg: quota.getQuotaSettings({quotas: {pad: {maxFiles: 1}}})});
+  assert.equal(usage.usedBytes, 55);
+  assert.equal(usage.usedFiles, 1);
+});
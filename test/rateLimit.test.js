@@ -0,0 +1,66 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const test = require('node:test');
+
+const registered = [];
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/static/js/pluginfw/hooks') {
+    return {aCallAll: async (hookName, context) => registered.forEach(([type, factory]) => context.registerStore(type, factory))};
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+const rateLimit = require('../lib/rateLimit');
+Module._load = originalLoad;
+
+// Stores are collected from the hook once, on first use
+const hits = [];
+registered.push(['shared', () => ({increment: async (key, windowMs) => {
+  hits.push([key, windowMs]);
+  return {count: 99, resetAt: Date.now() + windowMs};
+}})], ['broken', () => ({})]);
+
+const request = (forwardedFor, remoteAddress, ip) => ({headers: {'x-forwarded-for': forwardedFor}, socket: {remoteAddress}, ip});
+
+test('routes have separate budgets per IP and per author', async () => {
+  const rateCfg = rateLimit.getRateLimitSettings({
+    rateLimit: {upload: {perIp: 3, perAuthor: 2}, download: {perIp: 0}},
+  });
+  assert.equal(rateCfg.routes.import.perIp, 10);
+  assert.equal(rateCfg.routes.download.perIp, null);
+
+  const alice = {clientIp: '192.0.2.1', authorId: 'a.alice'};
+  const bob = {clientIp: '192.0.2.1', authorId: 'a.bob'};
+  assert.equal(await rateLimit.check(rateCfg, 'upload', alice), null);
+  assert.equal(await rateLimit.check(rateCfg, 'upload', alice), null);
+  const exceeded = await rateLimit.check(rateCfg, 'upload', alice);
+  assert.equal(exceeded.scope, 'author');
+  assert.ok(exceeded.retryAfter >= 1 && exceeded.retryAfter <= 60);
+  // Bob shares Alice's IP, whose budget is now used up
+  assert.equal((await rateLimit.check(rateCfg, 'upload', bob)).scope, 'ip');
+  // Downloads are counted separately, and unlimited here
+  for (let i = 0; i < 50; i++) assert.equal(await rateLimit.check(rateCfg, 'download', alice), null);
+});
+
+test('plugins register counter stores through the server hook', async () => {
+  const rateCfg = rateLimit.getRateLimitSettings({rateLimit: {store: {type: 'shared'}, import: {windowSeconds: 30}}});
+  assert.equal((await rateLimit.check(rateCfg, 'import', {clientIp: '192.0.2.9', authorId: 'unknown'})).scope, 'ip');
+  assert.deepEqual(hits, [['import:ip:192.0.2.9', 30000]]);
+  await assert.rejects(rateLimit.getStore({type: 'broken'}), {code: 'ERATELIMITCONFIG'});
+  await assert.rejects(rateLimit.getStore({type: 'missing'}), {code: 'ERATELIMITCONFIG'});
+  assert.throws(() => rateLimit.registerStore('memory', () => ({})));
+});
+
+test('X-Forwarded-For is only believed as far as the trusted proxies', () => {
+  const req = request('203.0.113.7, 198.51.100.2, 10.0.0.9', '::ffff:10.0.0.5', '203.0.113.7');
+  assert.equal(rateLimit.getClientIp(req, undefined), '203.0.113.7'); // Etherpad's req.ip
+  assert.equal(rateLimit.getClientIp(req, false), '10.0.0.5');
+  assert.equal(rateLimit.getClientIp(req, 2), '198.51.100.2');
+  assert.equal(rateLimit.getClientIp(req, 10), '203.0.113.7');
+  assert.equal(rateLimit.getClientIp(req, ['10.0.0.0/8']), '198.51.100.2');
+  assert.equal(rateLimit.getClientIp(req, true), '203.0.113.7');
+  // A forged header from a client that is not a trusted proxy is ignored
+  assert.equal(rateLimit.getClientIp(request('10.0.0.1', '198.51.100.4'), ['10.0.0.0/8']), '198.51.100.4');
+});
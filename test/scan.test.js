@@ -0,0 +1,128 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const net = require('node:net');
+const {Readable} = require('node:stream');
+const test = require('node:test');
+
+const dbRecords = new Map();
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/node/db/DB') {
+    return {get: async (key) => dbRecords.get(key), set: async (key, value) => { dbRecords.set(key, value); }};
+  }
+  return originalLoad.call(this, request, parent, isMain);
+};
+const attachments = require('../lib/attachments');
+const scan = require('../lib/scan');
+Module._load = originalLoad;
+
+const silentLogger = {info: () => {}, warn: () => {}, error: () => {}};
+
+// Minimal clamd: decodes INSTREAM chunks and flags bodies containing "EICAR"
+const startFakeClamd = async () => {
+  const received = [];
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let body = Buffer.alloc(0);
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (buffer.subarray(0, 10).toString() === 'zINSTREAM\0') buffer = buffer.subarray(10);
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (buffer.length < 4 + length) return;
+        if (length === 0) {
+          received.push(body);
+          socket.end(body.includes('EICAR') ? 'stream: Eicar-Test-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        body = Buffer.concat([body, buffer.subarray(4, 4 + length)]);
+        buffer = buffer.subarray(4 + length);
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {server, received, scanCfg: {host: '127.0.0.1', port: server.address().port}};
+};
+
+test('scan settings require a clamd socket or host', () => {
+  assert.equal(scan.getScanSettings({}), null);
+  assert.equal(scan.getScanSettings({scan: {port: 3310}}), null);
+  assert.equal(scan.getScanSettings({scan: {host: 'clamd', enabled: false}}), null);
+  assert.deepEqual(scan.getScanSettings({scan: {socket: '/run/clamd.ctl'}}), {socket: '/run/clamd.ctl'});
+});
+
+test('clamd replies are parsed into verdicts', () => {
+  assert.deepEqual(scan.parseClamdReply('stream: OK\0'), {infected: false});
+  assert.deepEqual(scan.parseClamdReply('stream: Win.Test.EICAR_HDB-1 FOUND\0'), {infected: true, signature: 'Win.Test.EICAR_HDB-1'});
+  assert.throws(() => scan.parseClamdReply('INSTREAM size limit exceeded. ERROR\0'), {code: 'ESCANFAILED'});
+  assert.throws(() => scan.parseClamdReply(''), {code: 'ESCANFAILED'});
+});
+
+test('files are streamed to clamd with INSTREAM framing', async (t) => {
+  const clamd = await startFakeClamd();
+  t.after(() => clamd.server.close());
+
+  const large = Buffer.alloc(200 * 1024, 'a');
+  assert.deepEqual(await scan.scanStream(Readable.from([large]), clamd.scanCfg), {infected: false});
+  assert.equal(clamd.received[0].length, large.length);
+  assert.deepEqual(await scan.scanStream(Readable.from([Buffer.from('xx EICAR xx')]), clamd.scanCfg),
+      {infected: true, signature: 'Eicar-Test-Signature'});
+});
+
+test('an unreachable scanner is reported as a scan failure', async () => {
+  const server = net.createServer();
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const {port} = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  await assert.rejects(scan.scanStream(Readable.from([Buffer.from('x')]), {host: '127.0.0.1', port}), {code: 'ESCANFAILED'});
+});
+
+test('scan verdicts are recorded on attachment records', async (t) => {
+  const clamd = await startFakeClamd();
+  t.after(() => clamd.server.close());
+  for (const fileId of ['clean.txt', 'bad.txt', 'missing.txt']) {
+    await attachments.create({padId: 'pad', fileId, key: `pad/${fileId}`, status: attachments.STATUS_AVAILABLE});
+  }
+  const bodies = {'pad/clean.txt': 'hello', 'pad/bad.txt': 'EICAR'};
+  const adapter = {createReadStream: async (key) => Readable.from([Buffer.from(bodies[key])])};
+  const run = (fileId) => scan.startScan({adapter, key: `pad/${fileId}`, padId: 'pad', fileId, scanCfg: clamd.scanCfg, logger: silentLogger});
+
+  const pending = run('clean.txt');
+  assert.equal(run('clean.txt'), pending);
+  assert.equal(scan.isScanInFlight('pad', 'clean.txt'), true);
+  assert.equal((await pending).status, scan.VERDICT_CLEAN);
+  assert.equal(scan.isScanInFlight('pad', 'clean.txt'), false);
+  assert.equal((await scan.getVerdict('pad', 'clean.txt')).status, scan.VERDICT_CLEAN);
+  assert.equal((await attachments.get('pad', 'clean.txt')).status, attachments.STATUS_AVAILABLE);
+
+  assert.equal((await run('bad.txt')).status, scan.VERDICT_INFECTED);
+  assert.equal((await scan.getVerdict('pad', 'bad.txt')).signature, 'Eicar-Test-Signature');
+  assert.equal((await run('missing.txt')).status, scan.VERDICT_ERROR);
+  assert.equal(await scan.getVerdict('other', 'clean.txt'), null);
+});
+
+test('verdicts are recorded on the version that was scanned', async (t) => {
+  const clamd = await startFakeClamd();
+  t.after(() => clamd.server.close());
+  await attachments.create({
+    padId: 'pad', fileId: 'doc.txt', key: 'pad/v2.txt', status: attachments.STATUS_AVAILABLE, version: 2,
+    versions: [{version: 1, key: 'pad/doc.txt'}],
+  });
+  const bodies = {'pad/doc.txt': 'EICAR', 'pad/v2.txt': 'hello'};
+  const adapter = {createReadStream: async (key) => Readable.from([Buffer.from(bodies[key])])};
+  const run = (key) => scan.startScan({adapter, key, padId: 'pad', fileId: 'doc.txt', scanCfg: clamd.scanCfg, logger: silentLogger});
+
+  // Scans of two versions of one file run side by side
+  const [earlier, current] = await Promise.all([run('pad/doc.txt'), run('pad/v2.txt')]);
+  assert.equal(earlier.status, scan.VERDICT_INFECTED);
+  assert.equal(current.status, scan.VERDICT_CLEAN);
+  const record = await attachments.get('pad', 'doc.txt');
+  assert.equal(record.scan.status, scan.VERDICT_CLEAN);
+  assert.equal(record.versions[0].scan.status, scan.VERDICT_INFECTED);
+
+  // A version that is gone meanwhile gets no verdict
+  await run('pad/v1-deleted.txt');
+  assert.equal((await attachments.get('pad', 'doc.txt')).versions.length, 1);
+});
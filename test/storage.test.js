@@ -0,0 +1,126 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const Module = require('node:module');
+const os = require('node:os');
+const path = require('node:path');
+const {Readable} = require('node:stream');
+const test = require('node:test');
+
+const registered = [];
+const originalLoad = Module._load;
+Module._load = function(request, parent, isMain) {
+  if (request === 'ep_etherpad-lite/static/js/pluginfw/hooks') {
+    return {aCallAll: async (hookName, context) => registered.forEach(([type, factory]) => context.registerAdapter(type, factory))};
+  }
+  if (request === '@aws-sdk/client-s3') return {};
+  if (request === '@aws-sdk/s3-request-presigner') return {};
+  return originalLoad.call(this, request, parent, isMain);
+};
+const storage = require('../lib/storage');
+const local = require('../lib/storage/local');
+Module._load = originalLoad;
+
+const memoryAdapter = () => ({
+  createUploadTarget: async () => ({signedUrl: 'memory://upload'}),
+  resolveDownload: async () => ({redirectUrl: 'memory://download'}),
+  stat: async () => null,
+  delete: async () => {},
+});
+
+test('plugins register storage adapters through the server hook', async () => {
+  registered.push(['memory', memoryAdapter], ['broken', () => ({stat: async () => null})]);
+  const storageCfg = {type: 'memory'};
+  const adapter = await storage.getAdapter(storageCfg);
+  assert.deepEqual(await adapter.createUploadTarget({}), {signedUrl: 'memory://upload'});
+  assert.equal(await storage.getAdapter(storageCfg), adapter);
+  assert.equal(await storage.getAdapter({type: 'unknown'}), null);
+  assert.equal(await storage.getAdapter(undefined), null);
+  await assert.rejects(storage.getAdapter({type: 'broken'}), {code: 'ESTORAGECONFIG'});
+});
+
+test('built-in adapters validate their configuration and cannot be replaced', async () => {
+  await assert.rejects(storage.getAdapter({type: 'local'}), {code: 'ESTORAGECONFIG', message: /missing directory/});
+  await assert.rejects(storage.getAdapter({type: 's3_presigned', bucket: 'b', region: 'r'}), {code: 'ESTORAGECONFIG', message: /AWS SDK/});
+  assert.throws(() => storage.registerAdapter('local', memoryAdapter), /built in/);
+});
+
+test('local upload signatures bind key, expiry, size and headers', () => {
+  const upload = {
+    key: 'uploads/pad/a.pdf',
+    expiresAt: Math.floor(Date.now() / 1000) + 60,
+    contentLength: 1024,
+    contentType: 'application/pdf',
+    contentDisposition: 'attachment; filename="a.pdf"',
+  };
+  const signature = local.signLocalUpload('secret', upload);
+  assert.equal(local.isValidLocalUploadSignature('secret', upload, signature), true);
+  assert.equal(local.isValidLocalUploadSignature('secret', {...upload, contentLength: '1024'}, signature), true);
+  assert.equal(local.isValidLocalUploadSignature('other', upload, signature), false);
+  assert.equal(local.isValidLocalUploadSignature('secret', {...upload, contentType: 'text/html'}, signature), false);
+  assert.equal(local.isValidLocalUploadSignature('secret', {...upload, contentLength: 4096}, signature), false);
+  assert.equal(local.isValidLocalUploadSignature('secret', {...upload, contentLength: undefined}, signature), false);
+  assert.equal(local.isValidLocalUploadSignature('secret', upload, 'zz'), false);
+  const expired = {...upload, expiresAt: 1};
+  assert.equal(local.isValidLocalUploadSignature('secret', expired, local.signLocalUpload('secret', expired)), false);
+});
+
+test('signed local uploads never replace a stored object', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ep_media_upload-'));
+  t.after(() => fs.rmSync(directory, {recursive: true, force: true}));
+  const adapter = local({directory, secret: 'secret'});
+  const key = 'uploads/pad/a.txt';
+  const headers = {'content-type': 'text/plain', 'content-disposition': 'attachment; filename="a.txt"'};
+  const {signedUrl} = await adapter.createUploadTarget({
+    padId: 'pad', fileId: 'a.txt', key, contentType: headers['content-type'], contentDisposition: headers['content-disposition'], contentLength: 5, expiresIn: 60,
+  });
+  const query = Object.fromEntries(new URL(signedUrl, 'http://pad.example').searchParams);
+
+  await adapter.acceptUpload({key, query, headers, stream: Readable.from([Buffer.from('hello')])});
+  await assert.rejects(adapter.acceptUpload({key, query, headers, stream: Readable.from([Buffer.from('<svg>')])}), {code: 'EOBJECTEXISTS'});
+  assert.equal(fs.readFileSync(path.join(directory, key), 'utf8'), 'hello');
+  assert.deepEqual(fs.readdirSync(path.join(directory, 'uploads/pad')).sort(), ['a.txt', 'a.txt.json']);
+  assert.equal((await adapter.stat(key)).contentType, 'text/plain');
+});
+
+test('local storage paths stay inside the configured directory', () => {
+  assert.equal(local.resolveLocalPath('/srv/files', 'uploads/pad/a.pdf'), '/srv/files/uploads/pad/a.pdf');
+  assert.equal(local.resolveLocalPath('/srv/files', '../etc/passwd'), null);
+  assert.equal(local.resolveLocalPath('/srv/files', '/etc/passwd'), null);
+});
+
+test('local storage lists objects under a prefix without sidecars or partial uploads', async (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ep_media_upload-'));
+  t.after(() => fs.rmSync(directory, {recursive: true, force: true}));
+  const write = (key) => {
+    fs.mkdirSync(path.dirname(path.join(directory, key)), {recursive: true});
+    fs.writeFileSync(path.join(directory, key), 'x');
+  };
+  ['uploads/pad/a.json', 'uploads/pad/a.json.json', 'uploads/pad/b.pdf', 'uploads/pad/b.pdf.json', 'uploads/pads/c.pdf',
+    'uploads/pad/d.pdf.a1b2c3d4-e5f6-7890-abcd-ef1234567890.part', 'quarantine/uploads/pad/e.pdf'].forEach(write);
+
+  const adapter = local({directory});
+  const keys = async (prefix) => (await adapter.listObjects(prefix)).map((object) => object.key).sort();
+  assert.deepEqual(await keys('uploads/pad/'), ['uploads/pad/a.json', 'uploads/pad/b.pdf']);
+  assert.deepEqual(await keys('uploads/'), ['uploads/pad/a.json', 'uploads/pad/b.pdf', 'uploads/pads/c.pdf']);
+  assert.deepEqual(await keys('missing/'), []);
+  assert.equal((await adapter.listObjects('uploads/pads/'))[0].size, 1);
+});
+
+test('S3 client config supports compatible endpoints and explicit credentials', () => {
+  const s3 = require('../lib/storage/s3');
+  assert.deepEqual(s3.buildClientConfig({region: 'us-east-1'}), {region: 'us-east-1'});
+  assert.deepEqual(s3.buildClientConfig({
+    region: 'garage',
+    forcePathStyle: true,
+    accessKeyId: 'AK',
+    secretAccessKey: 'SK',
+  }, 'http://minio:9000'), {
+    region: 'garage',
+    endpoint: 'http://minio:9000',
+    forcePathStyle: true,
+    credentials: {accessKeyId: 'AK', secretAccessKey: 'SK'},
+  });
+  assert.throws(() => s3.buildClientConfig({region: 'r', accessKeyId: 'AK'}), /must be set together/);
+});
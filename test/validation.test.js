@@ -13,7 +13,8 @@ Module._load = function(request, parent, isMain) {
   if (request === '@aws-sdk/s3-request-presigner') return {};
   return originalLoad.call(this, request, parent, isMain);
 };
-const {__testValidation: validation} = require('../index');
+const plugin = require('../index');
+const {__testValidation: validation} = plugin;
 Module._load = originalLoad;
 
 test('pad IDs permit Etherpad group syntax but reject traversal and controls', () => {
@@ -48,3 +49,64 @@ test('download file IDs require a UUID and safe alphanumeric extension', () => {
     assert.equal(validation.isValidFileId(value), false, String(value));
   }
 });
+
+test('multipart upload IDs and part lists are validated', () => {
+  assert.equal(validation.isValidUploadId('VXBsb2FkIElE.abc-_~=+/x'), true);
+  for (const value of ['', null, 42, 'bad id', 'x'.repeat(1025), 'a\nb']) {
+    assert.equal(validation.isValidUploadId(value), false, String(value));
+  }
+  assert.equal(validation.isValidPartNumber(1), true);
+  assert.equal(validation.isValidPartNumber(10000), true);
+  for (const value of [0, 10001, 1.5, '1']) {
+    assert.equal(validation.isValidPartNumber(value), false, String(value));
+  }
+  assert.equal(validation.isValidPartList([{partNumber: 2, etag: '"b"'}, {partNumber: 1, etag: '"a"'}]), true);
+  assert.equal(validation.isValidPartList([]), false);
+  assert.equal(validation.isValidPartList([{partNumber: 1, etag: '"a"'}, {partNumber: 1, etag: '"b"'}]), false);
+  assert.equal(validation.isValidPartList([{partNumber: 1, etag: ''}]), false);
+  assert.equal(validation.isValidPartList([{partNumber: 1, etag: 'a\r\nb'}]), false);
+});
+
+test('stored content must match the signature of its extension', () => {
+  const png = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+  assert.equal(validation.isContentValidForExtension('png', png), true);
+  assert.equal(validation.isContentValidForExtension('png', Buffer.from('<html><script>alert(1)</script>')), false);
+  assert.equal(validation.isContentValidForExtension('pdf', png), false);
+  assert.equal(validation.isContentValidForExtension('txt', Buffer.from('BM is how this note starts')), true);
+  assert.equal(validation.isContentValidForExtension('txt', Buffer.from([0x4d, 0x5a, 0x90, 0x00])), false);
+  assert.equal(validation.isContentValidForExtension('svg', Buffer.from('<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg"></svg>')), true);
+  assert.equal(validation.isContentValidForExtension('docx', Buffer.from('PK\x03\x04', 'latin1')), true);
+  assert.equal(validation.isContentValidForExtension('unknown', Buffer.from([0x00, 0x01])), true);
+});
+
+test('image processing settings are normalized for the editor', () => {
+  const clientSettings = (pluginSettings) => {
+    plugin.loadSettings('loadSettings', {settings: {ep_media_upload: pluginSettings}}, () => {});
+    let vars;
+    plugin.clientVars('clientVars', {}, (result) => { vars = result; });
+    return vars.ep_media_upload.imageProcessing;
+  };
+
+  assert.deepEqual(clientSettings({}), {stripMetadata: true, maxDimension: null, quality: 0.9, convert: [], format: 'jpeg'});
+  assert.deepEqual(clientSettings({imageProcessing: {stripMetadata: false, maxDimension: 2560, quality: 0.75, convert: ['.HEIC', 'png', 3], format: 'webp'}}),
+      {stripMetadata: false, maxDimension: 2560, quality: 0.75, convert: ['heic', 'png'], format: 'webp'});
+  assert.deepEqual(clientSettings({imageProcessing: {maxDimension: -1, quality: 2, convert: 'png', format: 'gif'}}),
+      {stripMetadata: true, maxDimension: null, quality: 0.9, convert: [], format: 'jpeg'});
+  assert.equal(clientSettings({imageProcessing: {enabled: false}}), undefined);
+});
+
+test('multipart parts are sized from the declared file size', () => {
+  const MiB = 1024 * 1024;
+  assert.equal(validation.getPartLength(12 * MiB, 5 * MiB, 1), 5 * MiB);
+  assert.equal(validation.getPartLength(12 * MiB, 5 * MiB, 3), 2 * MiB);
+  assert.equal(validation.getPartLength(10 * MiB, 5 * MiB, 2), 5 * MiB);
+  assert.equal(validation.getPartLength(10 * MiB, 5 * MiB, 3), null);
+
+  const parts = [{partNumber: 1, etag: '"a"'}, {partNumber: 2, etag: '"b"'}, {partNumber: 3, etag: '"c"'}];
+  const stored = [{partNumber: 1, size: 5 * MiB}, {partNumber: 2, size: 5 * MiB}, {partNumber: 3, size: 2 * MiB}];
+  assert.equal(validation.partsMatchDeclaredSize(stored, parts, 12 * MiB, 5 * MiB), true);
+  assert.equal(validation.partsMatchDeclaredSize(stored, parts.slice(0, 2), 12 * MiB, 5 * MiB), false);
+  assert.equal(validation.partsMatchDeclaredSize(stored.slice(0, 2), parts, 12 * MiB, 5 * MiB), false);
+  assert.equal(validation.partsMatchDeclaredSize([...stored.slice(0, 2), {partNumber: 3, size: 3 * MiB}], parts, 12 * MiB, 5 * MiB), false);
+  assert.equal(validation.partsMatchDeclaredSize(stored, parts, 11 * MiB, 5 * MiB), false);
+});